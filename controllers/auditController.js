@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/AuditEntry');
+const { verifyAuditChain } = require('../services/auditService');
+const { PERMISSIONS, hasPermission } = require('../services/accessPolicy');
+
+// @desc    Get the access history of a patient's records, newest first
+// @route   GET /api/audit?recordId=&action=&from=&to=&limit=&before=&patient=
+// @access  Private (patient=<userId> for other patients is admin only)
+const getAuditLog = async (req, res) => {
+  try {
+    const { recordId, action, from, to, before, patient } = req.query;
+
+    let subject = req.user._id;
+    if (patient && patient !== req.user._id.toString()) {
+      if (!hasPermission(req.user, PERMISSIONS.AUDIT_READ_ALL)) {
+        return res.status(403).json({ message: 'Not authorized to read other patients\' audit logs' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(patient)) {
+        return res.status(400).json({ message: 'patient must be a user ID' });
+      }
+      subject = patient;
+    }
+
+    const filter = { subjects: subject };
+
+    if (recordId) {
+      if (!mongoose.Types.ObjectId.isValid(recordId)) {
+        return res.status(400).json({ message: 'recordId must be a record ID' });
+      }
+      filter.healthRecords = recordId;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+      if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+    }
+    // Page backwards through the chain with the last sequence seen
+    if (before) {
+      filter.sequence = { $lt: Number(before) };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const entries = await AuditEntry.find(filter)
+      .sort({ sequence: -1 })
+      .limit(limit)
+      .populate('actor.user', 'name email role');
+
+    res.json({
+      entries: entries.map(entry => ({
+        sequence: entry.sequence,
+        timestamp: entry.timestamp,
+        actor: entry.actor,
+        action: entry.action,
+        healthRecords: entry.healthRecords,
+        outcome: entry.outcome,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        hash: entry.hash
+      })),
+      nextBefore: entries.length === limit ? entries[entries.length - 1].sequence : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Check the whole audit hash chain for tampering
+// @route   GET /api/audit/verify
+// @access  Private/Admin
+const verifyAuditLog = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    res.status(result.valid ? 200 : 409).json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditLog,
+  verifyAuditLog
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const {
+  requestDataExport,
+  signDownloadToken,
+  resolveDownloadToken,
+  describeExport
+} = require('../services/dataExportService');
+
+// @desc    Start building an archive of all of the user's data
+// @route   POST /api/users/me/export
+// @access  Private
+const createDataExport = async (req, res) => {
+  try {
+    const { dataExport, existing } = await requestDataExport(req.user._id);
+
+    res.locals.audit = { subjects: [req.user._id] };
+
+    res.status(existing ? 200 : 202).json({
+      message: existing ? 'An export is already being prepared' : 'Export started',
+      export: describeExport(dataExport),
+      statusUrl: `/api/users/me/export/${dataExport._id}`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the progress of an export, with a download link once it is ready
+// @route   GET /api/users/me/export/:exportId
+// @access  Private
+const getDataExportStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, user: req.user._id });
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    const response = describeExport(dataExport);
+
+    if (dataExport.status === 'completed' && dataExport.expiresAt > new Date()) {
+      const { token, expiresAt } = signDownloadToken(dataExport);
+      response.download = {
+        url: `/api/users/me/export/${dataExport._id}/download?token=${encodeURIComponent(token)}`,
+        expiresAt,
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Download a finished export archive
+// @route   GET /api/users/me/export/:exportId/download?token=
+// @access  Public (time-limited link from the status endpoint)
+const downloadDataExport = async (req, res) => {
+  try {
+    const dataExport = await resolveDownloadToken(req.query.token, req.params.exportId);
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    res.locals.audit = { subjects: [dataExport.user] };
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `health-records-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending export archive:', error);
+        res.status(404).json({ message: 'Export archive is no longer available' });
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+};
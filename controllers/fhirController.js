@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const HealthRecord = require('../models/HealthRecord');
+const { buildFhirBundle, buildFhirResources } = require('../services/fhirService');
+const { validateFhirPayload, mapFhirToStructuredData } = require('../services/fhirImportService');
+const { buildProvenance, PROVENANCE_SOURCES } = require('../services/correctionsService');
+const { createProcessingTimeline, enqueueStage } = require('../services/pipelineService');
+const { createHealthRecord, removeHealthRecord } = require('../services/revisionService');
+const { PERMISSIONS, getRecordScope } = require('../services/accessPolicy');
+const Patient = require('../models/Patient');
+const { findOwnedPatient, getPatientRecordFilter } = require('../services/patientService');
+const { cleanupLocalFile } = require('./healthRecordController');
+const path = require('path');
+const fs = require('fs');
+
+// Inline attachment types that can be stored like an uploaded file
+const ATTACHMENT_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png'
+};
+
+// Base URL used to turn local /uploads paths into absolute attachment URLs
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// @desc    Export a health record as a FHIR R4 Bundle
+// @route   GET /api/health-records/:id/fhir
+// @access  Private
+const getHealthRecordFhir = async (req, res) => {
+  try {
+    const healthRecord = req.healthRecord;
+
+    if (!healthRecord.structuredData) {
+      return res.status(409).json({ 
+        message: 'Structured data is not available until processing finishes',
+        processingStatus: healthRecord.processingStatus
+      });
+    }
+
+    const bundle = buildFhirBundle(healthRecord, { baseUrl: getBaseUrl(req) });
+
+    res.type('application/fhir+json').json(bundle);
+  } catch (error) {
+    console.error('FHIR export error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Export every record the user can export as FHIR NDJSON, one resource per line
+// @route   GET /api/health-records/fhir/$export?_type=Patient,Condition&_since=2024-01-01
+// @access  Private
+const exportFhirNdjson = async (req, res) => {
+  try {
+    const types = req.query._type
+      ? String(req.query._type).split(',').map(type => type.trim()).filter(Boolean)
+      : null;
+
+    const conditions = [getRecordScope(req.user, PERMISSIONS.RECORDS_EXPORT), { structuredData: { $ne: null } }];
+    if (req.query._since) {
+      const since = new Date(req.query._since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ message: '_since must be a valid date' });
+      }
+      conditions.push({ updatedAt: { $gte: since } });
+    }
+    if (req.query.patientId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.patientId)) {
+        return res.status(400).json({ message: 'patientId must be a valid ID' });
+      }
+      // A self profile also covers the account's records without a profile
+      const patient = await Patient.findById(req.query.patientId);
+      conditions.push(patient ? getPatientRecordFilter(patient) : { patient: req.query.patientId });
+    }
+
+    res.type('application/fhir+ndjson');
+
+    // Patients and practitioners are shared between records; write each once
+    const written = new Set();
+    res.locals.audit = { healthRecords: [], subjects: [] };
+    const baseUrl = getBaseUrl(req);
+    const cursor = HealthRecord.find({ $and: conditions }).sort({ createdAt: 1 }).cursor();
+
+    for (let healthRecord = await cursor.next(); healthRecord; healthRecord = await cursor.next()) {
+      const resources = buildFhirResources(healthRecord, { baseUrl, referenceStyle: 'relative' });
+      res.locals.audit.healthRecords.push(healthRecord._id);
+      res.locals.audit.subjects.push(healthRecord.user);
+
+      resources.forEach(resource => {
+        const key = `${resource.resourceType}/${resource.id}`;
+        if ((types && !types.includes(resource.resourceType)) || written.has(key)) {
+          return;
+        }
+        written.add(key);
+        res.write(`${JSON.stringify(resource)}\n`);
+      });
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('FHIR bulk export error:', error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Import a FHIR R4 Bundle or DocumentReference as a health record
+// @route   POST /api/health-records/import/fhir?title=&description=&documentType=
+// @access  Private
+const importFhirRecord = async (req, res) => {
+  let localFilePath = null;
+  let healthRecord = null;
+
+  try {
+    const errors = validateFhirPayload(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid FHIR resource', errors });
+    }
+
+    const mapped = mapFhirToStructuredData(req.body);
+    if (mapped.errors.length > 0) {
+      return res.status(400).json({ message: 'FHIR resources could not be mapped to structured data', errors: mapped.errors });
+    }
+
+    const { structuredData, document, resourceCounts } = mapped;
+    const attachment = document?.attachment;
+    const userId = req.user._id;
+
+    let patient = null;
+    if (req.query.patientId) {
+      patient = await findOwnedPatient(userId, req.query.patientId);
+      if (!patient) {
+        return res.status(400).json({ message: 'patientId does not match one of your patient profiles' });
+      }
+    }
+    const now = new Date().toISOString();
+
+    // Inline files go through the storage stage like an upload; linked files
+    // stay where they are and are only kept as a link
+    const fileInfo = {};
+    let externalUrl;
+    let storageLocation = 'none';
+    if (attachment?.data && ATTACHMENT_EXTENSIONS[attachment.contentType]) {
+      const extension = ATTACHMENT_EXTENSIONS[attachment.contentType];
+      const uploadsDir = path.join(__dirname, '../uploads');
+      fs.mkdirSync(uploadsDir, { recursive: true });
+
+      localFilePath = path.join(uploadsDir, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`);
+      const content = Buffer.from(attachment.data, 'base64');
+      fs.writeFileSync(localFilePath, content);
+
+      Object.assign(fileInfo, {
+        originalName: attachment.title || `fhir-import${extension}`,
+        size: content.length,
+        mimeType: attachment.contentType,
+        extension,
+        localPath: localFilePath
+      });
+      storageLocation = null;
+    } else if (attachment?.url) {
+      externalUrl = attachment.url;
+      storageLocation = 'external';
+    }
+
+    const timeline = createProcessingTimeline();
+    timeline.documentAI.source = 'skipped';
+    timeline.verification.status = 'skipped';
+    timeline.groqAI.source = 'skipped';
+    timeline.fhirImport = {
+      startTime: now,
+      endTime: now,
+      source: 'fhir',
+      resourceType: req.body.resourceType,
+      bundleId: req.body.resourceType === 'Bundle' ? req.body.id || null : null,
+      resourceCounts
+    };
+
+    healthRecord = await createHealthRecord({
+      user: userId,
+      title: req.query.title || document?.title || 'Imported FHIR Record',
+      description: req.query.description || '',
+      documentType: req.query.documentType || document?.documentType || 'Medical Report',
+      patient: patient ? patient._id : null,
+      patientName: structuredData.patient?.name || (patient && patient.name) || '',
+      patientPhone: structuredData.patient?.phone || (patient && patient.phoneNumber) || '',
+      externalUrl,
+      structuredData,
+      fieldProvenance: buildProvenance(structuredData, PROVENANCE_SOURCES.FHIR_IMPORT),
+      processingMetadata: {
+        importSource: 'fhir',
+        fileInfo,
+        storageLocation,
+        timeline
+      },
+      // OCR, verification and GROQ are skipped; the record waits for review
+      processingStatus: 'groq_processing_complete',
+      verificationCall: {
+        status: 'not_initiated'
+      }
+    }, { kind: 'user', user: userId });
+
+    if (localFilePath) {
+      await enqueueStage(healthRecord._id, 'groq_processing_complete');
+    }
+
+    res.locals.audit = { healthRecords: [healthRecord._id], subjects: [userId] };
+
+    res.status(201).json({
+      _id: healthRecord._id,
+      title: healthRecord.title,
+      documentType: healthRecord.documentType,
+      processingStatus: healthRecord.processingStatus,
+      structuredData: healthRecord.structuredData,
+      resourceCounts,
+      createdAt: healthRecord.createdAt
+    });
+  } catch (error) {
+    console.error('FHIR import error:', error);
+
+    if (healthRecord) {
+      await removeHealthRecord(healthRecord, { kind: 'system' }).catch(() => {});
+    }
+    cleanupLocalFile(localFilePath);
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  importFhirRecord,
+  getHealthRecordFhir,
+  exportFhirNdjson
+};
@@ -1,11 +1,24 @@
+const mongoose = require('mongoose');
 const HealthRecord = require('../models/HealthRecord');
-const { parsePdfDocument, parseHandwrittenDocument, getMockPdfData, getMockHandwrittenData } = require('../services/documentAIService');
-const { processHealthRecord, processTranscript } = require('../services/groqService');
-const { uploadFileToS3, deleteFileFromS3 } = require('../services/s3Service');
-const { initiateVerificationCall, getCallStatus, processCallTranscript } = require('../services/retellService');
+const { deleteFileFromS3 } = require('../services/s3Service');
+const { initiateVerificationCall } = require('../services/retellService');
+const { createProcessingTimeline, enqueueStage } = require('../services/pipelineService');
+const { applyStructuredDataPatch } = require('../services/structuredDataService');
+const { PROVENANCE_SOURCES } = require('../services/correctionsService');
+const { PERMISSIONS, getRecordScope } = require('../services/accessPolicy');
+const {
+  createHealthRecord,
+  updateHealthRecord,
+  removeHealthRecord,
+  getRevisionHistory,
+  diffRevisions
+} = require('../services/revisionService');
+const Patient = require('../models/Patient');
+const { findOwnedPatient, getCallContact, getPatientRecordFilter } = require('../services/patientService');
+const { buildSearchFilter } = require('../services/searchIndexService');
+const { SEVERITIES } = require('../services/interactionService');
 const path = require('path');
 const fs = require('fs');
-const mkdirp = require('mkdirp');
 
 // Helper function to safely clean up a local file
 const cleanupLocalFile = (filePath) => {
@@ -19,11 +32,40 @@ const cleanupLocalFile = (filePath) => {
   }
 };
 
-// @desc    Upload a health record (PDF or image)
+// Simplified view of a record, without the full extracted text, used wherever
+// a single record is shown
+const buildRecordView = (healthRecord) => ({
+  _id: healthRecord._id,
+  title: healthRecord.title,
+  description: healthRecord.description,
+  documentType: healthRecord.documentType,
+  patient: healthRecord.patient,
+  patientName: healthRecord.patientName,
+  patientPhone: healthRecord.patientPhone,
+  fileUrl: healthRecord.fileUrl,
+  externalUrl: healthRecord.externalUrl,
+  createdAt: healthRecord.createdAt,
+  processingStatus: healthRecord.processingStatus,
+  review: healthRecord.review,
+  // Include structured data but not the full extracted text
+  structuredData: healthRecord.structuredData,
+  // Include summary of extracted data
+  extractedData: {
+    hasText: !!healthRecord.extractedData?.text,
+    textPreview: healthRecord.extractedData?.text 
+      ? healthRecord.extractedData.text.substring(0, 300) + (healthRecord.extractedData.text.length > 300 ? '...' : '')
+      : '',
+    pageCount: healthRecord.extractedData?.pages?.length || 0
+  },
+  processingMetadata: healthRecord.processingMetadata
+});
+
+// @desc    Upload a health record (PDF or image) and queue it for processing
 // @route   POST /api/health-records/upload
 // @access  Private
 const uploadHealthRecord = async (req, res) => {
   let localFilePath = null;
+  let healthRecord = null;
   
   try {
     if (!req.file) {
@@ -50,418 +92,75 @@ const uploadHealthRecord = async (req, res) => {
       return res.status(400).json({ message: 'Uploaded file not found on server' });
     }
 
-    const { title, description, documentType, patientName, patientPhone } = req.body;
+    const { title, description, documentType, patientName, patientPhone, patientId } = req.body;
     const userId = req.user._id;
     
     // Determine file extension
     const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    let parsedData;
-    let documentAISource = 'google'; // Track if we're using real or mock data
-    
-    console.log(`Processing file: ${req.file.path}, type: ${fileExtension}`);
-    
-    // Capture the processing timeline
-    const processingTimeline = {
-      documentAI: {
-        startTime: new Date().toISOString(),
-        endTime: null,
-        source: documentAISource
-      },
-      verification: {
-        startTime: null,
-        endTime: null,
-        status: 'not_initiated'
-      },
-      groqAI: {
-        startTime: null,
-        endTime: null,
-        source: 'groq'
-      },
-      s3Upload: {
-        startTime: null,
-        endTime: null
-      }
-    };
-    
-    try {
-      if (fileExtension === '.pdf') {
-        // Process PDF document
-        parsedData = await parsePdfDocument(req.file.path);
-        console.log('PDF document processed successfully');
-      } else if (['.jpg', '.jpeg', '.png'].includes(fileExtension)) {
-        // Process handwritten document (image)
-        parsedData = await parseHandwrittenDocument(req.file.path);
-        console.log('Image document processed successfully');
-      } else {
-        // Clean up the uploaded file
-        if (fs.existsSync(req.file.path)) {
-          fs.unlinkSync(req.file.path);
-        }
-        return res.status(400).json({ 
-          message: 'Unsupported file type. Please upload a PDF or image file.' 
-        });
-      }
-      
-      // Log Document AI results
-      console.log('\n============ DOCUMENT AI RESULTS ============');
-      console.log('Extracted Text:');
-      console.log('---------------------------------------');
-      // Print a preview of the text (limit to 500 chars for logging purposes)
-      const previewText = parsedData.text.length > 500 
-        ? parsedData.text.substring(0, 500) + '...' 
-        : parsedData.text;
-      console.log(previewText);
-      console.log('---------------------------------------');
-      
-      if (parsedData.pages && parsedData.pages.length > 0) {
-        console.log(`Number of pages: ${parsedData.pages.length}`);
-        parsedData.pages.forEach((page, index) => {
-          console.log(`Page ${page.pageNumber} preview: ${page.text.substring(0, 100)}...`);
-        });
-      }
-      console.log('===========================================\n');
-      
-    } catch (parseError) {
-      console.error('Document parsing error:', parseError);
-      // Continue with mock data if parsing fails
-      documentAISource = 'mock';
-      if (fileExtension === '.pdf') {
-        parsedData = getMockPdfData();
-        console.log('Using mock PDF data due to Document AI error');
-      } else {
-        parsedData = getMockHandwrittenData();
-        console.log('Using mock handwritten data due to Document AI error');
+    if (!['.pdf', '.jpg', '.jpeg', '.png'].includes(fileExtension)) {
+      cleanupLocalFile(localFilePath);
+      return res.status(400).json({ 
+        message: 'Unsupported file type. Please upload a PDF or image file.' 
+      });
+    }
+
+    // The record can be about one of the account's patient profiles
+    let patient = null;
+    if (patientId) {
+      patient = await findOwnedPatient(userId, patientId);
+      if (!patient) {
+        cleanupLocalFile(localFilePath);
+        return res.status(400).json({ message: 'patientId does not match one of your patient profiles' });
       }
     }
     
-    // Document AI processing is done at this point
-    processingTimeline.documentAI.endTime = new Date().toISOString();
-    processingTimeline.documentAI.source = documentAISource;
-    
-    // Create a minimal health record first before making verification call
-    // This allows us to have an ID to reference
-    let healthRecord = await HealthRecord.create({
+    // Create the record in the 'uploaded' state; the pipeline worker takes it from here
+    healthRecord = await createHealthRecord({
       user: userId,
       title: title || 'Untitled Health Record',
       description: description || '',
       documentType: documentType || 'Medical Report',
-      patientName: patientName || '',
-      patientPhone: patientPhone || '',
-      extractedData: parsedData,
+      patient: patient ? patient._id : null,
+      patientName: (patientName && String(patientName).trim()) || (patient && patient.name) || '',
+      patientPhone: patientPhone || (patient && patient.phoneNumber) || '',
       processingMetadata: {
         fileInfo: {
           originalName: req.file.originalname,
           size: req.file.size,
           mimeType: req.file.mimetype,
-          extension: fileExtension
+          extension: fileExtension,
+          localPath: req.file.path
         },
-        timeline: processingTimeline,
-        extractedTextLength: parsedData.text.length,
-        pageCount: parsedData.pages ? parsedData.pages.length : 0
+        timeline: createProcessingTimeline()
       },
-      processingStatus: 'document_ai_complete',
+      processingStatus: 'uploaded',
       verificationCall: {
         status: 'not_initiated'
       }
-    });
-    
-    console.log(`Created initial health record with ID: ${healthRecord._id}`);
-    
-    // STEP 1: If patient phone is provided, initiate verification call IMMEDIATELY after Document AI
-    let verificationResult = null;
-    let verificationCallId = null;
-    if (patientPhone && patientPhone.trim() !== '') {
-      try {
-        console.log('Initiating verification call to patient BEFORE GROQ processing...');
-        processingTimeline.verification.startTime = new Date().toISOString();
-        
-        verificationResult = await initiateVerificationCall({
-          patientName: patientName || 'Patient',
-          patientPhone: patientPhone,
-          documentType: documentType || 'Medical Report',
-          documentId: healthRecord._id.toString(),
-          extractedData: parsedData,
-          // No structured data yet as GROQ hasn't run
-        });
-        
-        verificationCallId = verificationResult.callId;
-        
-        // Update the health record with verification call info
-        await HealthRecord.findByIdAndUpdate(healthRecord._id, {
-          'verificationCall.callId': verificationResult.callId,
-          'verificationCall.status': verificationResult.status,
-          'verificationCall.startTime': new Date(verificationResult.startTime),
-          'verificationCall.metadata': verificationResult.retellData,
-          'processingStatus': 'verification_initiated'
-        });
-        
-        processingTimeline.verification.status = verificationResult.status;
-        
-        console.log(`Verification call initiated with ID ${verificationResult.callId}`);
-      } catch (verifyError) {
-        console.error('Error initiating verification call:', verifyError);
-        processingTimeline.verification.status = 'error';
-        processingTimeline.verification.error = verifyError.message;
-      }
-    }
+    }, { kind: 'user', user: userId });
     
-    // STEP 2: Poll the verification call until it ends or 3 minutes pass
-    let callTranscript = null;
-    let callTranscriptObject = null;
-    let callRecordingUrl = null;
-    let transcriptResult = null;
-    let completeCallData = null;
+    await enqueueStage(healthRecord._id, 'uploaded');
     
-    if (verificationCallId) {
-      console.log('Waiting for verification call to complete (max 3 minutes)...');
-      
-      // Poll the call status for up to 3 minutes (180 seconds)
-      const startTime = Date.now();
-      const maxWaitTime = 3 * 60 * 1000; // 3 minutes in milliseconds
-      let callEnded = false;
-      let callStatus = null;
-      
-      while (!callEnded && (Date.now() - startTime) < maxWaitTime) {
-        // Wait 5 seconds between checks
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        
-        try {
-          // Use the correct Retell API endpoint to get call data
-          callStatus = await getCallStatus(verificationCallId);
-          console.log(`Call status check: ${callStatus.status}`);
-          
-          if (['ended', 'error'].includes(callStatus.status)) {
-            callEnded = true;
-            console.log('Call has ended');
-            completeCallData = callStatus; // Store the full call data
-            
-            // Only if we have transcript data, store it for later processing with GROQ
-            if (callStatus.transcriptObject || callStatus.transcript) {
-              console.log('Call transcript data retrieved, will be processed with GROQ after call');
-              callTranscript = callStatus.transcript;
-              callTranscriptObject = callStatus.transcriptObject;
-              callRecordingUrl = callStatus.recordingUrl;
-              
-              // Update call status in the health record
-              await HealthRecord.findByIdAndUpdate(healthRecord._id, {
-                'verificationCall.endTime': callStatus.endTime ? new Date(callStatus.endTime) : new Date(),
-                'verificationCall.status': callStatus.status,
-                'verificationCall.transcript': callStatus.transcript,
-                'verificationCall.transcriptObject': callStatus.transcriptObject,
-                'verificationCall.recordingUrl': callStatus.recordingUrl,
-                'processingStatus': 'verification_ended'
-              });
-            } else {
-              console.log('Call ended but no transcript data available');
-            }
-          }
-        } catch (statusError) {
-          console.error('Error checking call status:', statusError);
-          // Continue polling
-        }
-      }
-      
-      // If we hit the time limit and call is not ended
-      if (!callEnded) {
-        console.log('Reached 3-minute time limit for verification call');
-        processingTimeline.verification.status = 'timeout';
-        
-        // Make one final attempt to get the call status
-        try {
-          callStatus = await getCallStatus(verificationCallId);
-          completeCallData = callStatus; // Store even if not ended
-          
-          if (callStatus.transcriptObject || callStatus.transcript) {
-            callTranscript = callStatus.transcript;
-            callTranscriptObject = callStatus.transcriptObject;
-            callRecordingUrl = callStatus.recordingUrl;
-          }
-        } catch (finalCheckError) {
-          console.error('Error on final call status check:', finalCheckError);
-        }
-      }
-    }
-    
-    // If verification timeline was started, set the end time
-    if (processingTimeline.verification.startTime) {
-      processingTimeline.verification.endTime = new Date().toISOString();
-    }
-    
-    // STEP 3: Process with GROQ after verification call is complete
-    console.log('Processing with GROQ after verification call completion...');
-    
-    // Set up context for GROQ
-    const groqContext = {
-      patientName: patientName || 'Not provided',
-      patientPhone: patientPhone || 'Not provided',
-      documentType: documentType || 'Medical Record',
-      description: description || ''
-    };
-    
-    // Start GROQ processing for document
-    let structuredData;
-    processingTimeline.groqAI.startTime = new Date().toISOString();
-    
-    try {
-      structuredData = await processHealthRecord(parsedData, groqContext);
-      
-      // Log GROQ results
-      console.log('\n============ GROQ AI RESULTS FOR DOCUMENT ============');
-      console.log(JSON.stringify(structuredData, null, 2));
-      console.log('====================================================\n');
-    } catch (groqError) {
-      console.error('Groq document processing error:', groqError);
-      // Use a simple structured data if GROQ fails
-      processingTimeline.groqAI.source = 'mock';
-      structuredData = {
-        patient: {
-          name: patientName || 'Unknown Patient',
-          phone: patientPhone || 'Not provided'
-        },
-        documentType: documentType || 'Medical Record',
-        description: description || '',
-        extractedText: parsedData.text || 'No text extracted',
-        error: 'Failed to process with GROQ AI'
-      };
-      console.log('Using fallback structured data due to GROQ error');
-    }
-    
-    // STEP 4: Process call transcript with GROQ if available
-    if (callTranscriptObject || callTranscript) {
-      console.log('Processing call transcript data with GROQ...');
-      
-      try {
-        // Make sure we have the complete call data before processing
-        if (!completeCallData) {
-          completeCallData = {
-            transcript: callTranscript,
-            transcriptObject: callTranscriptObject,
-            recordingUrl: callRecordingUrl,
-            status: 'ended',
-            metadata: {}
-          };
-        }
-        
-        // Process the transcript to extract corrections and feedback
-        transcriptResult = await processCallTranscript(completeCallData);
-        
-        console.log('\n============ GROQ AI RESULTS FOR TRANSCRIPT ============');
-        console.log(JSON.stringify(transcriptResult, null, 2));
-        console.log('========================================================\n');
-        
-        // Apply corrections to the health record data
-        if (transcriptResult.corrections && transcriptResult.corrections.length > 0) {
-          console.log(`Applying ${transcriptResult.corrections.length} corrections from call verification`);
-          
-          for (const correction of transcriptResult.corrections) {
-            if (correction.field && correction.correct) {
-              // Apply critical corrections directly to the record
-              if (['patientName', 'patientPhone'].includes(correction.field)) {
-                // Update in the main record
-                await HealthRecord.findByIdAndUpdate(healthRecord._id, {
-                  [correction.field]: correction.correct
-                });
-                
-                // Also update in structured data if it exists
-                if (structuredData && structuredData.patient) {
-                  if (correction.field === 'patientName') {
-                    structuredData.patient.name = correction.correct;
-                  } else if (correction.field === 'patientPhone') {
-                    structuredData.patient.phone = correction.correct;
-                  }
-                }
-              }
-            }
-          }
-          
-          // Update verification data with transcript results
-          await HealthRecord.findByIdAndUpdate(healthRecord._id, {
-            'verificationCall.verificationComplete': transcriptResult.verificationSuccessful || false,
-            'verificationCall.corrections': transcriptResult.corrections || [],
-            'verificationCall.additionalInfo': transcriptResult.additionalInfo || '',
-            'verificationCall.summary': transcriptResult.transcriptAnalysis?.summary || '',
-          });
-        }
-      } catch (transcriptError) {
-        console.error('Error processing transcript with GROQ:', transcriptError);
-      }
-    } else {
-      console.log('No transcript data available to process with GROQ');
-    }
-    
-    // GROQ processing is done at this point
-    processingTimeline.groqAI.endTime = new Date().toISOString();
-    
-    // STEP 5: Upload file to S3
-    console.log('Uploading file to S3...');
-    processingTimeline.s3Upload.startTime = new Date().toISOString();
-    
-    let fileUrl;
-    try {
-      fileUrl = await uploadFileToS3(
-        req.file.path, 
-        req.file.originalname, 
-        req.file.mimetype
-      );
-      console.log('File uploaded to S3:', fileUrl);
-      
-      // Double-check that the local file was deleted by uploadFileToS3
-      // If not (which shouldn't happen), delete it manually
-      if (fs.existsSync(localFilePath)) {
-        console.log('Local file still exists after S3 upload, deleting it now...');
-        fs.unlinkSync(localFilePath);
-      }
-    } catch (s3Error) {
-      console.error('Error uploading to S3, using local file instead:', s3Error);
-      // Fallback to local file URL if S3 upload fails
-      fileUrl = `/uploads/${path.basename(req.file.path)}`;
-      console.log('Using local file URL:', fileUrl);
-      // Don't delete the local file in this case as we need it
-    }
-    
-    // S3 upload is done at this point
-    processingTimeline.s3Upload.endTime = new Date().toISOString();
-    
-    // STEP 6: Update the complete record with all data
-    await HealthRecord.findByIdAndUpdate(healthRecord._id, {
-      structuredData: structuredData,
-      fileUrl: fileUrl,
-      filePath: fileUrl,
-      'processingMetadata.timeline': processingTimeline,
-      'processingMetadata.storageLocation': fileUrl.includes('amazonaws.com') ? 's3' : 'local',
-      'processingStatus': transcriptResult ? 'verification_complete' : 'processing_complete'
-    });
-    
-    // Get the updated record to return to the client
-    healthRecord = await HealthRecord.findById(healthRecord._id);
+    console.log(`Queued health record ${healthRecord._id} for processing`);
+
+    res.locals.audit = { healthRecords: [healthRecord._id], subjects: [userId] };
     
-    // Return a simplified response to avoid too much data in the initial response
-    res.status(201).json({
+    res.status(202).json({
       _id: healthRecord._id,
       title: healthRecord.title,
-      description: healthRecord.description,
       documentType: healthRecord.documentType,
-      patientName: healthRecord.patientName,
-      patientPhone: healthRecord.patientPhone,
-      fileUrl: healthRecord.fileUrl,
-      extractedData: {
-        text: parsedData.text.substring(0, 300) + (parsedData.text.length > 300 ? '...' : ''),
-        pageCount: parsedData.pages ? parsedData.pages.length : 0
-      },
-      structuredData: structuredData,
-      createdAt: healthRecord.createdAt,
       processingStatus: healthRecord.processingStatus,
-      verificationCall: healthRecord.verificationCall ? {
-        callId: healthRecord.verificationCall.callId,
-        status: healthRecord.verificationCall.status,
-        recordingUrl: healthRecord.verificationCall.recordingUrl
-      } : null,
-      // Include a message about detailed data availability
-      message: "Full document data saved. Use the /api/health-records/:id/full endpoint to retrieve complete data."
+      createdAt: healthRecord.createdAt,
+      message: 'Health record accepted for processing. Use /api/health-records/:id to follow its processingStatus.'
     });
   } catch (error) {
     console.error('Upload error:', error);
     
+    // Don't leave behind a record that will never be processed
+    if (healthRecord) {
+      await removeHealthRecord(healthRecord, { kind: 'system' }).catch(() => {});
+    }
+    
     // Clean up the local file if it exists and an error occurred
     cleanupLocalFile(localFilePath);
     
@@ -469,31 +168,188 @@ const uploadHealthRecord = async (req, res) => {
   }
 };
 
-// @desc    Get all health records for a user
-// @route   GET /api/health-records
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// List cursors are opaque to clients: the createdAt and _id of the last
+// record on the previous page
+const encodeListCursor = (healthRecord) => Buffer.from(JSON.stringify({
+  c: healthRecord.createdAt.toISOString(),
+  i: String(healthRecord._id)
+})).toString('base64url');
+
+const decodeListCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) {
+      return null;
+    }
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Comma separated list parameter, e.g. documentType=Prescription,Lab Result
+const parseListParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parses the filters, search and paging options of the record list
+ * @param {Object} params - req.query
+ * @returns {Object} - { conditions, patientId, search, cursor, limit } or { error }
+ */
+const parseRecordListQuery = (params) => {
+  const conditions = [];
+
+  const enumFilters = [
+    ['documentType', 'documentType'],
+    ['processingStatus', 'processingStatus'],
+    ['verificationStatus', 'verificationCall.status']
+  ];
+  for (const [param, pathName] of enumFilters) {
+    if (params[param] === undefined) {
+      continue;
+    }
+    const values = parseListParam(params[param]);
+    const allowed = HealthRecord.schema.path(pathName).enumValues;
+    if (values.length === 0 || values.some(value => !allowed.includes(value))) {
+      return { error: `${param} must be one or more of: ${allowed.join(', ')}` };
+    }
+    conditions.push({ [pathName]: { $in: values } });
+  }
+
+  if (params.verified !== undefined) {
+    if (!['true', 'false'].includes(params.verified)) {
+      return { error: 'verified must be true or false' };
+    }
+    conditions.push(params.verified === 'true'
+      ? { 'verificationCall.verificationComplete': true }
+      : { 'verificationCall.verificationComplete': { $ne: true } });
+  }
+
+  if (params.patientId !== undefined && !mongoose.Types.ObjectId.isValid(params.patientId)) {
+    return { error: 'patientId must be a valid ID' };
+  }
+
+  const createdAt = {};
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (params[param] === undefined) {
+      continue;
+    }
+    const date = new Date(params[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be a valid date` };
+    }
+    if (param === 'to' && DATE_ONLY.test(params[param])) {
+      // A plain date includes the whole of that day
+      createdAt.$lt = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      createdAt[operator] = date;
+    }
+  }
+  if (Object.keys(createdAt).length > 0) {
+    conditions.push({ createdAt });
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let cursor = null;
+  if (params.cursor !== undefined) {
+    cursor = decodeListCursor(params.cursor);
+    if (!cursor) {
+      return { error: 'cursor is not valid' };
+    }
+  }
+
+  return {
+    conditions,
+    patientId: params.patientId,
+    search: params.q !== undefined ? String(params.q) : undefined,
+    cursor,
+    limit
+  };
+};
+
+// @desc    Get all health records the user can read (their own and those of linked patients)
+// @route   GET /api/health-records?q=&documentType=&processingStatus=&verificationStatus=&verified=&from=&to=&patientId=&limit=&cursor=
 // @access  Private
 const getUserHealthRecords = async (req, res) => {
   try {
-    const healthRecords = await HealthRecord.find({ user: req.user._id })
-      .sort({ createdAt: -1 });
+    const query = parseRecordListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    const conditions = [getRecordScope(req.user, PERMISSIONS.RECORDS_READ), ...query.conditions];
+    if (query.patientId !== undefined) {
+      // A self profile also covers the account's records without a profile
+      const patient = await Patient.findById(query.patientId);
+      conditions.push(patient ? getPatientRecordFilter(patient) : { patient: query.patientId });
+    }
+    if (query.search !== undefined) {
+      const searchFilter = buildSearchFilter(query.search);
+      if (!searchFilter) {
+        return res.status(400).json({ message: 'q must contain at least one word to search for' });
+      }
+      conditions.push(searchFilter);
+    }
+    if (query.cursor) {
+      // Everything after the last record of the previous page
+      conditions.push({
+        $or: [
+          { createdAt: { $lt: query.cursor.createdAt } },
+          { createdAt: query.cursor.createdAt, _id: { $lt: query.cursor.id } }
+        ]
+      });
+    }
+
+    // One extra record tells us whether there is another page
+    const page = await HealthRecord.find({ $and: conditions })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(query.limit + 1);
+    const hasMore = page.length > query.limit;
+    const healthRecords = hasMore ? page.slice(0, query.limit) : page;
+    const lastRecord = healthRecords[healthRecords.length - 1];
 
     // Return a simplified version to avoid large response sizes
     const simplifiedRecords = healthRecords.map(record => ({
       _id: record._id,
+      user: record.user,
       title: record.title,
       description: record.description,
       documentType: record.documentType,
+      patient: record.patient,
       patientName: record.patientName,
       patientPhone: record.patientPhone,
       fileUrl: record.fileUrl,
+      externalUrl: record.externalUrl,
       createdAt: record.createdAt,
+      processingStatus: record.processingStatus,
+      verificationStatus: record.verificationCall && record.verificationCall.status,
       // Include summary of extracted and structured data
       hasExtractedData: !!record.extractedData,
       hasStructuredData: !!record.structuredData,
       processingMetadata: record.processingMetadata
     }));
 
-    res.json({ records: simplifiedRecords });
+    res.locals.audit = {
+      healthRecords: healthRecords.map(record => record._id),
+      subjects: healthRecords.map(record => record.user)
+    };
+
+    res.json({
+      records: simplifiedRecords,
+      nextCursor: hasMore ? encodeListCursor(lastRecord) : null,
+      hasMore
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -505,41 +361,7 @@ const getUserHealthRecords = async (req, res) => {
 // @access  Private
 const getHealthRecordById = async (req, res) => {
   try {
-    const healthRecord = await HealthRecord.findById(req.params.id);
-
-    if (!healthRecord) {
-      return res.status(404).json({ message: 'Health record not found' });
-    }
-
-    // Check if record belongs to user
-    if (healthRecord.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this record' });
-    }
-
-    // Return a simplified version to avoid large response sizes
-    const simplifiedRecord = {
-      _id: healthRecord._id,
-      title: healthRecord.title,
-      description: healthRecord.description,
-      documentType: healthRecord.documentType,
-      patientName: healthRecord.patientName,
-      patientPhone: healthRecord.patientPhone,
-      fileUrl: healthRecord.fileUrl,
-      createdAt: healthRecord.createdAt,
-      // Include structured data but not the full extracted text
-      structuredData: healthRecord.structuredData,
-      // Include summary of extracted data
-      extractedData: {
-        hasText: !!healthRecord.extractedData?.text,
-        textPreview: healthRecord.extractedData?.text 
-          ? healthRecord.extractedData.text.substring(0, 300) + (healthRecord.extractedData.text.length > 300 ? '...' : '')
-          : '',
-        pageCount: healthRecord.extractedData?.pages?.length || 0
-      },
-      processingMetadata: healthRecord.processingMetadata
-    };
-
-    res.json({ record: simplifiedRecord });
+    res.json({ record: buildRecordView(req.healthRecord) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -551,16 +373,7 @@ const getHealthRecordById = async (req, res) => {
 // @access  Private
 const getFullHealthRecordById = async (req, res) => {
   try {
-    const healthRecord = await HealthRecord.findById(req.params.id);
-
-    if (!healthRecord) {
-      return res.status(404).json({ message: 'Health record not found' });
-    }
-
-    // Check if record belongs to user
-    if (healthRecord.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this record' });
-    }
+    const healthRecord = req.healthRecord;
 
     // Return the complete record with all extracted and structured data
     res.json({ 
@@ -572,10 +385,18 @@ const getFullHealthRecordById = async (req, res) => {
         patientName: healthRecord.patientName,
         patientPhone: healthRecord.patientPhone,
         fileUrl: healthRecord.fileUrl,
+        externalUrl: healthRecord.externalUrl,
         createdAt: healthRecord.createdAt,
+        processingStatus: healthRecord.processingStatus,
+        review: healthRecord.review,
         // Include ALL data
         extractedData: healthRecord.extractedData,
         structuredData: healthRecord.structuredData,
+        fieldProvenance: healthRecord.fieldProvenance,
+        verificationCall: {
+          status: healthRecord.verificationCall?.status,
+          corrections: healthRecord.verificationCall?.corrections || []
+        },
         processingMetadata: healthRecord.processingMetadata
       }
     });
@@ -590,19 +411,13 @@ const getFullHealthRecordById = async (req, res) => {
 // @access  Private
 const deleteHealthRecord = async (req, res) => {
   try {
-    const healthRecord = await HealthRecord.findById(req.params.id);
-
-    if (!healthRecord) {
-      return res.status(404).json({ message: 'Health record not found' });
-    }
+    const healthRecord = req.healthRecord;
 
-    // Check if record belongs to user
-    if (healthRecord.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this record' });
-    }
+    // Linked files from FHIR imports belong to someone else and are left alone
+    const storedHere = healthRecord.processingMetadata?.storageLocation !== 'external';
 
     // If file is stored on S3, delete it
-    if (healthRecord.fileUrl && healthRecord.fileUrl.includes('amazonaws.com')) {
+    if (storedHere && healthRecord.fileUrl && healthRecord.fileUrl.includes('amazonaws.com')) {
       try {
         await deleteFileFromS3(healthRecord.fileUrl);
         console.log('File deleted from S3:', healthRecord.fileUrl);
@@ -612,11 +427,11 @@ const deleteHealthRecord = async (req, res) => {
       }
     } 
     // If file is stored locally, attempt to delete it
-    else if (healthRecord.filePath && fs.existsSync(healthRecord.filePath)) {
+    else if (storedHere && healthRecord.filePath && fs.existsSync(healthRecord.filePath)) {
       cleanupLocalFile(healthRecord.filePath);
     }
 
-    await healthRecord.deleteOne();
+    await removeHealthRecord(healthRecord, { kind: 'user', user: req.user._id });
 
     res.json({ message: 'Health record removed' });
   } catch (error) {
@@ -630,16 +445,7 @@ const deleteHealthRecord = async (req, res) => {
 // @access  Private
 const initiateCallVerification = async (req, res) => {
   try {
-    const healthRecord = await HealthRecord.findById(req.params.id);
-
-    if (!healthRecord) {
-      return res.status(404).json({ message: 'Health record not found' });
-    }
-
-    // Check if record belongs to user
-    if (healthRecord.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this record' });
-    }
+    const healthRecord = req.healthRecord;
     
     // Check if there's already an active verification
     if (healthRecord.verificationCall && 
@@ -651,36 +457,42 @@ const initiateCallVerification = async (req, res) => {
       });
     }
     
-    // Check if patient phone is provided
-    if (!healthRecord.patientPhone || healthRecord.patientPhone.trim() === '') {
-      // Allow the API to provide a phone number
-      const { patientPhone } = req.body;
-      if (!patientPhone || patientPhone.trim() === '') {
-        return res.status(400).json({ message: 'Patient phone number is required for verification' });
-      }
-      
-      // Update the patient phone in the record
-      healthRecord.patientPhone = patientPhone;
-      await healthRecord.save();
+    // Call the record's patient profile if it has one; otherwise allow the API
+    // to provide a phone number if the record has none
+    const contact = await getCallContact(healthRecord);
+    const patientPhone = typeof contact.patientPhone === 'string' && contact.patientPhone.trim() !== ''
+      ? contact.patientPhone
+      : req.body.patientPhone;
+    
+    if (typeof patientPhone !== 'string' || patientPhone.trim() === '') {
+      return res.status(400).json({ message: 'Patient phone number is required for verification' });
     }
     
     // Initiate the verification call
     const verificationResult = await initiateVerificationCall({
-      patientName: healthRecord.patientName || 'Patient',
-      patientPhone: healthRecord.patientPhone,
+      patientName: contact.patientName || 'Patient',
+      patientPhone,
       documentType: healthRecord.documentType,
       documentId: healthRecord._id.toString(),
       extractedData: healthRecord.extractedData,
       structuredData: healthRecord.structuredData
     });
     
-    // Update the health record with verification call info
-    await HealthRecord.findByIdAndUpdate(healthRecord._id, {
+    // Update the health record with verification call info. The result is
+    // recorded when Retell posts the call_ended webhook.
+    await updateHealthRecord(healthRecord._id, {
+      patientPhone,
       'verificationCall.callId': verificationResult.callId,
       'verificationCall.status': verificationResult.status,
       'verificationCall.startTime': new Date(verificationResult.startTime),
-      'verificationCall.metadata': verificationResult.retellData,
-      'processingStatus': 'verification_initiated'
+      'verificationCall.metadata': verificationResult.metadata,
+      'verificationCall.endTime': null,
+      'verificationCall.transcript': null,
+      'verificationCall.transcriptObject': null,
+      'verificationCall.recordingUrl': null
+    }, {
+      actor: { kind: 'user', user: req.user._id },
+      action: 'verification_call'
     });
     
     res.json({
@@ -700,101 +512,13 @@ const initiateCallVerification = async (req, res) => {
 // @access  Private
 const getCallVerificationStatus = async (req, res) => {
   try {
-    const healthRecord = await HealthRecord.findById(req.params.id);
-
-    if (!healthRecord) {
-      return res.status(404).json({ message: 'Health record not found' });
-    }
-
-    // Check if record belongs to user
-    if (healthRecord.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to access this record' });
-    }
+    const healthRecord = req.healthRecord;
     
     // Check if verification has been initiated
     if (!healthRecord.verificationCall || !healthRecord.verificationCall.callId) {
       return res.status(404).json({ message: 'No verification call found for this record' });
     }
     
-    // If the call is ongoing or registered, check the current status from Retell
-    if (['registered', 'ongoing'].includes(healthRecord.verificationCall.status)) {
-      try {
-        const callStatus = await getCallStatus(healthRecord.verificationCall.callId);
-        
-        // If the call status has changed, update the record
-        if (callStatus.status !== healthRecord.verificationCall.status) {
-          const updateData = {
-            'verificationCall.status': callStatus.status
-          };
-          
-          // If the call has ended, process the transcript data
-          if (callStatus.status === 'ended') {
-            // Check if we have transcript_object or regular transcript
-            if (callStatus.transcriptObject || callStatus.transcript) {
-              // Process the transcript to extract corrections and feedback
-              const transcriptResult = await processCallTranscript(callStatus);
-              
-              // Update verification data with transcript results
-              Object.assign(updateData, {
-                'verificationCall.endTime': callStatus.endTime ? new Date(callStatus.endTime) : new Date(),
-                'verificationCall.transcript': callStatus.transcript || null,
-                'verificationCall.transcriptObject': callStatus.transcriptObject || null,
-                'verificationCall.recordingUrl': callStatus.recordingUrl || null,
-                'verificationCall.verificationComplete': transcriptResult.verificationSuccessful || false,
-                'verificationCall.corrections': transcriptResult.corrections || [],
-                'verificationCall.additionalInfo': transcriptResult.additionalInfo || '',
-                'verificationCall.summary': transcriptResult.transcriptAnalysis?.summary || '',
-                'processingStatus': 'verification_complete'
-              });
-              
-              // Apply corrections to the health record data
-              if (transcriptResult.corrections && transcriptResult.corrections.length > 0) {
-                for (const correction of transcriptResult.corrections) {
-                  // Apply corrections to patient data fields
-                  if (correction.field === 'patientName' || correction.field === 'patientPhone') {
-                    updateData[correction.field] = correction.correct;
-                  }
-                  
-                  // For other corrections, store them but don't automatically update structured data
-                }
-              }
-              
-              // If we got additional info, we might want to update the record description
-              if (transcriptResult.additionalInfo && transcriptResult.additionalInfo.trim() !== '') {
-                updateData.description = healthRecord.description 
-                  ? `${healthRecord.description}\n\nAdditional info from verification: ${transcriptResult.additionalInfo}`
-                  : `Additional info from verification: ${transcriptResult.additionalInfo}`;
-              }
-            } else {
-              // No transcript data available, just mark the call as ended
-              Object.assign(updateData, {
-                'verificationCall.endTime': callStatus.endTime ? new Date(callStatus.endTime) : new Date(),
-                'processingStatus': 'verification_ended_no_transcript'
-              });
-            }
-          }
-          
-          // Update the health record
-          await HealthRecord.findByIdAndUpdate(healthRecord._id, updateData);
-          
-          // Refresh the record data
-          healthRecord.verificationCall.status = callStatus.status;
-          if (updateData['verificationCall.transcript']) {
-            healthRecord.verificationCall.transcript = updateData['verificationCall.transcript'];
-          }
-          if (updateData['verificationCall.transcriptObject']) {
-            healthRecord.verificationCall.transcriptObject = updateData['verificationCall.transcriptObject'];
-          }
-          if (updateData['verificationCall.recordingUrl']) {
-            healthRecord.verificationCall.recordingUrl = updateData['verificationCall.recordingUrl'];
-          }
-        }
-      } catch (statusError) {
-        console.error('Error getting call status:', statusError);
-        // Continue with the existing data
-      }
-    }
-    
     // Return the verification status
     res.json({
       callId: healthRecord.verificationCall.callId,
@@ -817,6 +541,184 @@ const getCallVerificationStatus = async (req, res) => {
   }
 };
 
+// @desc    Edit structured fields with JSON Patch operations and/or mark the record reviewed
+// @route   PATCH /api/health-records/:id/structured
+// @access  Private
+const updateStructuredData = async (req, res) => {
+  try {
+    const { operations, reviewed } = req.body;
+    const hasOperations = Array.isArray(operations) && operations.length > 0;
+
+    if (!hasOperations && typeof reviewed !== 'boolean') {
+      return res.status(400).json({ message: 'Provide operations to apply and/or a reviewed flag' });
+    }
+
+    const healthRecord = req.healthRecord;
+
+    if (!healthRecord.structuredData) {
+      return res.status(409).json({ 
+        message: 'Structured data is not available until processing finishes',
+        processingStatus: healthRecord.processingStatus
+      });
+    }
+
+    const update = {};
+
+    if (hasOperations) {
+      const result = applyStructuredDataPatch(
+        healthRecord.structuredData,
+        healthRecord.fieldProvenance,
+        operations,
+        { source: PROVENANCE_SOURCES.MANUAL, reference: req.user._id.toString() }
+      );
+
+      if (result.errors.length > 0) {
+        return res.status(400).json({ 
+          message: 'Validation failed', 
+          errors: result.errors 
+        });
+      }
+
+      // A patch that leaves the data as it was (e.g. replacing a value with
+      // itself) isn't an edit, and mustn't mark the field as manual
+      if (JSON.stringify(result.structuredData) !== JSON.stringify(healthRecord.structuredData)) {
+        update.structuredData = result.structuredData;
+        update.fieldProvenance = result.fieldProvenance;
+      }
+    }
+
+    if (reviewed === true) {
+      // The file is stored after GROQ runs; wait for that before signing off
+      if (!healthRecord.processingMetadata?.storageLocation) {
+        return res.status(409).json({ 
+          message: 'Record is still being processed and cannot be reviewed yet',
+          processingStatus: healthRecord.processingStatus
+        });
+      }
+
+      Object.assign(update, {
+        'review.reviewed': true,
+        'review.reviewedBy': req.user._id,
+        'review.reviewedAt': new Date(),
+        processingStatus: 'complete'
+      });
+    } else if (reviewed === false && healthRecord.review?.reviewed) {
+      Object.assign(update, {
+        'review.reviewed': false,
+        'review.reviewedBy': null,
+        'review.reviewedAt': null,
+        processingStatus: 'groq_processing_complete'
+      });
+    }
+
+    // Nothing changes, so there is no revision to record
+    const updatedRecord = Object.keys(update).length === 0
+      ? healthRecord
+      : await updateHealthRecord(healthRecord._id, update, {
+        actor: { kind: 'user', user: req.user._id },
+        action: typeof reviewed === 'boolean' && !hasOperations ? 'review' : 'structured_edit',
+        expectedRevision: healthRecord.revisionCount
+      });
+
+    if (!updatedRecord) {
+      return res.status(409).json({ message: 'Record was changed by another request, reload it and try again' });
+    }
+
+    res.json({
+      record: {
+        _id: updatedRecord._id,
+        structuredData: updatedRecord.structuredData,
+        fieldProvenance: updatedRecord.fieldProvenance,
+        review: updatedRecord.review,
+        processingStatus: updatedRecord.processingStatus,
+        revision: updatedRecord.revisionCount
+      }
+    });
+  } catch (error) {
+    console.error('Error updating structured data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the drug-allergy and drug-drug warnings for a health record's medications
+// @route   GET /api/health-records/:id/alerts
+// @access  Private
+const getHealthRecordAlerts = async (req, res) => {
+  try {
+    const healthRecord = req.healthRecord;
+    const { checkedAt = null, rulesVersion = null, alerts = [] } = healthRecord.interactionCheck || {};
+
+    res.json({
+      healthRecord: healthRecord._id,
+      checkedAt,
+      rulesVersion,
+      alerts,
+      summary: {
+        total: alerts.length,
+        bySeverity: SEVERITIES.reduce((counts, severity) => {
+          counts[severity] = alerts.filter(alert => alert.severity === severity).length;
+          return counts;
+        }, {})
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the revision history of a health record
+// @route   GET /api/health-records/:id/history
+// @access  Private
+const getHealthRecordHistory = async (req, res) => {
+  try {
+    const healthRecord = req.healthRecord;
+
+    const revisions = await getRevisionHistory(healthRecord._id);
+
+    res.json({ 
+      currentRevision: healthRecord.revisionCount,
+      revisions 
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the changes made in a revision, or between two revisions with ?against=<rev>
+// @route   GET /api/health-records/:id/history/:rev/diff
+// @access  Private
+const getHealthRecordRevisionDiff = async (req, res) => {
+  try {
+    const revision = Number(req.params.rev);
+    const against = req.query.against !== undefined ? Number(req.query.against) : revision - 1;
+
+    if (!Number.isInteger(revision) || !Number.isInteger(against) || revision < 1 || against < 0) {
+      return res.status(400).json({ message: 'Revisions must be whole numbers, starting at 1' });
+    }
+
+    const healthRecord = req.healthRecord;
+
+    if (revision > healthRecord.revisionCount || against > healthRecord.revisionCount) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const changes = against <= revision
+      ? await diffRevisions(healthRecord, against, revision)
+      : await diffRevisions(healthRecord, revision, against);
+
+    res.json({
+      from: Math.min(against, revision),
+      to: Math.max(against, revision),
+      changes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   uploadHealthRecord,
   getUserHealthRecords,
@@ -825,5 +727,10 @@ module.exports = {
   deleteHealthRecord,
   initiateCallVerification,
   getCallVerificationStatus,
-  cleanupLocalFile
+  updateStructuredData,
+  getHealthRecordHistory,
+  getHealthRecordRevisionDiff,
+  getHealthRecordAlerts,
+  cleanupLocalFile,
+  buildRecordView
 }; 
\ No newline at end of file
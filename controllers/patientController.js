@@ -0,0 +1,336 @@
+const Patient = require('../models/Patient');
+const HealthRecord = require('../models/HealthRecord');
+const { PERMISSIONS, getRecordScope } = require('../services/accessPolicy');
+const VitalObservation = require('../models/VitalObservation');
+const {
+  RELATIONSHIPS,
+  describePatient,
+  findPatientRecords,
+  getPatientRecordFilter
+} = require('../services/patientService');
+const { buildPatientTimeline } = require('../services/patientTimelineService');
+const { reconcileMedications } = require('../services/medicationReconciliationService');
+const { identifyLabTest, buildLabSeries } = require('../services/labNormalizationService');
+const { KINDS, HYPERTENSION_CATEGORIES, describeObservation } = require('../services/vitalSignsService');
+
+/**
+ * Validates and normalises the editable fields of a patient profile
+ * @param {Object} body - Request body
+ * @returns {Object} - { fields } or { error }
+ */
+const parsePatientFields = ({ name, dateOfBirth, phoneNumber, relationship }) => {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'name must be a non-empty string' };
+    }
+    fields.name = name.trim();
+  }
+
+  if (dateOfBirth !== undefined) {
+    const parsed = dateOfBirth === null || dateOfBirth === '' ? null : new Date(dateOfBirth);
+    if (parsed && (isNaN(parsed.getTime()) || parsed > new Date())) {
+      return { error: 'dateOfBirth must be a valid date in the past' };
+    }
+    fields.dateOfBirth = parsed;
+  }
+
+  if (phoneNumber !== undefined) {
+    // An empty value clears the number
+    fields.phoneNumber = phoneNumber && String(phoneNumber).trim() !== '' ? String(phoneNumber).trim() : null;
+  }
+
+  if (relationship !== undefined) {
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return { error: `relationship must be one of: ${RELATIONSHIPS.join(', ')}` };
+    }
+    fields.relationship = relationship;
+  }
+
+  return { fields };
+};
+
+// @desc    Add a patient profile to the current account
+// @route   POST /api/patients
+// @access  Private
+const createPatient = async (req, res) => {
+  try {
+    const { fields, error } = parsePatientFields(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!fields.name) {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    const patient = await Patient.create({ ...fields, user: req.user._id });
+    res.locals.audit = { subjects: [req.user._id] };
+
+    res.status(201).json(describePatient(patient));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List the patient profiles the user can read
+// @route   GET /api/patients
+// @access  Private
+const getPatients = async (req, res) => {
+  try {
+    const patients = await Patient.find(getRecordScope(req.user, PERMISSIONS.RECORDS_READ)).sort({ createdAt: 1 });
+
+    res.json({ patients: patients.map(describePatient) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a patient profile
+// @route   GET /api/patients/:id
+// @access  Private
+const getPatientById = async (req, res) => {
+  try {
+    const recordCount = await HealthRecord.countDocuments(getPatientRecordFilter(req.patient));
+
+    res.json({ ...describePatient(req.patient), recordCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a patient profile
+// @route   PUT /api/patients/:id
+// @access  Private
+const updatePatient = async (req, res) => {
+  try {
+    const { fields, error } = parsePatientFields(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: 'Provide name, dateOfBirth, phoneNumber or relationship to update' });
+    }
+
+    const patient = req.patient;
+    Object.assign(patient, fields);
+    await patient.save();
+
+    res.json(describePatient(patient));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a patient profile that has no records
+// @route   DELETE /api/patients/:id
+// @access  Private
+const deletePatient = async (req, res) => {
+  try {
+    const recordCount = await HealthRecord.countDocuments(getPatientRecordFilter(req.patient));
+
+    // Records would lose the only link to who they are about
+    if (recordCount > 0) {
+      return res.status(409).json({
+        message: 'Delete this patient\'s health records first',
+        recordCount
+      });
+    }
+
+    await req.patient.deleteOne();
+
+    res.json({ message: 'Patient removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Chronological view of a patient's diagnoses, medications and lab results across all their records
+// @route   GET /api/patients/:id/timeline
+// @access  Private
+const getPatientTimeline = async (req, res) => {
+  try {
+    const timeline = await buildPatientTimeline(req.patient);
+
+    res.locals.audit = {
+      ...res.locals.audit,
+      healthRecords: timeline.records.map(record => record._id)
+    };
+
+    res.json({ patient: describePatient(req.patient), ...timeline });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reconciled medication list for a patient, merged across all their records
+// @route   GET /api/patients/:id/medications?status=active|discontinued
+// @access  Private
+const getPatientMedications = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !['active', 'discontinued'].includes(status)) {
+      return res.status(400).json({ message: 'status must be active or discontinued' });
+    }
+
+    const records = await findPatientRecords(req.patient);
+    const medications = reconcileMedications(records);
+
+    res.locals.audit = {
+      ...res.locals.audit,
+      healthRecords: records.map(record => record._id)
+    };
+
+    res.json({
+      patient: describePatient(req.patient),
+      medications: status ? medications.filter(medication => medication.status === status) : medications,
+      activeCount: medications.filter(medication => medication.status === 'active').length,
+      discontinuedCount: medications.filter(medication => medication.status === 'discontinued').length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Values of one lab test over time across all of a patient's records, for charting
+// @route   GET /api/patients/:id/labs/:testCode/series
+// @access  Private
+const getPatientLabSeries = async (req, res) => {
+  try {
+    // Test names are accepted as well as codes, e.g. "HbA1c" for "hba1c"
+    const { code } = identifyLabTest(req.params.testCode);
+    if (!code) {
+      return res.status(400).json({ message: 'testCode is required' });
+    }
+
+    const records = await findPatientRecords(req.patient);
+    const series = buildLabSeries(records).find(entry => entry.testCode === code);
+    const points = series ? series.points : [];
+
+    res.locals.audit = {
+      ...res.locals.audit,
+      healthRecords: [...new Set(points.flatMap(point => point.sources.map(source => String(source.healthRecord))))]
+    };
+
+    res.json({
+      patient: describePatient(req.patient),
+      testCode: code,
+      test: series ? series.test : identifyLabTest(req.params.testCode).name,
+      unit: series ? series.unit : null,
+      points
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Vital sign readings from a patient's records, in canonical units
+// @route   GET /api/patients/:id/vitals?kind=&from=&to=
+// @access  Private
+const getPatientVitals = async (req, res) => {
+  try {
+    // Readings carry the same user and patient fields as their records
+    const filter = getPatientRecordFilter(req.patient);
+
+    if (req.query.kind !== undefined) {
+      const kinds = String(req.query.kind).split(',').map(kind => kind.trim());
+      if (kinds.some(kind => !KINDS.includes(kind))) {
+        return res.status(400).json({ message: `kind must be one or more of: ${KINDS.join(', ')}` });
+      }
+      filter.kind = { $in: kinds };
+    }
+
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (req.query[param] === undefined) {
+        continue;
+      }
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ message: `${param} must be a valid date` });
+      }
+      filter.observedAt = { ...filter.observedAt, [operator]: date };
+    }
+
+    const observations = await VitalObservation.find(filter).sort({ observedAt: 1, kind: 1 });
+
+    res.locals.audit = {
+      ...res.locals.audit,
+      healthRecords: [...new Set(observations.map(observation => String(observation.healthRecord)))]
+    };
+
+    res.json({
+      patient: describePatient(req.patient),
+      observations: observations.map(describeObservation)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Hypertension-range blood pressure readings across a patient's records
+// @route   GET /api/patients/:id/vitals/alerts
+// @access  Private
+const getPatientVitalAlerts = async (req, res) => {
+  try {
+    const readings = await VitalObservation.find({
+      ...getPatientRecordFilter(req.patient),
+      kind: 'blood_pressure'
+    }).sort({ observedAt: 1 });
+
+    const alerts = readings
+      .filter(reading => HYPERTENSION_CATEGORIES.includes(reading.category))
+      .map(reading => ({
+        type: 'hypertension',
+        category: reading.category,
+        systolic: reading.systolic,
+        diastolic: reading.diastolic,
+        observedAt: reading.observedAt,
+        healthRecord: reading.healthRecord
+      }));
+    const latest = readings[readings.length - 1];
+
+    res.locals.audit = {
+      ...res.locals.audit,
+      healthRecords: [...new Set(alerts.map(alert => String(alert.healthRecord)))]
+    };
+
+    res.json({
+      patient: describePatient(req.patient),
+      alerts,
+      summary: {
+        bloodPressureReadings: readings.length,
+        hypertensionReadings: alerts.length,
+        // Hypertension is diagnosed from repeated readings, not a single one
+        sustained: alerts.length >= 2,
+        latestCategory: latest ? latest.category : null
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createPatient,
+  getPatients,
+  getPatientById,
+  updatePatient,
+  deletePatient,
+  getPatientTimeline,
+  getPatientMedications,
+  getPatientLabSeries,
+  getPatientVitals,
+  getPatientVitalAlerts
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const ShareGrant = require('../models/ShareGrant');
+const HealthRecord = require('../models/HealthRecord');
+const User = require('../models/User');
+const {
+  signShareToken,
+  resolveShareToken,
+  resolveExpiry,
+  getSharedRecords,
+  describeGrant
+} = require('../services/sharingService');
+const { buildRecordView } = require('./healthRecordController');
+
+// Path of the public endpoint a link token is used with
+const getShareUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/shared/${token}`;
+
+// @desc    Share records, by ID or by document type, with a named user or as a link
+// @route   POST /api/shares
+// @access  Private
+const createShareGrant = async (req, res) => {
+  try {
+    const { healthRecords, documentType, granteeEmail, label, expiresAt, expiresInDays } = req.body;
+    const hasRecords = Array.isArray(healthRecords) && healthRecords.length > 0;
+
+    if (hasRecords === !!documentType) {
+      return res.status(400).json({ message: 'Provide either healthRecords (an array of record IDs) or a documentType' });
+    }
+
+    const expiry = resolveExpiry({ expiresAt, expiresInDays });
+    if (expiry.error) {
+      return res.status(400).json({ message: expiry.error });
+    }
+
+    // Only the owner can share a record, whatever other access they have to it
+    if (hasRecords) {
+      if (!healthRecords.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'healthRecords must contain record IDs' });
+      }
+
+      const uniqueIds = [...new Set(healthRecords.map(String))];
+      const owned = await HealthRecord.countDocuments({ _id: { $in: uniqueIds }, user: req.user._id });
+      if (owned !== uniqueIds.length) {
+        return res.status(403).json({ message: 'You can only share your own records' });
+      }
+    } else if (!HealthRecord.schema.path('documentType').enumValues.includes(documentType)) {
+      return res.status(400).json({ message: 'Unknown documentType' });
+    }
+
+    let grantee = null;
+    if (granteeEmail) {
+      grantee = await User.findOne({ email: String(granteeEmail).toLowerCase().trim() });
+      if (!grantee) {
+        return res.status(404).json({ message: 'No user found with that email' });
+      }
+      if (grantee._id.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot share records with yourself' });
+      }
+    }
+
+    const grant = await ShareGrant.create({
+      owner: req.user._id,
+      healthRecords: hasRecords ? [...new Set(healthRecords.map(String))] : [],
+      documentType: hasRecords ? null : documentType,
+      grantee: grantee ? grantee._id : null,
+      label: label || '',
+      expiresAt: expiry.expiresAt
+    });
+
+    res.locals.audit = { healthRecords: grant.healthRecords, subjects: [req.user._id], shareGrant: grant._id };
+
+    const response = { grant: describeGrant(grant) };
+
+    // Named grantees fetch their token from /api/shares/received instead
+    if (!grant.grantee) {
+      const token = signShareToken(grant);
+      response.token = token;
+      response.url = getShareUrl(req, token);
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    console.error('Share grant error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List the grants the user has created
+// @route   GET /api/shares
+// @access  Private
+const getShareGrants = async (req, res) => {
+  try {
+    const grants = await ShareGrant.find({ owner: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('grantee', 'name email');
+
+    res.json({ grants: grants.map(describeGrant) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List active grants shared with the user, with tokens to open them
+// @route   GET /api/shares/received
+// @access  Private
+const getReceivedShareGrants = async (req, res) => {
+  try {
+    const grants = await ShareGrant.find({
+      grantee: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('owner', 'name email');
+
+    res.json({
+      grants: grants.map(grant => {
+        const token = signShareToken(grant);
+        return { ...describeGrant(grant), token, url: getShareUrl(req, token) };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke a grant; its token stops working immediately
+// @route   DELETE /api/shares/:id
+// @access  Private
+const revokeShareGrant = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Share grant not found' });
+    }
+
+    const grant = await ShareGrant.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Share grant not found' });
+    }
+
+    if (!grant.revokedAt) {
+      grant.revokedAt = new Date();
+      await grant.save();
+    }
+
+    res.locals.audit = { healthRecords: grant.healthRecords, subjects: [req.user._id], shareGrant: grant._id };
+
+    res.json({ message: 'Share grant revoked', grant: describeGrant(grant) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Open shared records with a share token
+// @route   GET /api/shared/:token
+// @route   GET /api/shared/:token/records/:recordId
+// @access  Public for link grants; the named grantee's login for named grants
+const getSharedHealthRecords = async (req, res) => {
+  try {
+    const grant = await resolveShareToken(req.params.token);
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Share link is invalid, expired or revoked' });
+    }
+
+    res.locals.audit = { healthRecords: [], subjects: [grant.owner], shareGrant: grant._id };
+
+    if (grant.grantee && (!req.user || !grant.grantee.equals(req.user._id))) {
+      return res.status(403).json({ message: 'This share is for a named user; log in as that user to open it' });
+    }
+
+    const { recordId } = req.params;
+    if (recordId && !mongoose.Types.ObjectId.isValid(recordId)) {
+      return res.status(404).json({ message: 'Health record not found' });
+    }
+
+    const healthRecords = await getSharedRecords(grant, recordId);
+    res.locals.audit.healthRecords = healthRecords.map(record => record._id);
+
+    if (recordId) {
+      if (healthRecords.length === 0) {
+        return res.status(404).json({ message: 'Health record not found' });
+      }
+      return res.json({ record: buildRecordView(healthRecords[0]) });
+    }
+
+    res.json({
+      expiresAt: grant.expiresAt,
+      records: healthRecords.map(buildRecordView)
+    });
+  } catch (error) {
+    console.error('Shared record error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createShareGrant,
+  getShareGrants,
+  getReceivedShareGrants,
+  revokeShareGrant,
+  getSharedHealthRecords
+};
@@ -1,13 +1,122 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { ROLES } = require('../services/accessPolicy');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionFamily,
+  revokeAllSessions
+} = require('../services/sessionService');
+const {
+  generateTotpSecret,
+  buildProvisioningUri,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  signMfaChallenge,
+  verifyMfaChallenge
+} = require('../services/totpService');
+const { TOKEN_PURPOSES, issueAccountToken, consumeAccountToken } = require('../services/accountTokenService');
+const { sendMail } = require('../services/mailService');
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../services/loginThrottleService');
+const { requestAccountErasure } = require('../services/accountErasureService');
+const DeletionReceipt = require('../models/DeletionReceipt');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Client details stored with each session
+const getClientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') || '' });
+
+// Response for a completed login
+const buildLoginResponse = (user, tokens) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  dateOfBirth: user.dateOfBirth,
+  phoneNumber: user.phoneNumber || '',
+  role: user.role || 'patient',
+  emailVerified: !!user.emailVerified,
+  ...tokens,
+});
+
+// Refuses a login attempt while the account is locked for this client
+const sendLockedOut = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed login attempts; try again in ${retryAfter} seconds`,
+    retryAfter,
+  });
+};
+
+// Account deletion receipt as returned to the client
+const describeDeletionReceipt = (receipt) => ({
+  receiptId: receipt.receiptId,
+  subject: receipt.subject,
+  status: receipt.status,
+  erased: Object.fromEntries(receipt.erased || []),
+  pending: receipt.pending,
+  retained: receipt.retained,
+  requestedAt: receipt.requestedAt,
+  completedAt: receipt.completedAt,
+  hash: receipt.hash,
+});
+
+// Link into the app that carries an emailed token
+const buildAppLink = (route, token) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${appUrl}/${route}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (user) => {
+  const { token } = await issueAccountToken(user, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${buildAppLink('verify-email', token)}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const { token, expiresAt } = await issueAccountToken(user, TOKEN_PURPOSES.PASSWORD_RESET);
+  const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link within ${minutes} minutes:\n${buildAppLink('reset-password', token)}\n\nIf you did not ask to reset your password, you can ignore this email; your password has not been changed.`,
   });
 };
 
+/**
+ * Checks a second factor and uses it up, so the same TOTP code or recovery
+ * code can't be accepted twice. The claim is atomic for concurrent requests.
+ * @param {Object} user - User with MFA secret loaded
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null if rejected
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.mfa.secret, code, user.mfa.lastUsedStep);
+    if (step === null) {
+      return null;
+    }
+    const claimed = await User.updateOne(
+      { _id: user._id, 'mfa.lastUsedStep': { $lt: step } },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return claimed.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const claimed = await User.updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': hash },
+      { $pull: { 'mfa.recoveryCodes': hash } }
+    );
+    return claimed.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
 // @desc    Register a new user
 // @route   POST /api/users
 // @access  Public
@@ -39,13 +148,22 @@ const registerUser = async (req, res) => {
     const user = await User.create(userData);
 
     if (user) {
+      const tokens = await createSession(user._id, getClientInfo(req));
+
+      // A mail failure shouldn't fail the registration; the user can ask for another link
+      sendVerificationEmail(user).catch(error => {
+        console.error('Failed to send verification email:', error);
+      });
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
         dateOfBirth: user.dateOfBirth,
         phoneNumber: user.phoneNumber || '',
-        token: generateToken(user._id),
+        role: user.role,
+        emailVerified: false,
+        ...tokens,
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -80,10 +198,17 @@ const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Locked accounts are refused before the password is even checked
+    const lockedUntil = await getLoginLockout(email, req.ip);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
     // Check for user email
     const user = await User.findOne({ email });
 
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
@@ -91,17 +216,404 @@ const loginUser = async (req, res) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
+    // With MFA on, the password only earns a challenge token for the second step
+    if (user.mfa && user.mfa.enabled) {
+      return res.json({
+        mfaRequired: true,
+        mfaToken: signMfaChallenge(user._id),
+      });
+    }
+
+    await clearLoginFailures(email, req.ip);
+    const tokens = await createSession(user._id, getClientInfo(req));
+
+    res.json(buildLoginResponse(user, tokens));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Finish an MFA login with a TOTP code or recovery code
+// @route   POST /api/users/login/mfa
+// @access  Public
+const completeMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'mfaToken and a code or recoveryCode are required' });
+    }
+
+    const userId = verifyMfaChallenge(mfaToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'MFA challenge is invalid or has expired; log in again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.mfa || !user.mfa.enabled) {
+      return res.status(401).json({ message: 'MFA challenge is invalid or has expired; log in again' });
+    }
+
+    // Codes are short, so guessing them is throttled like guessing passwords
+    const lockedUntil = await getLoginLockout(user.email, req.ip);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    const factor = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!factor) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await clearLoginFailures(user.email, req.ip);
+    const tokens = await createSession(user._id, getClientInfo(req));
+
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      dateOfBirth: user.dateOfBirth,
-      phoneNumber: user.phoneNumber || '',
-      token: generateToken(user._id),
+      ...buildLoginResponse(user, tokens),
+      ...(factor === 'recovery_code' && { recoveryCodesRemaining: user.mfa.recoveryCodes.length - 1 }),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start MFA enrollment: generate a secret for an authenticator app
+// @route   POST /api/users/mfa/enroll
+// @access  Private
+const enrollMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is already enabled; disable it first to enroll a new device' });
+    }
+
+    const secret = generateTotpSecret();
+    user.set('mfa.pendingSecret', secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Confirm MFA enrollment with a code from the authenticator app
+// @route   POST /api/users/mfa/verify
+// @access  Private
+const verifyMfaEnrollment = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is already enabled' });
+    }
+
+    if (!user.mfa || !user.mfa.pendingSecret) {
+      return res.status(400).json({ message: 'Start enrollment with POST /api/users/mfa/enroll first' });
+    }
+
+    const step = verifyTotp(user.mfa.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.set('mfa.secret', user.mfa.pendingSecret);
+    user.set('mfa.pendingSecret', null);
+    user.set('mfa.enabled', true);
+    user.set('mfa.enabledAt', new Date());
+    user.set('mfa.lastUsedStep', step);
+    user.set('mfa.recoveryCodes', hashes);
+    await user.save();
+
+    // Recovery codes are only ever shown here
+    res.json({
+      message: 'MFA enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Replace the recovery codes with a new set
+// @route   POST /api/users/mfa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user || !user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is not enabled' });
+    }
+
+    if (!(await consumeSecondFactor(user, { code }))) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'mfa.recoveryCodes': hashes } });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Turn MFA off
+// @route   POST /api/users/mfa/disable
+// @access  Private
+const disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'password and a code or recoveryCode are required' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user || !user.mfa || !user.mfa.enabled) {
+      return res.status(400).json({ message: 'MFA is not enabled' });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'mfa.enabled': false,
+        'mfa.secret': null,
+        'mfa.pendingSecret': null,
+        'mfa.recoveryCodes': [],
+        'mfa.lastUsedStep': -1,
+        'mfa.enabledAt': null,
+      },
     });
+
+    res.json({ message: 'MFA disabled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+    if (result.error === 'reused') {
+      return res.status(401).json({ message: 'Refresh token was already used; all tokens from this login have been revoked' });
+    }
+    if (result.error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json(result.tokens);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    End the current session
+// @route   POST /api/users/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSessionFamily(req.sessionFamily, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    End every session of the current user
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const sessions = await revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', sessions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/users/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+
+    const accountToken = await consumeAccountToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!accountToken) {
+      return res.status(400).json({ message: 'Verification link is invalid, expired or already used' });
+    }
+
+    const user = await User.findById(accountToken.user);
+    if (!user || user.email !== accountToken.email) {
+      return res.status(400).json({ message: 'Verification link is invalid, expired or already used' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified', email: user.email });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'email is required' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // Sent in the background and answered the same way either way, so the
+    // response doesn't reveal whether an account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch(error => {
+        console.error('Failed to send password reset email:', error);
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'token and password are required' });
+    }
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const accountToken = await consumeAccountToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!accountToken) {
+      return res.status(400).json({ message: 'Reset link is invalid, expired or already used' });
+    }
+
+    const user = await User.findById(accountToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid, expired or already used' });
+    }
+
+    user.password = password;
+    // Following the link proves the user reads this inbox
+    if (!user.emailVerified && user.email === accountToken.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset; log in with the new password' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -122,6 +634,10 @@ const getUserProfile = async (req, res) => {
         email: user.email,
         dateOfBirth: user.dateOfBirth,
         phoneNumber: user.phoneNumber || '',
+        role: user.role || 'patient',
+        emailVerified: !!user.emailVerified,
+        linkedPatients: user.linkedPatients || [],
+        mfaEnabled: !!(user.mfa && user.mfa.enabled),
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -132,8 +648,252 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Update the current user's name, phone number and date of birth
+// @route   PUT /api/users/profile
+// @access  Private
+const updateUserProfile = async (req, res) => {
+  try {
+    const { name, phoneNumber, dateOfBirth } = req.body;
+
+    if (name === undefined && phoneNumber === undefined && dateOfBirth === undefined) {
+      return res.status(400).json({ message: 'Provide name, phoneNumber or dateOfBirth to update' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (phoneNumber !== undefined) {
+      // An empty value clears the number
+      user.phoneNumber = phoneNumber && String(phoneNumber).trim() !== '' ? phoneNumber : undefined;
+    }
+    if (dateOfBirth !== undefined) {
+      const parsed = new Date(dateOfBirth);
+      if (isNaN(parsed.getTime()) || parsed > new Date()) {
+        return res.status(400).json({ message: 'dateOfBirth must be a valid date in the past' });
+      }
+      user.dateOfBirth = parsed;
+    }
+
+    await user.save();
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      dateOfBirth: user.dateOfBirth,
+      phoneNumber: user.phoneNumber || '',
+      role: user.role || 'patient',
+      emailVerified: !!user.emailVerified,
+      linkedPatients: user.linkedPatients || [],
+      mfaEnabled: !!(user.mfa && user.mfa.enabled),
+    });
+  } catch (error) {
+    console.error(error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change the current user's password
+// @route   PUT /api/users/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'currentPassword and newPassword are required' });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A stolen access token mustn't be a way around the login lockout
+    const lockedUntil = await getLoginLockout(user.email, req.ip);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Other devices signed in with the old password are logged out
+    const sessions = await revokeAllSessions(user._id, 'password_change', { exceptFamily: req.sessionFamily });
+
+    res.json({ message: 'Password changed', sessionsRevoked: sessions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete the current user's account and erase all of their data
+// @route   DELETE /api/users/me
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ message: 'password is required to delete the account' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const lockedUntil = await getLoginLockout(user.email, req.ip);
+    if (lockedUntil) {
+      return sendLockedOut(res, lockedUntil);
+    }
+
+    if (!(await user.comparePassword(password))) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.mfa && user.mfa.enabled) {
+      if (!code && !recoveryCode) {
+        return res.status(400).json({ message: 'A code or recoveryCode is required while MFA is enabled' });
+      }
+      if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+        await recordLoginFailure(user.email, req.ip);
+        return res.status(401).json({ message: 'Invalid verification code' });
+      }
+    }
+
+    res.locals.audit = { subjects: [user._id] };
+
+    const { receipt, existing } = await requestAccountErasure(user, { requestedBy: req.user._id });
+    // Signed out everywhere now; the data goes when the erasure job runs
+    await revokeAllSessions(user._id, 'account_deletion');
+
+    res.status(existing ? 200 : 202).json({
+      message: existing ? 'Account deletion is already in progress' : 'Account deletion started',
+      receipt: describeDeletionReceipt(receipt),
+      statusUrl: `/api/users/deletion-receipts/${receipt.receiptId}`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an account deletion receipt, which shows the erasure's progress
+// @route   GET /api/users/deletion-receipts/:receiptId
+// @access  Public
+const getDeletionReceipt = async (req, res) => {
+  try {
+    const receipt = await DeletionReceipt.findOne({ receiptId: req.params.receiptId });
+
+    if (!receipt) {
+      return res.status(404).json({ message: 'Deletion receipt not found' });
+    }
+
+    res.json({ receipt: describeDeletionReceipt(receipt) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set a user's role and the patients they are linked to
+// @route   PUT /api/users/:id/access
+// @access  Private/Admin
+const updateUserAccess = async (req, res) => {
+  try {
+    const { role, linkedPatients } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (linkedPatients !== undefined) {
+      if (!Array.isArray(linkedPatients) || !linkedPatients.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'linkedPatients must be an array of user IDs' });
+      }
+
+      const found = await User.countDocuments({ _id: { $in: linkedPatients } });
+      if (found !== new Set(linkedPatients.map(String)).size) {
+        return res.status(400).json({ message: 'linkedPatients contains unknown users' });
+      }
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (linkedPatients !== undefined) {
+      user.linkedPatients = [...new Set(linkedPatients.map(String))];
+    }
+
+    await user.save();
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      linkedPatients: user.linkedPatients,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  completeMfaLogin,
+  enrollMfa,
+  verifyMfaEnrollment,
+  regenerateRecoveryCodes,
+  disableMfa,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   getUserProfile,
+  updateUserProfile,
+  changePassword,
+  deleteAccount,
+  getDeletionReceipt,
+  updateUserAccess,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
 }; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+const { verifyWebhookSignature } = require('../services/retellService');
+const { enqueueCallEvent } = require('../services/pipelineService');
+
+// Retell call lifecycle events we act on
+const RETELL_EVENTS = ['call_started', 'call_ended', 'call_analyzed'];
+
+// @desc    Receive call lifecycle events from Retell
+// @route   POST /api/webhooks/retell
+// @access  Public (signed by Retell)
+const handleRetellWebhook = async (req, res) => {
+  try {
+    const signature = req.headers['x-retell-signature'];
+
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    const { event, call } = req.body;
+
+    if (!RETELL_EVENTS.includes(event)) {
+      // Acknowledge events we don't handle so Retell doesn't retry them
+      return res.json({ received: true, ignored: true });
+    }
+
+    if (!call || !call.call_id) {
+      return res.status(400).json({ message: 'Webhook payload is missing call data' });
+    }
+
+    // Processing the transcript can take longer than Retell waits for a
+    // response, so hand the event to the job queue and acknowledge now
+    await enqueueCallEvent(event, call);
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Retell webhook error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  handleRetellWebhook
+};
@@ -0,0 +1,46 @@
+const { appendAuditEntry, getOutcome } = require('../services/auditService');
+
+/**
+ * Records the request in the audit log once the response has been sent.
+ * The records involved come from req.healthRecord (set by authorizeRecord)
+ * or from res.locals.audit = { healthRecords, subjects, shareGrant } for
+ * handlers that touch several records.
+ * @param {string} action - Audit action, e.g. "record.read"
+ */
+const auditAccess = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    const context = res.locals.audit || {};
+    const healthRecords = context.healthRecords || (req.healthRecord ? [req.healthRecord._id] : []);
+    const subjects = context.subjects || (req.healthRecord ? [req.healthRecord.user] : []);
+
+    let actor;
+    if (req.user) {
+      actor = { kind: 'user', user: req.user._id, role: req.user.role || 'patient', shareGrant: context.shareGrant || null };
+    } else if (context.shareGrant) {
+      actor = { kind: 'share_link', shareGrant: context.shareGrant };
+    } else {
+      actor = { kind: 'anonymous' };
+    }
+
+    appendAuditEntry({
+      actor,
+      action,
+      healthRecords,
+      // The same patient can own several of the records
+      subjects: [...new Set(subjects.map(String))],
+      outcome: getOutcome(res.statusCode),
+      statusCode: res.statusCode,
+      method: req.method,
+      // The route pattern, so tokens in the URL never reach the log
+      path: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0],
+      ip: req.ip,
+      userAgent: req.get('user-agent') || ''
+    }).catch(error => {
+      console.error(`Failed to write audit entry for ${action}:`, error);
+    });
+  });
+
+  next();
+};
+
+module.exports = { auditAccess };
@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const HealthRecord = require('../models/HealthRecord');
+const Patient = require('../models/Patient');
+const { hasPermission, canAccessRecord } = require('../services/accessPolicy');
+const { isSessionActive } = require('../services/sessionService');
+
+// Loads the user named by an access token and the session it belongs to.
+// The user is null if the session has ended; throws if the token does not verify.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!(await isSessionActive(decoded.sid, decoded.id))) {
+    return { user: null, sessionFamily: null };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  return { user, sessionFamily: decoded.sid };
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -12,17 +30,15 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
       // Get user from the token
-      const user = await User.findById(decoded.id).select('-password');
+      const { user, sessionFamily } = await getUserFromToken(token);
       
       if (!user) {
-        return res.status(401).json({ message: 'Not authorized, user not found' });
+        return res.status(401).json({ message: 'Not authorized, session ended or user not found' });
       }
       
       req.user = user;
+      req.sessionFamily = sessionFamily;
       return next();
     } catch (error) {
       console.error(error);
@@ -33,4 +49,79 @@ const protect = async (req, res, next) => {
   return res.status(401).json({ message: 'Not authorized, no token' });
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+// Like protect, but lets anonymous requests through with req.user unset
+const identify = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const { user } = await getUserFromToken(req.headers.authorization.split(' ')[1]);
+      req.user = user || undefined;
+    } catch (error) {
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+  }
+
+  return next();
+};
+
+// Restricts a route to users whose role grants every listed permission
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({ message: 'Not authorized for this action', missing });
+  }
+
+  return next();
+};
+
+// Loads the health record in req.params.id onto req.healthRecord if the
+// access policy lets the user perform `permission` on it
+const authorizeRecord = (permission) => async (req, res, next) => {
+  try {
+    const healthRecord = mongoose.Types.ObjectId.isValid(req.params.id) ? await HealthRecord.findById(req.params.id) : null;
+
+    if (!healthRecord) {
+      return res.status(404).json({ message: 'Health record not found' });
+    }
+
+    if (!canAccessRecord(req.user, healthRecord, permission)) {
+      // Denied attempts are audited against the record too
+      res.locals.audit = { healthRecords: [healthRecord._id], subjects: [healthRecord.user] };
+      return res.status(403).json({ message: 'Not authorized to access this record' });
+    }
+
+    req.healthRecord = healthRecord;
+    return next();
+  } catch (error) {
+    console.error('Record authorization error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Loads the patient profile in req.params.id onto req.patient. Profiles
+// follow the access rules of the account that manages them, so a clinician
+// linked to an account can read its dependents too.
+const authorizePatient = (permission) => async (req, res, next) => {
+  try {
+    const patient = mongoose.Types.ObjectId.isValid(req.params.id) ? await Patient.findById(req.params.id) : null;
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    // Audited against the account that manages the profile
+    res.locals.audit = { subjects: [patient.user] };
+
+    if (!canAccessRecord(req.user, patient, permission)) {
+      return res.status(403).json({ message: 'Not authorized to access this patient' });
+    }
+
+    req.patient = patient;
+    return next();
+  } catch (error) {
+    console.error('Patient authorization error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = { protect, identify, authorize, authorizeRecord, authorizePatient };
@@ -0,0 +1,79 @@
+const { getDefaultRateLimitStore } = require('../services/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Limits applied to routes. Each is { name, windowMs, limit, by }, where
+// by is 'ip' or 'user' (per-user limits must come after protect).
+const RATE_LIMITS = {
+  LOGIN: { name: 'login', windowMs: 15 * MINUTE, limit: 20, by: 'ip' },
+  REGISTER: { name: 'register', windowMs: HOUR, limit: 10, by: 'ip' },
+  REFRESH: { name: 'refresh', windowMs: 15 * MINUTE, limit: 60, by: 'ip' },
+  ACCOUNT_EMAIL: { name: 'account_email', windowMs: HOUR, limit: 5, by: 'ip' },
+  ACCOUNT_TOKEN: { name: 'account_token', windowMs: 15 * MINUTE, limit: 20, by: 'ip' },
+  // Each upload and verification call starts paid Document AI, Groq and Retell work
+  UPLOAD_USER: { name: 'upload', windowMs: HOUR, limit: 20, by: 'user' },
+  UPLOAD_IP: { name: 'upload', windowMs: HOUR, limit: 60, by: 'ip' },
+  VERIFY_CALL_USER: { name: 'verify_call', windowMs: HOUR, limit: 10, by: 'user' },
+  DATA_EXPORT_USER: { name: 'data_export', windowMs: 24 * HOUR, limit: 3, by: 'user' }
+};
+
+/**
+ * Sets the standard RateLimit-* headers (IETF draft). When several limits
+ * apply to one route, the headers describe whichever has least room left.
+ * @param {Object} res - Express response
+ * @param {Object} state - { limit, remaining, resetSeconds, windowMs }
+ */
+const setRateLimitHeaders = (res, { limit, remaining, resetSeconds, windowMs }) => {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < remaining) {
+    return;
+  }
+
+  res.set('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+};
+
+/**
+ * Limits how many requests a client can make to a route in a window
+ * @param {Object} options - One of RATE_LIMITS, optionally with a store
+ */
+const rateLimit = ({ name, windowMs, limit, by = 'ip', store }) => async (req, res, next) => {
+  const subject = by === 'user' && req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+  const key = `${name}:${subject}`;
+
+  let bucket;
+  try {
+    bucket = await (store || getDefaultRateLimitStore()).increment(key, windowMs);
+  } catch (error) {
+    // Limits protect the service but shouldn't take it down with the database
+    console.error(`Rate limit check failed for ${key}:`, error);
+    return next();
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((bucket.resetAt.getTime() - Date.now()) / 1000));
+  setRateLimitHeaders(res, {
+    limit,
+    remaining: Math.max(0, limit - bucket.count),
+    resetSeconds,
+    windowMs
+  });
+
+  if (bucket.count > limit) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      message: 'Too many requests, please try again later',
+      retryAfter: resetSeconds
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  RATE_LIMITS,
+  rateLimit,
+  setRateLimitHeaders
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Backs the signed links sent by email. The link names this document, which
+// is marked used when the link is redeemed so each link works once.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  // Address the link was sent to; a verification link stops working if the
+  // user changes their email before using it
+  email: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB removes tokens once they have expired
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
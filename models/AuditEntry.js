@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['user', 'share_link', 'anonymous', 'system'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    role: {
+      type: String,
+      default: null
+    },
+    shareGrant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShareGrant',
+      default: null
+    }
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Records touched by the request
+  healthRecords: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord'
+  }],
+  // Owners of those records, so a patient can see who accessed their data
+  subjects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'not_found', 'throttled', 'error'],
+    required: true
+  },
+  statusCode: Number,
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Hash of the previous entry and of this entry's contents
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditEntrySchema.index({ sequence: 1 }, { unique: true });
+auditEntrySchema.index({ subjects: 1, timestamp: -1 });
+auditEntrySchema.index({ healthRecords: 1, timestamp: -1 });
+
+// Audit entries are append-only and are never deleted
+const rejectChange = function(next) {
+  next(new Error('Audit entries cannot be modified or deleted'));
+};
+auditEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+auditEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+auditEntrySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+module.exports = AuditEntry;
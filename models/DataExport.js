@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user, built in the background into a
+// ZIP archive that can be downloaded until it expires
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  progress: {
+    step: {
+      type: String,
+      default: 'queued'
+    },
+    totalRecords: {
+      type: Number,
+      default: 0
+    },
+    processedRecords: {
+      type: Number,
+      default: 0
+    },
+    percent: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Archive on local disk; removed when the export expires
+  filePath: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  // Original files that could not be fetched, listed in the archive index too
+  missingFiles: {
+    type: [{
+      _id: false,
+      healthRecord: mongoose.Schema.Types.ObjectId,
+      error: String
+    }],
+    default: []
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive can be downloaded until this time
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Keyring for field encryption. Each entry is a data key wrapped by a master
+// key from the key provider; plaintext keys only ever live in memory.
+const dataKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 'data' keys encrypt field values; the 'blind_index' key hashes lookup values
+  purpose: {
+    type: String,
+    enum: ['data', 'blind_index'],
+    required: true
+  },
+  // Only one key per purpose is active; retired keys can still decrypt
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  masterKeyId: {
+    type: String,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  rewrappedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+dataKeySchema.index(
+  { purpose: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const DataKey = mongoose.model('DataKey', dataKeySchema);
+
+module.exports = DataKey;
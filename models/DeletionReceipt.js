@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Proof that an account was erased. Holds no personal data: the user is
+// named only by ID and a keyed hash of their email, so a later request can
+// be checked against it.
+const deletionReceiptSchema = new mongoose.Schema({
+  receiptId: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  emailIndex: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // 'queued' until the erasure job has run; then 'completed', or
+  // 'completed_with_errors' when some external data (S3 files, call
+  // recordings) could not be deleted and is listed in pending
+  status: {
+    type: String,
+    enum: ['queued', 'completed', 'completed_with_errors'],
+    default: 'queued'
+  },
+  // Number of items erased, by kind
+  erased: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // External items still to delete: [{ kind, ref, error }]
+  pending: {
+    type: [{
+      _id: false,
+      kind: String,
+      ref: String,
+      error: String
+    }],
+    default: []
+  },
+  // What was kept and why
+  retained: {
+    type: [String],
+    default: []
+  },
+  requestedAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 over the receipt contents, so a copy can be checked against it;
+  // set when the erasure completes
+  hash: {
+    type: String,
+    default: null
+  }
+});
+
+deletionReceiptSchema.index({ receiptId: 1 }, { unique: true });
+deletionReceiptSchema.index({ subject: 1 });
+
+const DeletionReceipt = mongoose.model('DeletionReceipt', deletionReceiptSchema);
+
+module.exports = DeletionReceipt;
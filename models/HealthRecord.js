@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+const { SEARCH_SOURCE_FIELDS, buildSearchTokens } = require('../services/searchIndexService');
 
 const healthRecordSchema = new mongoose.Schema({
   user: {
@@ -25,18 +27,25 @@ const healthRecordSchema = new mongoose.Schema({
       'Insurance Document',
       'Consultation Note',
       'Discharge Summary',
+      'Medication List',
       'Medical Bill',
       'Other'
     ],
     default: 'Medical Report'
   },
+  // Patient profile the record is about; null for records uploaded before
+  // profiles existed, which are about the account holder
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    default: null
+  },
+  // Encrypted at rest, see the encryptedFields plugin below
   patientName: {
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.Mixed
   },
   patientPhone: {
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.Mixed
   },
   fileUrl: {
     type: String
@@ -44,12 +53,24 @@ const healthRecordSchema = new mongoose.Schema({
   filePath: {
     type: String
   },
+  // Link to a file kept elsewhere, from a FHIR import. The app never reads,
+  // copies or deletes it; storageLocation is 'external'.
+  externalUrl: {
+    type: String
+  },
   extractedData: {
     type: Object
   },
   structuredData: {
     type: Object
   },
+  // Where each structuredData value came from: one entry per path, e.g.
+  // { path: 'medications.0.dosage', source: 'patient_call', previousValue: '10mg' }
+  // Encrypted, as previousValue holds copies of structuredData values.
+  fieldProvenance: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
   processingMetadata: {
     type: Object,
     default: {}
@@ -57,9 +78,15 @@ const healthRecordSchema = new mongoose.Schema({
   // Call verification related fields
   verificationCall: {
     callId: {
-      type: String,
+      type: mongoose.Schema.Types.Mixed,
       default: null
     },
+    // Blind index of callId, used to find the record for a Retell webhook
+    callIdIndex: {
+      type: String,
+      default: null,
+      index: true
+    },
     status: {
       type: String,
       enum: ['not_initiated', 'registered', 'ongoing', 'ended', 'error'],
@@ -74,33 +101,42 @@ const healthRecordSchema = new mongoose.Schema({
       default: null
     },
     transcript: {
-      type: String,
+      type: mongoose.Schema.Types.Mixed,
       default: null
     },
     transcriptObject: {
-      type: Array,
+      type: mongoose.Schema.Types.Mixed,
       default: null
     },
     recordingUrl: {
-      type: String,
+      type: mongoose.Schema.Types.Mixed,
       default: null
     },
     verificationComplete: {
       type: Boolean,
       default: false
     },
+    // Corrections, additional info and summary are taken from the transcript
     corrections: {
-      type: Array,
+      type: mongoose.Schema.Types.Mixed,
       default: []
     },
     additionalInfo: {
-      type: String,
+      type: mongoose.Schema.Types.Mixed,
       default: ''
     },
     summary: {
-      type: String,
+      type: mongoose.Schema.Types.Mixed,
       default: ''
     },
+    // Retell's post-call analysis: its call summary and what it made of the
+    // patient's answers
+    analysis: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Call details only (agent, call type, status, start time); not
+    // encrypted, so nothing about the patient goes here
     metadata: {
       type: Object,
       default: {}
@@ -119,6 +155,40 @@ const healthRecordSchema = new mongoose.Schema({
     ],
     default: 'uploaded'
   },
+  // Manual review of the structured data; a reviewed record is 'complete'
+  review: {
+    reviewed: {
+      type: Boolean,
+      default: false
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Drug-allergy and drug-drug warnings for the record's medications; see
+  // services/interactionService.js. Encrypted, as it names drugs and allergies.
+  interactionCheck: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Keyed hashes of the record's words, for full-text search over the
+  // encrypted fields; see services/searchIndexService.js
+  searchTokens: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Number of revisions recorded in HealthRecordRevision
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -131,6 +201,51 @@ const healthRecordSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Record lists are paged newest first with createdAt and _id as the cursor,
+// and each list filter has an index leading with the owner
+healthRecordSchema.index({ user: 1, createdAt: -1, _id: -1 });
+healthRecordSchema.index({ user: 1, patient: 1, createdAt: -1 });
+healthRecordSchema.index({ user: 1, documentType: 1, createdAt: -1 });
+healthRecordSchema.index({ user: 1, processingStatus: 1, createdAt: -1 });
+healthRecordSchema.index({ user: 1, 'verificationCall.status': 1, createdAt: -1 });
+healthRecordSchema.index({ user: 1, searchTokens: 1 });
+
+// Search tokens are built from the plain values, so this must run before the
+// encryption hook registered by the plugin below
+healthRecordSchema.pre('save', function(next) {
+  try {
+    if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+      this.searchTokens = buildSearchTokens(this);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PHI fields are encrypted at rest; callId keeps a blind index for lookups
+healthRecordSchema.plugin(encryptedFields, {
+  fields: [
+    'extractedData',
+    'structuredData',
+    'interactionCheck',
+    'fieldProvenance',
+    'patientName',
+    'patientPhone',
+    'verificationCall.callId',
+    'verificationCall.transcript',
+    'verificationCall.transcriptObject',
+    'verificationCall.recordingUrl',
+    'verificationCall.corrections',
+    'verificationCall.additionalInfo',
+    'verificationCall.summary',
+    'verificationCall.analysis'
+  ],
+  blindIndexes: {
+    'verificationCall.callId': 'verificationCall.callIdIndex'
+  }
+});
+
 const HealthRecord = mongoose.model('HealthRecord', healthRecordSchema);
 
 module.exports = HealthRecord; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+const healthRecordRevisionSchema = new mongoose.Schema({
+  healthRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord',
+    required: true
+  },
+  // Owner of the record, so account erasure still finds the revisions of
+  // records that were deleted. Null on revisions written before it was kept.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Sequential per record, matches HealthRecord.revisionCount after the change
+  revision: {
+    type: Number,
+    required: true
+  },
+  // Who or what made the change
+  actor: {
+    kind: {
+      type: String,
+      enum: ['user', 'pipeline', 'webhook', 'system'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    stage: {
+      type: String,
+      default: null
+    }
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Field-level changes: [{ op, path, value, previousValue }]. Encrypted, as
+  // they hold the same data as the record
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+healthRecordRevisionSchema.index({ healthRecord: 1, revision: 1 }, { unique: true });
+healthRecordRevisionSchema.index({ user: 1 });
+
+// Revisions are append-only
+const rejectUpdate = function(next) {
+  next(new Error('Health record revisions cannot be modified'));
+};
+healthRecordRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+healthRecordRevisionSchema.plugin(encryptedFields, { fields: ['changes'] });
+
+const HealthRecordRevision = mongoose.model('HealthRecordRevision', healthRecordRevisionSchema);
+
+module.exports = HealthRecordRevision;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+const jobSchema = new mongoose.Schema({
+  // Name of the registered handler that runs this job
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  data: {
+    type: Object,
+    default: {}
+  },
+  // What the job is about, kept outside the encrypted data so account
+  // erasure can find a user's jobs: the health record, and a blind index of
+  // the Retell call for call events
+  healthRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord',
+    default: null
+  },
+  callIdIndex: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Earliest time at which the job may be picked up by a worker
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Completed and failed jobs are deleted by MongoDB after this time
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Workers claim the oldest due job, so index on the fields used to find it
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ healthRecord: 1 }, { sparse: true });
+jobSchema.index({ callIdIndex: 1 }, { sparse: true });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Call event payloads carry transcripts, so job data is encrypted like the record
+jobSchema.plugin(encryptedFields, { fields: ['data'] });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// A person whose records an account manages: the account holder themselves,
+// or a dependent such as a child or an elderly parent
+const patientSchema = new mongoose.Schema({
+  // Account that manages this profile
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name, date of birth and phone number identify the person, so they are
+  // encrypted at rest
+  name: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Name is required']
+  },
+  dateOfBirth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Number the verification call goes to
+  phoneNumber: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  relationship: {
+    type: String,
+    enum: ['self', 'child', 'parent', 'spouse', 'other'],
+    default: 'other'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+patientSchema.index({ user: 1, createdAt: 1 });
+
+patientSchema.plugin(encryptedFields, { fields: ['name', 'dateOfBirth', 'phoneNumber'] });
+
+const Patient = mongoose.model('Patient', patientSchema);
+
+module.exports = Patient;
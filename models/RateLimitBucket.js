@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate limit key in its current fixed window
+const rateLimitBucketSchema = new mongoose.Schema({
+  // Limit name plus who is being limited, e.g. "upload:user:<id>"
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitBucketSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes buckets once their window is over
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
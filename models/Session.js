@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One document per refresh token. Tokens from the same login share a family;
+// refreshing rotates the active token and keeps the old one as 'rotated' so
+// that reusing it can be detected.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the refresh token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'rotated', 'revoked'],
+    default: 'active'
+  },
+  ip: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ family: 1, status: 1 });
+sessionSchema.index({ user: 1, status: 1 });
+// MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
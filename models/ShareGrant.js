@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const shareGrantSchema = new mongoose.Schema({
+  // Patient sharing their records
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A grant covers either specific records or every record of one document type
+  healthRecords: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord'
+  }],
+  documentType: {
+    type: String,
+    default: null
+  },
+  // Named grantee; link grants have none and work for anyone holding the token
+  grantee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareGrantSchema.index({ owner: 1, createdAt: -1 });
+shareGrantSchema.index({ grantee: 1, expiresAt: 1 });
+
+// Whether the grant can still be used
+shareGrantSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const ShareGrant = mongoose.model('ShareGrant', shareGrantSchema);
+
+module.exports = ShareGrant;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES } = require('../services/accessPolicy');
+const encryptedFields = require('./plugins/encryptedFields');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,6 +16,15 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Set once the user follows the link sent to their email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -33,12 +44,54 @@ const userSchema = new mongoose.Schema({
       message: 'Please provide a valid phone number or leave it empty'
     }
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'patient'
+  },
+  // Patients whose records a clinician or caregiver may read
+  linkedPatients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // TOTP multi-factor authentication
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted at rest; pendingSecret holds a secret until enrollment is verified
+    secret: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    pendingSecret: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: []
+    },
+    // Time step of the last accepted code, so codes can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.plugin(encryptedFields, { fields: ['mfa.secret', 'mfa.pendingSecret'] });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// One vital sign reading parsed from a record's structuredData.vitalSigns.
+// Readings are derived data: they are rebuilt whenever the record's
+// structured data changes, and deleted with the record.
+const vitalObservationSchema = new mongoose.Schema({
+  // Account that owns the record
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Patient profile of the record; null for the account holder
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    default: null
+  },
+  healthRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthRecord',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: [
+      'blood_pressure',
+      'heart_rate',
+      'temperature',
+      'height',
+      'weight',
+      'oxygen_saturation',
+      'respiratory_rate',
+      'bmi'
+    ],
+    required: true
+  },
+  // Value in the kind's canonical unit; blood pressure uses systolic and diastolic instead
+  value: {
+    type: Number,
+    default: null
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  systolic: {
+    type: Number,
+    default: null
+  },
+  diastolic: {
+    type: Number,
+    default: null
+  },
+  // Blood pressure category or BMI class, e.g. 'hypertension_stage_1'
+  category: {
+    type: String,
+    default: null
+  },
+  // True for values calculated from other readings, such as BMI
+  derived: {
+    type: Boolean,
+    default: false
+  },
+  // Text the reading was parsed from; encrypted at rest. Values stay in the
+  // clear so readings can be queried and alerted on.
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  observedAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vitalObservationSchema.index({ user: 1, patient: 1, kind: 1, observedAt: 1 });
+// Finds readings in a range, e.g. hypertension-range blood pressures
+vitalObservationSchema.index({ user: 1, kind: 1, category: 1, observedAt: 1 });
+vitalObservationSchema.index({ healthRecord: 1 });
+
+vitalObservationSchema.plugin(encryptedFields, { fields: ['raw'] });
+
+const VitalObservation = mongoose.model('VitalObservation', vitalObservationSchema);
+
+module.exports = VitalObservation;
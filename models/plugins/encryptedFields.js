@@ -0,0 +1,205 @@
+const {
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  computeBlindIndex,
+  getActiveKeyId
+} = require('../../services/encryptionService');
+const { getPath, setPath } = require('../../utils/objectPath');
+
+/**
+ * Mongoose plugin that encrypts fields at rest. Values are encrypted on save
+ * and in updates, and decrypted when documents are loaded, so the rest of the
+ * app works with plain values. Fields must be Mixed in the schema, and are
+ * only ever written whole; updates to paths inside them are rejected.
+ *
+ * Blind indexes keep equality lookups working: a filter on a source field,
+ * e.g. { 'verificationCall.callId': id }, is rewritten to match the keyed
+ * hash stored at the index path.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields, blindIndexes }
+ *   fields: paths to encrypt
+ *   blindIndexes: { sourcePath: indexPath }
+ */
+const encryptedFields = (schema, { fields, blindIndexes = {} }) => {
+  fields.forEach(field => {
+    const schemaType = schema.path(field);
+    if (!schemaType || schemaType.instance !== 'Mixed') {
+      throw new Error(`Encrypted field ${field} must be declared as Mixed`);
+    }
+  });
+
+  const decryptFields = (doc) => {
+    fields.forEach(field => {
+      const value = doc.get(field);
+      if (isEncrypted(value)) {
+        doc.set(field, decryptValue(value));
+        doc.unmarkModified(field);
+      }
+    });
+  };
+
+  schema.pre('save', function(next) {
+    try {
+      Object.entries(blindIndexes).forEach(([field, indexPath]) => {
+        if (this.isNew || this.isModified(field)) {
+          this.set(indexPath, computeBlindIndex(decryptValue(this.get(field))));
+        }
+      });
+
+      fields.forEach(field => {
+        const value = this.get(field);
+        if (value !== null && value !== undefined && !isEncrypted(value)) {
+          this.set(field, encryptValue(value));
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Hand the saved document back with plain values
+  schema.post('save', function(doc) {
+    decryptFields(doc);
+  });
+
+  schema.post('init', function(doc) {
+    decryptFields(doc);
+  });
+
+  /**
+   * Encrypts the encrypted fields written by one $set entry
+   * @param {Object} set - $set object, modified in place
+   * @param {string} path - Key of the entry
+   */
+  const encryptSetEntry = (set, path) => {
+    fields.forEach(field => {
+      if (path === field) {
+        if (blindIndexes[field]) {
+          set[blindIndexes[field]] = computeBlindIndex(set[path]);
+        }
+        set[path] = encryptValue(set[path]);
+      } else if (field.startsWith(`${path}.`) && set[path] && typeof set[path] === 'object') {
+        // A parent object is being replaced; encrypt the field inside it
+        const relative = field.slice(path.length + 1);
+        const value = { ...set[path] };
+        if (blindIndexes[field]) {
+          setPath(value, blindIndexes[field].slice(path.length + 1), computeBlindIndex(getPath(value, relative)));
+        }
+        if (getPath(value, relative) !== undefined) {
+          setPath(value, relative, encryptValue(getPath(value, relative)));
+        }
+        set[path] = value;
+      } else if (path.startsWith(`${field}.`)) {
+        throw new Error(`Cannot update ${path} inside encrypted field ${field}; set the whole field`);
+      }
+    });
+  };
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+    try {
+      const update = this.getUpdate() || {};
+
+      Object.keys(update).forEach(key => {
+        if (key === '$set' || key === '$setOnInsert') {
+          Object.keys(update[key]).forEach(path => encryptSetEntry(update[key], path));
+        } else if (!key.startsWith('$')) {
+          encryptSetEntry(update, key);
+        } else if (key !== '$unset') {
+          // $push, $inc and the like can't work on an encrypted value
+          Object.keys(update[key]).forEach(path => {
+            if (fields.some(field => path === field || path.startsWith(`${field}.`))) {
+              throw new Error(`${key} is not supported on encrypted field ${path}`);
+            }
+          });
+        }
+      });
+
+      this.setUpdate(update);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rewrite equality filters on blind-indexed fields. Records written before
+  // encryption still hold the plain value, so that is matched too.
+  schema.pre(
+    ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'countDocuments', 'deleteOne', 'deleteMany'],
+    function(next) {
+      try {
+        const filter = this.getFilter();
+
+        Object.entries(blindIndexes).forEach(([field, indexPath]) => {
+          if (filter[field] === undefined) {
+            return;
+          }
+
+          const value = filter[field];
+          const values = value && typeof value === 'object' && Array.isArray(value.$in) ? value.$in : [value];
+          if (value && typeof value === 'object' && !Array.isArray(value.$in)) {
+            throw new Error(`Only equality and $in lookups are supported on encrypted field ${field}`);
+          }
+
+          delete filter[field];
+          const match = {
+            $or: [
+              { [indexPath]: { $in: values.map(computeBlindIndex) } },
+              { [field]: { $in: values } }
+            ]
+          };
+          filter.$and = [...(filter.$and || []), match];
+        });
+
+        this.setQuery(filter);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  /**
+   * Re-encrypts every document onto the active data key, encrypting values
+   * stored before encryption was enabled and filling in blind indexes.
+   * Writes go straight to the collection so append-only models can be migrated.
+   * @returns {Promise<Object>} - { scanned, updated }
+   */
+  schema.statics.reencryptAll = async function() {
+    const cursor = this.find().lean().cursor();
+    let scanned = 0;
+    let updated = 0;
+
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      const set = {};
+      scanned++;
+
+      Object.entries(blindIndexes).forEach(([field, indexPath]) => {
+        const index = computeBlindIndex(decryptValue(getPath(doc, field)));
+        if ((getPath(doc, indexPath) ?? null) !== index) {
+          set[indexPath] = index;
+        }
+      });
+
+      fields.forEach(field => {
+        const value = getPath(doc, field);
+        if (value === null || value === undefined || (isEncrypted(value) && value.k === getActiveKeyId())) {
+          return;
+        }
+        set[field] = encryptValue(decryptValue(value));
+      });
+
+      if (Object.keys(set).length > 0) {
+        await this.collection.updateOne({ _id: doc._id }, { $set: set });
+        updated++;
+      }
+    }
+
+    return { scanned, updated };
+  };
+};
+
+module.exports = encryptedFields;
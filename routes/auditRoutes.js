@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../services/accessPolicy');
+const { getAuditLog, verifyAuditLog } = require('../controllers/auditController');
+
+// @route   GET /api/audit
+// @desc    Get the access history of the user's records
+// @access  Private
+router.get('/', protect, getAuditLog);
+
+// @route   GET /api/audit/verify
+// @desc    Verify the audit hash chain
+// @access  Private/Admin
+router.get('/verify', protect, authorize(PERMISSIONS.AUDIT_READ_ALL), verifyAuditLog);
+
+module.exports = router;
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const { protect } = require('../middlewares/auth');
+const { protect, authorize, authorizeRecord } = require('../middlewares/auth');
+const { auditAccess } = require('../middlewares/audit');
+const { rateLimit, RATE_LIMITS } = require('../middlewares/rateLimit');
+const { PERMISSIONS } = require('../services/accessPolicy');
 const {
   uploadHealthRecord,
   getUserHealthRecords,
@@ -10,8 +13,13 @@ const {
   deleteHealthRecord,
   getFullHealthRecordById,
   getCallVerificationStatus,
-  initiateCallVerification
+  initiateCallVerification,
+  updateStructuredData,
+  getHealthRecordHistory,
+  getHealthRecordRevisionDiff,
+  getHealthRecordAlerts
 } = require('../controllers/healthRecordController');
+const { importFhirRecord, getHealthRecordFhir, exportFhirNdjson } = require('../controllers/fhirController');
 
 // Set up storage for uploaded files
 const storage = multer.diskStorage({
@@ -46,32 +54,92 @@ const upload = multer({
 });
 
 // @route   POST /api/health-records/upload
-// @desc    Upload a new health record
+// @desc    Upload a new health record and queue it for processing
+// @access  Private
+// Limited before multer runs, so refused uploads are never written to disk
+router.post(
+  '/upload',
+  protect,
+  auditAccess('record.create'),
+  authorize(PERMISSIONS.RECORDS_CREATE),
+  rateLimit(RATE_LIMITS.UPLOAD_IP),
+  rateLimit(RATE_LIMITS.UPLOAD_USER),
+  upload.single('file'),
+  uploadHealthRecord
+);
+
+// @route   POST /api/health-records/import/fhir
+// @desc    Import a FHIR R4 Bundle or DocumentReference, skipping OCR and GROQ
 // @access  Private
-router.post('/upload', protect, upload.single('file'), uploadHealthRecord);
+// FHIR clients send application/fhir+json, which the app-wide JSON parser skips
+router.post(
+  '/import/fhir',
+  protect,
+  auditAccess('record.import'),
+  authorize(PERMISSIONS.RECORDS_CREATE),
+  express.json({ type: 'application/fhir+json', limit: '15mb' }),
+  importFhirRecord
+);
 
 // @route   GET /api/health-records
 // @desc    Get all user health records
 // @access  Private
-router.get('/', protect, getUserHealthRecords);
+router.get('/', protect, auditAccess('record.list'), authorize(PERMISSIONS.RECORDS_READ), getUserHealthRecords);
+
+// @route   GET /api/health-records/fhir/$export
+// @desc    Export all of the user's records as FHIR R4 NDJSON
+// @access  Private
+router.get('/fhir/\\$export', protect, auditAccess('record.export_bulk'), authorize(PERMISSIONS.RECORDS_EXPORT), exportFhirNdjson);
 
 // @route   GET /api/health-records/:id
 // @desc    Get a specific health record
 // @access  Private
-router.get('/:id', protect, getHealthRecordById);
+router.get('/:id', protect, auditAccess('record.read'), authorizeRecord(PERMISSIONS.RECORDS_READ), getHealthRecordById);
 
 // @route   GET /api/health-records/:id/full
 // @desc    Get a specific health record with complete processing data
 // @access  Private
-router.get('/:id/full', protect, getFullHealthRecordById);
+router.get('/:id/full', protect, auditAccess('record.read_full'), authorizeRecord(PERMISSIONS.RECORDS_READ), getFullHealthRecordById);
+
+// @route   PATCH /api/health-records/:id/structured
+// @desc    Edit structured data with JSON Patch operations and/or mark the record reviewed
+// @access  Private
+router.patch('/:id/structured', protect, auditAccess('record.update'), authorizeRecord(PERMISSIONS.RECORDS_UPDATE), updateStructuredData);
+
+// @route   GET /api/health-records/:id/fhir
+// @desc    Export a health record as a FHIR R4 Bundle
+// @access  Private
+router.get('/:id/fhir', protect, auditAccess('record.export_fhir'), authorizeRecord(PERMISSIONS.RECORDS_EXPORT), getHealthRecordFhir);
+
+// @route   GET /api/health-records/:id/history
+// @desc    Get the revision history of a health record
+// @access  Private
+router.get('/:id/history', protect, auditAccess('record.history'), authorizeRecord(PERMISSIONS.RECORDS_READ), getHealthRecordHistory);
+
+// @route   GET /api/health-records/:id/history/:rev/diff
+// @desc    Get the changes made in a revision (or between two with ?against=)
+// @access  Private
+router.get('/:id/history/:rev/diff', protect, auditAccess('record.history'), authorizeRecord(PERMISSIONS.RECORDS_READ), getHealthRecordRevisionDiff);
+
+// @route   GET /api/health-records/:id/alerts
+// @desc    Get drug-allergy and drug-drug warnings for a health record's medications
+// @access  Private
+router.get('/:id/alerts', protect, auditAccess('record.alerts'), authorizeRecord(PERMISSIONS.RECORDS_READ), getHealthRecordAlerts);
 
 // @route   DELETE /api/health-records/:id
 // @desc    Delete a health record
 // @access  Private
-router.delete('/:id', protect, deleteHealthRecord);
+router.delete('/:id', protect, auditAccess('record.delete'), authorizeRecord(PERMISSIONS.RECORDS_DELETE), deleteHealthRecord);
 
 // Call verification routes
-router.post('/:id/verify', protect, initiateCallVerification);
-router.get('/:id/verify/status', protect, getCallVerificationStatus);
+router.post(
+  '/:id/verify',
+  protect,
+  auditAccess('record.verify_call'),
+  authorizeRecord(PERMISSIONS.RECORDS_VERIFY),
+  rateLimit(RATE_LIMITS.VERIFY_CALL_USER),
+  initiateCallVerification
+);
+router.get('/:id/verify/status', protect, auditAccess('record.verify_status'), authorizeRecord(PERMISSIONS.RECORDS_READ), getCallVerificationStatus);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, authorizePatient } = require('../middlewares/auth');
+const { auditAccess } = require('../middlewares/audit');
+const { PERMISSIONS } = require('../services/accessPolicy');
+const {
+  createPatient,
+  getPatients,
+  getPatientById,
+  updatePatient,
+  deletePatient,
+  getPatientTimeline,
+  getPatientMedications,
+  getPatientLabSeries,
+  getPatientVitals,
+  getPatientVitalAlerts
+} = require('../controllers/patientController');
+
+// @route   POST /api/patients
+// @desc    Add a patient profile (e.g. a child) to the account
+// @access  Private
+router.post('/', protect, auditAccess('patient.create'), authorize(PERMISSIONS.RECORDS_CREATE), createPatient);
+
+// @route   GET /api/patients
+// @desc    List the patient profiles the user can read
+// @access  Private
+router.get('/', protect, authorize(PERMISSIONS.RECORDS_READ), getPatients);
+
+// @route   GET /api/patients/:id
+// @desc    Get a patient profile
+// @access  Private
+router.get('/:id', protect, auditAccess('patient.read'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientById);
+
+// @route   GET /api/patients/:id/timeline
+// @desc    Merge the patient's records into a timeline of diagnoses, medications and lab results
+// @access  Private
+router.get('/:id/timeline', protect, auditAccess('patient.timeline'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientTimeline);
+
+// @route   GET /api/patients/:id/medications
+// @desc    Reconcile the medications listed across the patient's records
+// @access  Private
+router.get('/:id/medications', protect, auditAccess('patient.medications'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientMedications);
+
+// @route   GET /api/patients/:id/labs/:testCode/series
+// @desc    Values of one lab test across the patient's records, in canonical units
+// @access  Private
+router.get('/:id/labs/:testCode/series', protect, auditAccess('patient.labs'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientLabSeries);
+
+// @route   GET /api/patients/:id/vitals
+// @desc    Vital sign readings parsed from the patient's records
+// @access  Private
+router.get('/:id/vitals', protect, auditAccess('patient.vitals'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientVitals);
+
+// @route   GET /api/patients/:id/vitals/alerts
+// @desc    Hypertension-range blood pressure readings across the patient's records
+// @access  Private
+router.get('/:id/vitals/alerts', protect, auditAccess('patient.vitals'), authorizePatient(PERMISSIONS.RECORDS_READ), getPatientVitalAlerts);
+
+// @route   PUT /api/patients/:id
+// @desc    Update a patient profile
+// @access  Private
+router.put('/:id', protect, auditAccess('patient.update'), authorizePatient(PERMISSIONS.RECORDS_UPDATE), updatePatient);
+
+// @route   DELETE /api/patients/:id
+// @desc    Delete a patient profile that has no records
+// @access  Private
+router.delete('/:id', protect, auditAccess('patient.delete'), authorizePatient(PERMISSIONS.RECORDS_DELETE), deletePatient);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middlewares/auth');
+const { auditAccess } = require('../middlewares/audit');
+const {
+  createShareGrant,
+  getShareGrants,
+  getReceivedShareGrants,
+  revokeShareGrant
+} = require('../controllers/shareController');
+
+// @route   POST /api/shares
+// @desc    Share records with a named user or as a link
+// @access  Private
+router.post('/', protect, auditAccess('share.create'), createShareGrant);
+
+// @route   GET /api/shares
+// @desc    List the grants the user has created
+// @access  Private
+router.get('/', protect, getShareGrants);
+
+// @route   GET /api/shares/received
+// @desc    List active grants shared with the user
+// @access  Private
+router.get('/received', protect, getReceivedShareGrants);
+
+// @route   DELETE /api/shares/:id
+// @desc    Revoke a grant
+// @access  Private
+router.delete('/:id', protect, auditAccess('share.revoke'), revokeShareGrant);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { identify } = require('../middlewares/auth');
+const { auditAccess } = require('../middlewares/audit');
+const { getSharedHealthRecords } = require('../controllers/shareController');
+
+// @route   GET /api/shared/:token
+// @desc    Open the records covered by a share token
+// @access  Public (named grants need the grantee's login)
+router.get('/:token', identify, auditAccess('record.shared_read'), getSharedHealthRecords);
+
+// @route   GET /api/shared/:token/records/:recordId
+// @desc    Open one record covered by a share token
+// @access  Public (named grants need the grantee's login)
+router.get('/:token/records/:recordId', identify, auditAccess('record.shared_read'), getSharedHealthRecords);
+
+module.exports = router;
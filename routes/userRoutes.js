@@ -1,21 +1,150 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getUserProfile } = require('../controllers/userController');
-const { protect } = require('../middlewares/auth');
+const {
+  registerUser,
+  loginUser,
+  completeMfaLogin,
+  enrollMfa,
+  verifyMfaEnrollment,
+  regenerateRecoveryCodes,
+  disableMfa,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  deleteAccount,
+  getDeletionReceipt,
+  updateUserAccess,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions
+} = require('../controllers/userController');
+const {
+  createDataExport,
+  getDataExportStatus,
+  downloadDataExport
+} = require('../controllers/dataExportController');
+const { protect, authorize } = require('../middlewares/auth');
+const { rateLimit, RATE_LIMITS } = require('../middlewares/rateLimit');
+const { auditAccess } = require('../middlewares/audit');
+const { PERMISSIONS } = require('../services/accessPolicy');
 
 // @route   POST /api/users
 // @desc    Register a new user
 // @access  Public
-router.post('/', registerUser);
+router.post('/', rateLimit(RATE_LIMITS.REGISTER), registerUser);
 
 // @route   POST /api/users/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', loginUser);
+router.post('/login', rateLimit(RATE_LIMITS.LOGIN), loginUser);
+
+// @route   POST /api/users/login/mfa
+// @desc    Exchange an MFA challenge token and code for tokens
+// @access  Public
+router.post('/login/mfa', rateLimit(RATE_LIMITS.LOGIN), completeMfaLogin);
+
+// @route   POST /api/users/refresh
+// @desc    Rotate the refresh token and get a new access token
+// @access  Public
+router.post('/refresh', rateLimit(RATE_LIMITS.REFRESH), refreshSession);
+
+// @route   POST /api/users/verify-email
+// @desc    Confirm an email address
+// @access  Public
+router.post('/verify-email', rateLimit(RATE_LIMITS.ACCOUNT_TOKEN), verifyEmail);
+
+// @route   POST /api/users/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post('/verify-email/resend', protect, rateLimit(RATE_LIMITS.ACCOUNT_EMAIL), resendVerificationEmail);
+
+// @route   POST /api/users/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit(RATE_LIMITS.ACCOUNT_EMAIL), forgotPassword);
+
+// @route   POST /api/users/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', rateLimit(RATE_LIMITS.ACCOUNT_TOKEN), resetPassword);
+
+// @route   POST /api/users/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, logoutUser);
+
+// @route   POST /api/users/logout-all
+// @desc    End all of the user's sessions
+// @access  Private
+router.post('/logout-all', protect, logoutAllSessions);
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
 router.get('/profile', protect, getUserProfile);
 
+// @route   PUT /api/users/profile
+// @desc    Update name, phone number and date of birth
+// @access  Private
+router.put('/profile', protect, updateUserProfile);
+
+// @route   PUT /api/users/password
+// @desc    Change password (current password required)
+// @access  Private
+router.put('/password', protect, changePassword);
+
+// @route   DELETE /api/users/me
+// @desc    Delete the account and erase all of its data
+// @access  Private
+router.delete('/me', protect, auditAccess('account.delete'), deleteAccount);
+
+// @route   GET /api/users/deletion-receipts/:receiptId
+// @desc    Get an account deletion receipt and the erasure's progress
+// @access  Public
+router.get('/deletion-receipts/:receiptId', getDeletionReceipt);
+
+// @route   POST /api/users/me/export
+// @desc    Start building an archive of all of the user's data
+// @access  Private
+router.post('/me/export', protect, auditAccess('account.export'), rateLimit(RATE_LIMITS.DATA_EXPORT_USER), createDataExport);
+
+// @route   GET /api/users/me/export/:exportId
+// @desc    Get export progress and a download link once ready
+// @access  Private
+router.get('/me/export/:exportId', protect, getDataExportStatus);
+
+// @route   GET /api/users/me/export/:exportId/download
+// @desc    Download the export archive with a time-limited token
+// @access  Public
+router.get('/me/export/:exportId/download', auditAccess('account.export_download'), downloadDataExport);
+
+// @route   POST /api/users/mfa/enroll
+// @desc    Generate a TOTP secret and provisioning URI
+// @access  Private
+router.post('/mfa/enroll', protect, enrollMfa);
+
+// @route   POST /api/users/mfa/verify
+// @desc    Confirm enrollment with a code and get recovery codes
+// @access  Private
+router.post('/mfa/verify', protect, verifyMfaEnrollment);
+
+// @route   POST /api/users/mfa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/mfa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// @route   POST /api/users/mfa/disable
+// @desc    Turn MFA off
+// @access  Private
+router.post('/mfa/disable', protect, disableMfa);
+
+// @route   PUT /api/users/:id/access
+// @desc    Set a user's role and linked patients
+// @access  Private/Admin
+router.put('/:id/access', protect, authorize(PERMISSIONS.USERS_MANAGE), updateUserAccess);
+
 module.exports = router; 
\ No newline at end of file
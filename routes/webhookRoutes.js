@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { handleRetellWebhook } = require('../controllers/webhookController');
+
+// Keep the raw body so the request signature can be checked
+const captureRawBody = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+});
+
+// @route   POST /api/webhooks/retell
+// @desc    Receive call_started, call_ended and call_analyzed events from Retell
+// @access  Public (signed by Retell)
+router.post('/retell', captureRawBody, handleRetellWebhook);
+
+module.exports = router;
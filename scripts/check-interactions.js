@@ -0,0 +1,39 @@
+/**
+ * Interaction Check Rebuild
+ *
+ * Re-runs the drug-allergy and drug-drug checks for every health record with
+ * medications, oldest first. Run once after upgrading, so records added
+ * before checks existed have warnings, and again after changing the rules.
+ *
+ * Usage: node scripts/check-interactions.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { initEncryption } = require('../services/encryptionService');
+const { checkRecordInteractions } = require('../services/interactionService');
+const HealthRecord = require('../models/HealthRecord');
+
+async function main() {
+  await connectDB();
+  await initEncryption({ refreshIntervalMs: 0 });
+
+  let checked = 0;
+  let alerts = 0;
+  for await (const healthRecord of HealthRecord.find({ structuredData: { $ne: null } }).sort({ createdAt: 1 }).cursor()) {
+    const interactionCheck = await checkRecordInteractions(healthRecord);
+    if (interactionCheck) {
+      checked += 1;
+      alerts += interactionCheck.alerts.length;
+    }
+  }
+  console.log(`Checked ${checked} health records with medications; ${alerts} warnings`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Interaction check failed:', error);
+  process.exit(1);
+});
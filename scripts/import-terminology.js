@@ -0,0 +1,111 @@
+/**
+ * Terminology Import
+ *
+ * Builds a local code table (data/terminology/<system>.csv, or under
+ * TERMINOLOGY_DIR) from a delimited release file, such as the ICD-10-CM
+ * order file converted to CSV, LoincTableCore.csv, or RXNCONSO.RRF filtered to
+ * RxNorm ingredients. Rows with the same code are merged, their other names
+ * becoming synonyms. The existing table is replaced.
+ *
+ * Usage: node scripts/import-terminology.js --system <icd10cm|loinc|rxnorm> --file <path> [options]
+ *   --delimiter <char>          Field delimiter, e.g. '|' for RRF files (default ',')
+ *   --no-header                 The file has no header row; name columns by index
+ *   --code-column <col>         Column holding the code (default 'code')
+ *   --display-column <col>      Column holding the preferred name (default 'display')
+ *   --synonym-columns <a,b>     Columns holding other names, if any
+ *   --filter <col=value>        Only import rows where the column has this value; repeatable
+ *
+ * Columns are given by header name or by 0-based index. For example, RxNorm
+ * ingredients from RXNCONSO.RRF:
+ *   node scripts/import-terminology.js --system rxnorm --file RXNCONSO.RRF --delimiter '|' \
+ *     --no-header --code-column 0 --display-column 14 --filter 11=RXNORM --filter 12=IN
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+const { TERMINOLOGIES } = require('../services/terminologyService');
+
+const parseArgs = (args) => {
+  const options = { filters: [], header: true };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--no-header') {
+      options.header = false;
+    } else if (arg === '--filter') {
+      const [column, ...value] = (args[++i] || '').split('=');
+      options.filters.push({ column, value: value.join('=') });
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = args[++i];
+    }
+  }
+  return options;
+};
+
+const resolveColumn = (header, column) => {
+  if (/^\d+$/.test(column)) {
+    return Number(column);
+  }
+  const index = header.findIndex(name => name.trim().toLowerCase() === column.trim().toLowerCase());
+  if (index === -1) {
+    throw new Error(`Column '${column}' not found; columns are: ${header.join(', ')}`);
+  }
+  return index;
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const terminology = TERMINOLOGIES[options.system];
+
+  if (!terminology || !options.file) {
+    console.error('Usage: node scripts/import-terminology.js --system <icd10cm|loinc|rxnorm> --file <path> [options]');
+    process.exit(1);
+  }
+
+  const rows = parseCsv(fs.readFileSync(options.file, 'utf8'), { delimiter: options.delimiter || ',' });
+  const header = options.header ? rows.shift() || [] : [];
+
+  const codeColumn = resolveColumn(header, options.codeColumn || 'code');
+  const displayColumn = resolveColumn(header, options.displayColumn || 'display');
+  const synonymColumns = (options.synonymColumns || '')
+    .split(',')
+    .filter(Boolean)
+    .map(column => resolveColumn(header, column));
+  const filters = options.filters.map(filter => ({ index: resolveColumn(header, filter.column), value: filter.value }));
+
+  // Keyed by code; the first name seen for a code is its display
+  const codes = new Map();
+  for (const row of rows) {
+    if (!filters.every(filter => (row[filter.index] || '').trim() === filter.value)) {
+      continue;
+    }
+    const code = (row[codeColumn] || '').trim();
+    const names = [row[displayColumn], ...synonymColumns.map(index => row[index])]
+      .map(name => (name || '').replace(/\|/g, ' ').trim())
+      .filter(Boolean);
+    if (!code || names.length === 0) {
+      continue;
+    }
+
+    if (!codes.has(code)) {
+      codes.set(code, { display: names[0], synonyms: new Set() });
+    }
+    const entry = codes.get(code);
+    names.filter(name => name !== entry.display).forEach(name => entry.synonyms.add(name));
+  }
+
+  const dir = process.env.TERMINOLOGY_DIR || path.join(__dirname, '..', 'data', 'terminology');
+  fs.mkdirSync(dir, { recursive: true });
+  const lines = [formatCsvRow(['code', 'display', 'synonyms'])];
+  for (const [code, entry] of codes) {
+    lines.push(formatCsvRow([code, entry.display, [...entry.synonyms].join('|')]));
+  }
+  fs.writeFileSync(path.join(dir, terminology.file), `${lines.join('\n')}\n`);
+
+  console.log(`Imported ${codes.size} ${terminology.name} codes into ${path.join(dir, terminology.file)}`);
+}
+
+main().catch(error => {
+  console.error('Terminology import failed:', error.message);
+  process.exit(1);
+});
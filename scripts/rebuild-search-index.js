@@ -0,0 +1,38 @@
+/**
+ * Search Index Rebuild
+ *
+ * Recomputes the search tokens of every health record. Run once after
+ * upgrading, so records uploaded before search existed can be found, and
+ * again if the tokenizer changes.
+ *
+ * Usage: node scripts/rebuild-search-index.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { initEncryption } = require('../services/encryptionService');
+const { buildSearchTokens } = require('../services/searchIndexService');
+const HealthRecord = require('../models/HealthRecord');
+
+async function main() {
+  await connectDB();
+  await initEncryption({ refreshIntervalMs: 0 });
+
+  let scanned = 0;
+  for await (const healthRecord of HealthRecord.find().cursor()) {
+    await HealthRecord.updateOne(
+      { _id: healthRecord._id },
+      { $set: { searchTokens: buildSearchTokens(healthRecord) } }
+    );
+    scanned += 1;
+  }
+  console.log(`Rebuilt search tokens for ${scanned} health records`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Search index rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+/**
+ * Vital Sign Observations Rebuild
+ *
+ * Re-parses the vital signs of every health record into VitalObservation
+ * readings. Run once after upgrading, so records added before readings were
+ * stored can be queried, and again if the parser or the way readings are
+ * dated changes.
+ *
+ * Usage: node scripts/rebuild-vital-observations.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { initEncryption } = require('../services/encryptionService');
+const { syncVitalObservations } = require('../services/vitalSignsService');
+const HealthRecord = require('../models/HealthRecord');
+
+async function main() {
+  await connectDB();
+  await initEncryption({ refreshIntervalMs: 0 });
+
+  let scanned = 0;
+  let stored = 0;
+  for await (const healthRecord of HealthRecord.find().cursor()) {
+    stored += await syncVitalObservations(healthRecord);
+    scanned += 1;
+  }
+  console.log(`Stored ${stored} vital sign readings from ${scanned} health records`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Vital sign rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Clinical Code Backfill
+ *
+ * Assigns ICD-10-CM, LOINC and RxNorm codes to the structured data of every
+ * health record. Run after upgrading, so records added before coding are
+ * coded, and after importing new code tables. Codes already assigned for the
+ * same text, and codes set by hand, are kept.
+ *
+ * Usage: node scripts/recode-records.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { initEncryption } = require('../services/encryptionService');
+const { updateHealthRecord } = require('../services/revisionService');
+const { codeStructuredData, getTerminologyStats } = require('../services/terminologyService');
+const HealthRecord = require('../models/HealthRecord');
+
+async function main() {
+  await connectDB();
+  await initEncryption({ refreshIntervalMs: 0 });
+
+  console.log('Code tables loaded:', getTerminologyStats());
+
+  let scanned = 0;
+  let recoded = 0;
+  for await (const healthRecord of HealthRecord.find({ structuredData: { $ne: null } }).cursor()) {
+    scanned += 1;
+    const coded = codeStructuredData(healthRecord.structuredData);
+    if (JSON.stringify(coded) === JSON.stringify(healthRecord.structuredData)) {
+      continue;
+    }
+    // Through the revision history, so the added codes can be seen and undone
+    await updateHealthRecord(
+      healthRecord._id,
+      { $set: { structuredData: coded } },
+      { actor: { kind: 'system', stage: 'recode' }, action: 'recode' }
+    );
+    recoded += 1;
+  }
+  console.log(`Coded ${recoded} of ${scanned} health records`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Clinical code backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+/**
+ * Field Encryption Maintenance
+ *
+ * Re-encrypts every encrypted field onto the active data key. Values written
+ * before encryption was enabled are encrypted, and blind indexes are filled in.
+ *
+ * Usage: node scripts/reencrypt-records.js [--rotate] [--rewrap]
+ *   --rotate  Create a new data key first, so everything moves onto it
+ *   --rewrap  Re-wrap the data keys with the key provider's current master
+ *             key (run after changing the master key)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const {
+  initEncryption,
+  rotateDataKey,
+  rewrapDataKeys,
+  getActiveKeyId
+} = require('../services/encryptionService');
+const HealthRecord = require('../models/HealthRecord');
+const HealthRecordRevision = require('../models/HealthRecordRevision');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const VitalObservation = require('../models/VitalObservation');
+
+// Models that use the encryptedFields plugin
+const ENCRYPTED_MODELS = [HealthRecord, HealthRecordRevision, Job, User, Patient, VitalObservation];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  await connectDB();
+  await initEncryption({ refreshIntervalMs: 0 });
+
+  if (args.includes('--rewrap')) {
+    const count = await rewrapDataKeys();
+    console.log(`Re-wrapped ${count} data keys with the current master key`);
+  }
+
+  if (args.includes('--rotate')) {
+    const keyId = await rotateDataKey();
+    console.log(`New active data key: ${keyId}`);
+
+    // Running servers need the new key before they can read what is written with it
+    const waitMs = Number(process.env.ENCRYPTION_KEY_REFRESH_MS || 60 * 1000);
+    console.log(`Waiting ${Math.round(waitMs / 1000)}s for running servers to load it...`);
+    await sleep(waitMs);
+  }
+
+  console.log(`Re-encrypting onto data key ${getActiveKeyId()}`);
+  for (const Model of ENCRYPTED_MODELS) {
+    const { scanned, updated } = await Model.reencryptAll();
+    console.log(`${Model.modelName}: ${updated} of ${scanned} documents updated`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error('Re-encryption failed:', error);
+  process.exit(1);
+});
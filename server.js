@@ -2,21 +2,57 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const connectDB = require('./config/db');
+const { registerHandler, startWorker } = require('./services/jobQueue');
+const { initEncryption } = require('./services/encryptionService');
+const { getMailTransport } = require('./services/mailService');
+const {
+  PIPELINE_JOB,
+  CALL_EVENT_JOB,
+  processPipelineJob,
+  processCallEventJob
+} = require('./services/pipelineService');
+const {
+  DATA_EXPORT_JOB,
+  DATA_EXPORT_CLEANUP_JOB,
+  processDataExportJob,
+  processDataExportCleanupJob
+} = require('./services/dataExportService');
+const { ACCOUNT_ERASURE_JOB, processAccountErasureJob } = require('./services/accountErasureService');
 const bodyParser = require('body-parser');
 require('dotenv').config();
 
 // Import routes
 const userRoutes = require('./routes/userRoutes');
 const healthRecordRoutes = require('./routes/healthRecordRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const sharedRoutes = require('./routes/sharedRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const patientRoutes = require('./routes/patientRoutes');
 
 // Initialize Express
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Register the jobs run by the background worker
+registerHandler(PIPELINE_JOB, processPipelineJob);
+registerHandler(CALL_EVENT_JOB, processCallEventJob);
+registerHandler(DATA_EXPORT_JOB, processDataExportJob);
+registerHandler(DATA_EXPORT_CLEANUP_JOB, processDataExportCleanupJob);
+registerHandler(ACCOUNT_ERASURE_JOB, processAccountErasureJob);
+
+// Per-IP rate limits need the client's address, not the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+
+// Webhooks parse their own body so the raw payload is available for signature checks
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -24,6 +60,10 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Define routes
 app.use('/api/users', userRoutes);
 app.use('/api/health-records', healthRecordRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/patients', patientRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -46,8 +86,23 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Set port and start server
+// Set port and start server once MongoDB is connected and the field
+// encryption keys are loaded; nothing can read records before then
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-}); 
\ No newline at end of file
+connectDB()
+  .then(() => initEncryption())
+  .then(() => {
+    // Throws in production for a mail transport that doesn't deliver
+    getMailTransport();
+
+    // Start the background worker that runs the document processing pipeline
+    startWorker();
+
+    app.listen(PORT, () => {
+      console.log(`Server is running on port ${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,106 @@
+const ROLES = ['patient', 'clinician', 'caregiver', 'admin'];
+
+const PERMISSIONS = {
+  RECORDS_CREATE: 'records:create',
+  RECORDS_READ: 'records:read',
+  RECORDS_UPDATE: 'records:update',
+  RECORDS_DELETE: 'records:delete',
+  RECORDS_VERIFY: 'records:verify',
+  RECORDS_EXPORT: 'records:export',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ_ALL: 'audit:read_all'
+};
+
+const RECORD_PERMISSIONS = [
+  PERMISSIONS.RECORDS_CREATE,
+  PERMISSIONS.RECORDS_READ,
+  PERMISSIONS.RECORDS_UPDATE,
+  PERMISSIONS.RECORDS_DELETE,
+  PERMISSIONS.RECORDS_VERIFY,
+  PERMISSIONS.RECORDS_EXPORT
+];
+
+// What each role may do at all; which records it applies to is decided below
+const ROLE_PERMISSIONS = {
+  patient: RECORD_PERMISSIONS,
+  clinician: RECORD_PERMISSIONS,
+  caregiver: RECORD_PERMISSIONS,
+  admin: [...RECORD_PERMISSIONS, PERMISSIONS.USERS_MANAGE, PERMISSIONS.AUDIT_READ_ALL]
+};
+
+// What a role may do with the records of patients it is linked to
+const LINKED_PERMISSIONS = {
+  clinician: [PERMISSIONS.RECORDS_READ, PERMISSIONS.RECORDS_EXPORT],
+  caregiver: [PERMISSIONS.RECORDS_READ, PERMISSIONS.RECORDS_EXPORT]
+};
+
+// Users created before roles existed have no role set
+const getRole = (user) => user.role || 'patient';
+
+/**
+ * Checks whether a user's role grants a permission
+ * @param {Object} user - User document
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  return (ROLE_PERMISSIONS[getRole(user)] || []).includes(permission);
+};
+
+/**
+ * Lists the patients whose records a user may act on through a link
+ * @param {Object} user - User document
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {string[]} - User IDs of linked patients
+ */
+const getLinkedPatientIds = (user, permission) => {
+  if (!(LINKED_PERMISSIONS[getRole(user)] || []).includes(permission)) {
+    return [];
+  }
+  return (user.linkedPatients || []).map(id => id.toString());
+};
+
+/**
+ * Decides whether a user may perform an action on a health record
+ * @param {Object} user - User document
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const canAccessRecord = (user, healthRecord, permission) => {
+  if (!hasPermission(user, permission)) {
+    return false;
+  }
+
+  if (getRole(user) === 'admin') {
+    return true;
+  }
+
+  const ownerId = healthRecord.user.toString();
+  return ownerId === user._id.toString() || getLinkedPatientIds(user, permission).includes(ownerId);
+};
+
+/**
+ * Builds the HealthRecord query filter for the records a user may act on
+ * @param {Object} user - User document
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Object} - MongoDB filter on the record owner
+ */
+const getRecordScope = (user, permission) => {
+  if (getRole(user) === 'admin') {
+    return {};
+  }
+
+  const linked = getLinkedPatientIds(user, permission);
+  return linked.length > 0
+    ? { user: { $in: [user._id, ...linked] } }
+    : { user: user._id };
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  canAccessRecord,
+  getRecordScope
+};
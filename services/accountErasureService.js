@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const User = require('../models/User');
+const HealthRecord = require('../models/HealthRecord');
+const HealthRecordRevision = require('../models/HealthRecordRevision');
+const Job = require('../models/Job');
+const ShareGrant = require('../models/ShareGrant');
+const Session = require('../models/Session');
+const AccountToken = require('../models/AccountToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const DataExport = require('../models/DataExport');
+const Patient = require('../models/Patient');
+const VitalObservation = require('../models/VitalObservation');
+const { deleteFileFromS3 } = require('./s3Service');
+const { deleteCall } = require('./retellService');
+const { computeBlindIndex } = require('./encryptionService');
+const { enqueueJob } = require('./jobQueue');
+
+const ACCOUNT_ERASURE_JOB = 'account_erasure';
+
+// Kept after erasure, listed on every receipt
+const RETAINED_DATA = [
+  'Audit log entries, which name users and records only by ID and must stay unaltered for the hash chain',
+  'This deletion receipt'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds every Retell call ID a record has had. Re-running the verification
+ * replaces the call on the record, so earlier IDs come from its revisions.
+ * @param {Object} healthRecord - HealthRecord document, or {} for a deleted record
+ * @param {Array} revisions - The record's HealthRecordRevision documents
+ * @returns {Array<string>} - Call IDs
+ */
+const collectCallIds = (healthRecord, revisions) => {
+  const callIds = new Set();
+  const addFrom = (path, value) => {
+    if (path === 'verificationCall.callId' && typeof value === 'string') {
+      callIds.add(value);
+    } else if (path === 'verificationCall' && value && typeof value.callId === 'string') {
+      callIds.add(value.callId);
+    }
+  };
+
+  if (healthRecord.verificationCall && healthRecord.verificationCall.callId) {
+    callIds.add(healthRecord.verificationCall.callId);
+  }
+  revisions.forEach(revision => {
+    (revision.changes || []).forEach(change => {
+      addFrom(change.path, change.value);
+      addFrom(change.path, change.previousValue);
+    });
+  });
+
+  return [...callIds];
+};
+
+/**
+ * IDs of every record the user has owned. Records they deleted live on as
+ * their revisions, which name the owner; older revisions don't, but the
+ * owner is who created the record.
+ * @param {string} userId - User ID
+ * @param {Array} healthRecords - The user's current HealthRecord documents
+ * @returns {Promise<Array>} - Health record IDs
+ */
+const findOwnedRecordIds = async (userId, healthRecords) => {
+  const revisedIds = await HealthRecordRevision.distinct('healthRecord', {
+    $or: [
+      { user: userId },
+      { user: null, action: 'create', 'actor.user': userId }
+    ]
+  });
+
+  const ids = new Map(healthRecords.map(healthRecord => [String(healthRecord._id), healthRecord._id]));
+  revisedIds.forEach(id => ids.set(String(id), id));
+  return [...ids.values()];
+};
+
+/**
+ * Deletes a record's uploaded files from wherever they are stored: S3, the
+ * uploads folder, and the upload itself while the pipeline still has it at
+ * processingMetadata.fileInfo.localPath. Files that can't be deleted are
+ * added to pending; linked files are left alone.
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Array} pending - Receipt pending list
+ * @returns {Promise<number>} - Number of files deleted
+ */
+const deleteRecordFiles = async (healthRecord, pending) => {
+  // Linked files from FHIR imports aren't ours to delete
+  if (healthRecord.processingMetadata && healthRecord.processingMetadata.storageLocation === 'external') {
+    return 0;
+  }
+
+  let deleted = 0;
+  const fileInfo = (healthRecord.processingMetadata && healthRecord.processingMetadata.fileInfo) || {};
+  const localPaths = [...new Set([healthRecord.filePath, fileInfo.localPath].filter(Boolean))];
+
+  for (const localPath of localPaths) {
+    try {
+      if (fs.existsSync(localPath)) {
+        await fs.promises.unlink(localPath);
+        deleted++;
+      }
+    } catch (error) {
+      pending.push({ kind: 'file', ref: localPath, error: error.message });
+    }
+  }
+
+  if (healthRecord.fileUrl && healthRecord.fileUrl.includes('amazonaws.com')) {
+    try {
+      await deleteFileFromS3(healthRecord.fileUrl);
+      deleted++;
+    } catch (error) {
+      pending.push({ kind: 'file', ref: healthRecord.fileUrl, error: error.message });
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Deletes queued and finished jobs about the given records or calls, found by
+ * the references stored beside their encrypted data
+ * @param {Array} recordIds - Health record IDs
+ * @param {Array<string>} callIds - Retell call IDs
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+const deleteRelatedJobs = async (recordIds, callIds) => {
+  const filters = [];
+  if (recordIds.length > 0) {
+    filters.push({ healthRecord: { $in: recordIds } });
+  }
+  if (callIds.length > 0) {
+    filters.push({ callIdIndex: { $in: callIds.map(computeBlindIndex) } });
+  }
+  if (filters.length === 0) {
+    return 0;
+  }
+
+  const result = await Job.deleteMany({ $or: filters });
+  return result.deletedCount;
+};
+
+const hashReceipt = (receipt) => {
+  const content = {
+    receiptId: receipt.receiptId,
+    subject: String(receipt.subject),
+    emailIndex: receipt.emailIndex,
+    requestedBy: receipt.requestedBy ? String(receipt.requestedBy) : null,
+    status: receipt.status,
+    erased: receipt.erased,
+    pending: receipt.pending,
+    retained: receipt.retained,
+    requestedAt: receipt.requestedAt.toISOString(),
+    completedAt: receipt.completedAt.toISOString()
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * Queues the erasure of a user account, unless one is already queued. The
+ * receipt is created straight away with status 'queued' and filled in by the
+ * erasure job.
+ * @param {Object} user - User document
+ * @param {Object} options - { requestedBy } ID of whoever asked for the erasure
+ * @returns {Promise<Object>} - { receipt, existing }
+ */
+const requestAccountErasure = async (user, { requestedBy = null } = {}) => {
+  const active = await DeletionReceipt.findOne({ subject: user._id, status: 'queued' });
+  if (active) {
+    return { receipt: active, existing: true };
+  }
+
+  const receipt = await DeletionReceipt.create({
+    receiptId: crypto.randomUUID(),
+    subject: user._id,
+    emailIndex: computeBlindIndex(user.email),
+    requestedBy,
+    retained: RETAINED_DATA,
+    requestedAt: new Date()
+  });
+  await enqueueJob(ACCOUNT_ERASURE_JOB, { receiptId: receipt.receiptId });
+  return { receipt, existing: false };
+};
+
+/**
+ * Erases a user account and every piece of health data it owns: records and
+ * their revision history, uploaded files in S3 or on disk, Retell call
+ * recordings and transcripts, patient profiles, pipeline jobs, sharing
+ * grants, data export archives, sessions and emailed tokens. Files and calls that can't be deleted don't stop the
+ * erasure; they are listed on the receipt as pending.
+ * Everything is found by the user's ID, so a retry after the user itself was
+ * deleted still finishes the job.
+ * @param {Object} receipt - The queued DeletionReceipt
+ * @returns {Promise<Object>} - The completed DeletionReceipt
+ */
+const eraseUserAccount = async (receipt) => {
+  const userId = receipt.subject;
+  const user = await User.findById(userId);
+  const erased = {
+    healthRecords: 0,
+    revisions: 0,
+    files: 0,
+    callRecordings: 0,
+    jobs: 0,
+    shareGrants: 0,
+    sessions: 0,
+    accountTokens: 0,
+    dataExports: 0,
+    patients: 0
+  };
+  const pending = [];
+
+  const healthRecords = await HealthRecord.find({ user: userId });
+  const recordIds = await findOwnedRecordIds(userId, healthRecords);
+  const callIds = new Set();
+
+  for (const healthRecord of healthRecords) {
+    erased.files += await deleteRecordFiles(healthRecord, pending);
+  }
+
+  // Deleted records are known only from their revisions
+  const liveRecords = new Map(healthRecords.map(healthRecord => [String(healthRecord._id), healthRecord]));
+  for (const recordId of recordIds) {
+    const healthRecord = liveRecords.get(String(recordId)) || {};
+    const revisions = await HealthRecordRevision.find({ healthRecord: recordId });
+    for (const callId of collectCallIds(healthRecord, revisions)) {
+      callIds.add(callId);
+      try {
+        if (await deleteCall(callId)) {
+          erased.callRecordings++;
+        }
+      } catch (error) {
+        pending.push({ kind: 'retell_call', ref: callId, error: error.message });
+      }
+    }
+  }
+
+  // Jobs first, so the worker can't pick up a stage for a record being erased
+  erased.jobs = await deleteRelatedJobs(recordIds, [...callIds]);
+
+  // Revisions hold full copies of the data, so they go too; removeHealthRecord
+  // would keep a final snapshot, which erasure must not
+  erased.revisions = (await HealthRecordRevision.deleteMany({ healthRecord: { $in: recordIds } })).deletedCount;
+  erased.healthRecords = (await HealthRecord.deleteMany({ _id: { $in: recordIds } })).deletedCount;
+  erased.vitalObservations = (await VitalObservation.deleteMany({ user: userId })).deletedCount;
+
+  erased.patients = (await Patient.deleteMany({ user: userId })).deletedCount;
+  erased.shareGrants = (await ShareGrant.deleteMany({ $or: [{ owner: userId }, { grantee: userId }] })).deletedCount;
+  // Export archives are full copies of the data
+  const dataExports = await DataExport.find({ user: userId });
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  erased.dataExports = (await DataExport.deleteMany({ user: userId })).deletedCount;
+
+  erased.sessions = (await Session.deleteMany({ user: userId })).deletedCount;
+  erased.accountTokens = (await AccountToken.deleteMany({ user: userId })).deletedCount;
+
+  // Throttle and rate limit keys contain the email or user ID
+  if (user) {
+    await LoginThrottle.deleteMany({ key: { $regex: `^account(_ip)?:${escapeRegex(user.email)}(:|$)` } });
+  }
+  await RateLimitBucket.deleteMany({ key: { $regex: `:user:${userId}$` } });
+
+  await User.updateMany({ linkedPatients: userId }, { $pull: { linkedPatients: userId } });
+  await User.deleteOne({ _id: userId });
+
+  receipt.status = pending.length > 0 ? 'completed_with_errors' : 'completed';
+  receipt.erased = erased;
+  receipt.pending = pending;
+  receipt.completedAt = new Date();
+  receipt.hash = hashReceipt({ ...receipt.toObject(), erased });
+  await receipt.save();
+
+  return receipt;
+};
+
+/**
+ * Job handler that runs a queued account erasure
+ * @param {Object} job - Job with data { receiptId }
+ */
+const processAccountErasureJob = async (job) => {
+  const receipt = await DeletionReceipt.findOne({ receiptId: job.data.receiptId });
+  if (!receipt || receipt.status !== 'queued') {
+    return;
+  }
+  await eraseUserAccount(receipt);
+};
+
+module.exports = {
+  ACCOUNT_ERASURE_JOB,
+  requestAccountErasure,
+  eraseUserAccount,
+  processAccountErasureJob
+};
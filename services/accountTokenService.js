@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/AccountToken');
+
+const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+// How long each kind of link stays valid
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60,
+  [TOKEN_PURPOSES.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60)
+};
+
+const getTokenSecret = () => process.env.ACCOUNT_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Issues a signed, single-use token for a user. Unused tokens issued earlier
+ * for the same purpose stop working, so only the latest email's link is valid.
+ * @param {Object} user - User document
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<Object>} - { token, expiresAt }
+ */
+const issueAccountToken = async (user, purpose) => {
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const record = await AccountToken.create({
+    user: user._id,
+    purpose,
+    email: user.email,
+    expiresAt
+  });
+
+  const token = jwt.sign({ token: record._id.toString(), purpose }, getTokenSecret(), {
+    expiresIn: TOKEN_TTL_MINUTES[purpose] * 60,
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Verifies a token and marks it used. The claim is atomic, so a token
+ * redeemed twice at once still only works once.
+ * @param {string} token - Token from issueAccountToken
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object|null>} - The AccountToken, or null if the token is
+ *   invalid, expired, already used or for another purpose
+ */
+const consumeAccountToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), getTokenSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.token) {
+    return null;
+  }
+
+  return AccountToken.findOneAndUpdate(
+    { _id: payload.token, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueAccountToken,
+  consumeAccountToken
+};
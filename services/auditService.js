@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Appends from this process are written one at a time so they don't race
+// each other for the next sequence number
+let appendQueue = Promise.resolve();
+
+const idString = (id) => (id ? id.toString() : null);
+
+/**
+ * Hashes an entry's contents together with the previous entry's hash. Fields
+ * are listed explicitly so the hash doesn't depend on key order in MongoDB.
+ * @param {Object} entry - Audit entry data, with sequence and prevHash
+ * @returns {string} - Hex SHA-256 hash
+ */
+const computeEntryHash = (entry) => {
+  const content = JSON.stringify([
+    entry.sequence,
+    entry.prevHash,
+    new Date(entry.timestamp).toISOString(),
+    entry.actor.kind,
+    idString(entry.actor.user),
+    entry.actor.role || null,
+    idString(entry.actor.shareGrant),
+    entry.action,
+    (entry.healthRecords || []).map(idString),
+    (entry.subjects || []).map(idString),
+    entry.outcome,
+    entry.statusCode || null,
+    entry.method || null,
+    entry.path || null,
+    entry.ip || null,
+    entry.userAgent || null
+  ]);
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Writes the entry after the current end of the chain, retrying if another
+ * process took the sequence number first
+ * @param {Object} data - Entry fields other than sequence, hashes and timestamp
+ * @returns {Promise<Object>} - The stored entry
+ */
+const writeEntry = async (data) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await AuditEntry.findOne().sort({ sequence: -1 }).select('sequence hash');
+    const entry = {
+      ...data,
+      sequence: last ? last.sequence + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      timestamp: new Date()
+    };
+    entry.hash = computeEntryHash(entry);
+
+    try {
+      return await AuditEntry.create(entry);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not append audit entry: the chain is under heavy contention');
+};
+
+/**
+ * Appends an entry to the audit log
+ * @param {Object} data - { actor, action, healthRecords, subjects, outcome, statusCode, method, path, ip, userAgent }
+ * @returns {Promise<Object>} - The stored entry
+ */
+const appendAuditEntry = (data) => {
+  const result = appendQueue.then(() => writeEntry(data));
+  // Keep the queue going even if this append fails
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Walks the whole chain and checks every hash and link
+ * @returns {Promise<Object>} - { valid, checked, brokenAt, reason }
+ */
+const verifyAuditChain = async () => {
+  const cursor = AuditEntry.find().sort({ sequence: 1 }).cursor();
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+    if (entry.sequence !== expectedSequence) {
+      return { valid: false, checked, brokenAt: expectedSequence, reason: 'Entry is missing' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'Link to the previous entry does not match' };
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.sequence, reason: 'Entry contents do not match its hash' };
+    }
+
+    prevHash = entry.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked, brokenAt: null, reason: null };
+};
+
+/**
+ * Maps an HTTP status to an audit outcome
+ * @param {number} statusCode - Response status
+ * @returns {string} - Outcome
+ */
+const getOutcome = (statusCode) => {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  if (statusCode === 404) return 'not_found';
+  if (statusCode === 429) return 'throttled';
+  return 'error';
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeEntryHash,
+  appendAuditEntry,
+  verifyAuditChain,
+  getOutcome
+};
@@ -0,0 +1,327 @@
+const { getPath, setPath, listLeaves } = require('../utils/objectPath');
+
+// Where a structuredData value came from
+const PROVENANCE_SOURCES = {
+  DOCUMENT_AI: 'document_ai',
+  GROQ: 'groq',
+  PATIENT_CALL: 'patient_call',
+  MANUAL: 'manual',
+  FHIR_IMPORT: 'fhir_import'
+};
+
+// Keywords used to work out which part of structuredData a correction is about.
+// Checked in order, so more specific categories come first.
+const CATEGORY_PATTERNS = [
+  { category: 'allergies', pattern: /allerg/ },
+  { category: 'medications', pattern: /medic|drug|dos(e|age)|frequen|prescri|tablet|pill/ },
+  { category: 'diagnosis', pattern: /diagnos|condition|disease/ },
+  { category: 'vitalSigns', pattern: /vital|blood pressure|\bbp\b|heart|pulse|temp|height|weight|spo2|oxygen|saturation|respirat/ },
+  { category: 'patient', pattern: /patient|^name$|phone|birth|\bdob\b|record number|\bmrn\b/ }
+];
+
+const VITAL_SIGN_PATTERNS = {
+  bloodPressure: /blood pressure|\bbp\b/,
+  heartRate: /heart|pulse|\bhr\b/,
+  temperature: /temp/,
+  height: /height/,
+  weight: /weight/,
+  oxygenSaturation: /spo2|oxygen|saturation/,
+  respiratoryRate: /respirat|breathing/
+};
+
+const PATIENT_FIELD_PATTERNS = {
+  phone: /phone/,
+  dateOfBirth: /birth|\bdob\b/,
+  medicalRecordNumber: /record number|\bmrn\b/,
+  name: /name/
+};
+
+/**
+ * Normalizes free text for loose comparison
+ * @param {*} value - Value to normalize
+ * @returns {string} - Lowercased, trimmed text with single spaces
+ */
+const normalizeText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    // Split camelCase field names such as "patientName"
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[_\-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Loosely compares a stored value with the value the patient said was wrong
+ * @param {*} stored - Value in structuredData
+ * @param {*} incorrect - Value from the correction
+ * @returns {boolean}
+ */
+const valuesMatch = (stored, incorrect) => {
+  const a = normalizeText(stored);
+  const b = normalizeText(incorrect);
+
+  if (!a || !b) {
+    return false;
+  }
+  if (a === b) {
+    return true;
+  }
+  // Allow partial matches such as "Lisinopril" vs "Lisinopril 10mg"
+  return Math.min(a.length, b.length) >= 3 && (a.includes(b) || b.includes(a));
+};
+
+/**
+ * Finds the index of the array entry that matches the incorrect value or is named in the field
+ * @param {Array} items - Array from structuredData
+ * @param {Object} correction - { field, incorrect, correct }
+ * @param {string} preferredKey - Object key to check first, e.g. "dosage"
+ * @returns {{index: number, key: string|null}|null}
+ */
+const findArrayEntry = (items, correction, preferredKey = null) => {
+  if (!Array.isArray(items)) {
+    return null;
+  }
+
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+
+    if (item === null || typeof item !== 'object') {
+      if (valuesMatch(item, correction.incorrect)) {
+        return { index, key: null };
+      }
+      continue;
+    }
+
+    const keys = preferredKey ? [preferredKey, ...Object.keys(item)] : Object.keys(item);
+    const matchedKey = keys.find(key => valuesMatch(item[key], correction.incorrect));
+    if (matchedKey) {
+      return { index, key: matchedKey };
+    }
+  }
+
+  // Fall back to an entry named in the field itself, e.g. "Lisinopril dosage"
+  const field = normalizeText(correction.field);
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const name = item && typeof item === 'object' ? item.name : item;
+    if (name && normalizeText(name).length >= 3 && field.includes(normalizeText(name))) {
+      return { index, key: null };
+    }
+  }
+
+  return null;
+};
+
+const resolveMedicationPath = (structuredData, correction) => {
+  const field = normalizeText(correction.field);
+  let subfield = null;
+  if (/dos(e|age)|strength/.test(field)) {
+    subfield = 'dosage';
+  } else if (/frequen|how often|times/.test(field)) {
+    subfield = 'frequency';
+  } else if (/name/.test(field)) {
+    subfield = 'name';
+  }
+
+  const entry = findArrayEntry(structuredData.medications, correction, subfield);
+  if (!entry) {
+    return null;
+  }
+
+  const item = structuredData.medications[entry.index];
+  if (item === null || typeof item !== 'object') {
+    return `medications.${entry.index}`;
+  }
+  return `medications.${entry.index}.${subfield || entry.key || 'name'}`;
+};
+
+const resolveDiagnosisPath = (structuredData, correction) => {
+  const { diagnosis } = structuredData;
+  const field = normalizeText(correction.field);
+
+  if (typeof diagnosis === 'string') {
+    return 'diagnosis';
+  }
+
+  if (diagnosis && typeof diagnosis === 'object') {
+    if (valuesMatch(diagnosis.primary, correction.incorrect)) {
+      return 'diagnosis.primary';
+    }
+
+    const entry = findArrayEntry(diagnosis.secondary, correction);
+    if (entry) {
+      return `diagnosis.secondary.${entry.index}`;
+    }
+
+    // Without a value to match, only a plain "diagnosis" correction is unambiguous
+    if (!correction.incorrect && !/secondary/.test(field)) {
+      return 'diagnosis.primary';
+    }
+    return null;
+  }
+
+  // Some documents produce a flat "diagnoses" list instead
+  const entry = findArrayEntry(structuredData.diagnoses, correction);
+  return entry ? `diagnoses.${entry.index}` : null;
+};
+
+const resolveAllergyPath = (structuredData, correction) => {
+  const allergies = Array.isArray(structuredData.allergies) ? structuredData.allergies : [];
+  const entry = findArrayEntry(allergies, correction);
+
+  if (entry) {
+    return `allergies.${entry.index}`;
+  }
+
+  // A correction with nothing to replace is a newly reported allergy
+  const incorrect = normalizeText(correction.incorrect);
+  if (!incorrect || ['none', 'no allergies', 'nkda', 'n/a'].includes(incorrect)) {
+    return `allergies.${allergies.length}`;
+  }
+
+  return null;
+};
+
+const resolveVitalSignPath = (structuredData, correction) => {
+  const field = normalizeText(correction.field);
+  const vitalSigns = structuredData.vitalSigns && typeof structuredData.vitalSigns === 'object'
+    ? structuredData.vitalSigns
+    : {};
+
+  const canonicalKey = Object.keys(VITAL_SIGN_PATTERNS).find(key => VITAL_SIGN_PATTERNS[key].test(field));
+
+  // Prefer the key the document already uses, e.g. "BP" instead of "bloodPressure"
+  const existingKey = Object.keys(vitalSigns).find(key => {
+    const normalized = normalizeText(key);
+    return (canonicalKey && (key === canonicalKey || VITAL_SIGN_PATTERNS[canonicalKey].test(normalized)))
+      || valuesMatch(vitalSigns[key], correction.incorrect);
+  });
+
+  const key = existingKey || canonicalKey;
+  return key ? `vitalSigns.${key}` : null;
+};
+
+const resolvePatientPath = (structuredData, correction) => {
+  const field = normalizeText(correction.field);
+  const key = Object.keys(PATIENT_FIELD_PATTERNS).find(name => PATIENT_FIELD_PATTERNS[name].test(field));
+  return key ? `patient.${key}` : null;
+};
+
+const CATEGORY_RESOLVERS = {
+  medications: resolveMedicationPath,
+  diagnosis: resolveDiagnosisPath,
+  allergies: resolveAllergyPath,
+  vitalSigns: resolveVitalSignPath,
+  patient: resolvePatientPath
+};
+
+/**
+ * Works out which structuredData path a patient correction refers to
+ * @param {Object} structuredData - Structured data produced by processHealthRecord
+ * @param {Object} correction - { field, incorrect, correct } from processTranscript
+ * @returns {string|null} - Dot-separated path, or null if it can't be placed
+ */
+const resolveCorrectionPath = (structuredData, correction) => {
+  const field = normalizeText(correction.field);
+  const match = CATEGORY_PATTERNS.find(({ pattern }) => pattern.test(field));
+
+  if (match) {
+    return CATEGORY_RESOLVERS[match.category](structuredData, correction);
+  }
+
+  // Unknown field name: use the one leaf that holds the incorrect value, if there is exactly one
+  const candidates = listLeaves(structuredData)
+    .filter(leaf => normalizeText(leaf.value) === normalizeText(correction.incorrect) && normalizeText(leaf.value));
+  return candidates.length === 1 ? candidates[0].path : null;
+};
+
+/**
+ * Records the source of a single structuredData path, replacing any earlier entry for it
+ * @param {Array} fieldProvenance - Existing provenance entries
+ * @param {Object} entry - { path, source, previousValue, reference }
+ * @returns {Array} - New provenance entries
+ */
+const setFieldProvenance = (fieldProvenance, entry) => {
+  const entries = (fieldProvenance || []).filter(existing => existing.path !== entry.path);
+  entries.push({
+    updatedAt: new Date().toISOString(),
+    ...entry
+  });
+  return entries;
+};
+
+/**
+ * Builds provenance entries marking every leaf of structuredData as coming from one source
+ * @param {Object} structuredData - Structured data
+ * @param {string} source - One of PROVENANCE_SOURCES
+ * @returns {Array} - Provenance entries
+ */
+const buildProvenance = (structuredData, source) => {
+  const updatedAt = new Date().toISOString();
+  return listLeaves(structuredData).map(({ path }) => ({ path, source, updatedAt }));
+};
+
+/**
+ * Applies patient-confirmed corrections to structuredData
+ * @param {Object} structuredData - Current structured data (not modified)
+ * @param {Array} fieldProvenance - Current provenance entries (not modified)
+ * @param {Array} corrections - [{ field, incorrect, correct }] from processTranscript
+ * @param {Object} options - { source, reference } recorded in provenance
+ * @returns {Object} - { structuredData, fieldProvenance, corrections } where each
+ *                     correction is annotated with whether and where it was applied
+ */
+const applyCorrections = (structuredData, fieldProvenance, corrections, options = {}) => {
+  const source = options.source || PROVENANCE_SOURCES.PATIENT_CALL;
+  const updatedData = JSON.parse(JSON.stringify(structuredData || {}));
+  let updatedProvenance = [...(fieldProvenance || [])];
+
+  const annotated = (corrections || []).map(correction => {
+    if (!correction || !correction.field || correction.correct === undefined || correction.correct === null || correction.correct === '') {
+      return { ...correction, applied: false, reason: 'Correction has no field or correct value' };
+    }
+
+    const path = resolveCorrectionPath(updatedData, correction);
+    if (!path) {
+      return { ...correction, applied: false, reason: 'No matching field in structured data' };
+    }
+
+    const previousValue = getPath(updatedData, path);
+    if (normalizeText(previousValue) === normalizeText(correction.correct)) {
+      return { ...correction, applied: false, path, reason: 'Value already matches' };
+    }
+
+    setPath(updatedData, path, correction.correct);
+    updatedProvenance = setFieldProvenance(updatedProvenance, {
+      path,
+      source,
+      previousValue: previousValue === undefined ? null : previousValue,
+      reference: options.reference || null
+    });
+
+    return {
+      ...correction,
+      applied: true,
+      path,
+      previousValue: previousValue === undefined ? null : previousValue,
+      appliedAt: new Date().toISOString()
+    };
+  });
+
+  return {
+    structuredData: updatedData,
+    fieldProvenance: updatedProvenance,
+    corrections: annotated
+  };
+};
+
+module.exports = {
+  PROVENANCE_SOURCES,
+  resolveCorrectionPath,
+  applyCorrections,
+  buildProvenance,
+  setFieldProvenance
+};
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const HealthRecord = require('../models/HealthRecord');
+const ShareGrant = require('../models/ShareGrant');
+const AuditEntry = require('../models/AuditEntry');
+const Patient = require('../models/Patient');
+const { enqueueJob } = require('./jobQueue');
+const { downloadFileFromS3 } = require('./s3Service');
+const { describeGrant } = require('./sharingService');
+const { describePatient } = require('./patientService');
+const { createZipArchive } = require('../utils/zipArchive');
+
+const DATA_EXPORT_JOB = 'user.dataExport';
+const DATA_EXPORT_CLEANUP_JOB = 'user.dataExportCleanup';
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../exports');
+// How long a finished archive is kept, and how long each download link works
+const ARCHIVE_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS || 24);
+const DOWNLOAD_LINK_TTL_MINUTES = 15;
+
+const TOKEN_PURPOSE = 'data_export';
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Folder name inside the archive for the nth record
+const getRecordFolder = (healthRecord, index) => {
+  const slug = (healthRecord.title || 'record').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `records/${String(index + 1).padStart(3, '0')}-${slug || 'record'}`;
+};
+
+/**
+ * Plain copy of a record for the archive, without internal bookkeeping
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {Object}
+ */
+const buildExportRecord = (healthRecord) => {
+  const record = JSON.parse(JSON.stringify(healthRecord.toObject()));
+  delete record.__v;
+  if (record.verificationCall) {
+    delete record.verificationCall.callIdIndex;
+  }
+  if (record.processingMetadata && record.processingMetadata.fileInfo) {
+    delete record.processingMetadata.fileInfo.localPath;
+  }
+  return record;
+};
+
+/**
+ * Fetches the original uploaded file of a record. Linked files from FHIR
+ * imports are not fetched; record.json keeps their externalUrl.
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {Promise<Object|null>} - { name, data }, or null if the record has no file
+ */
+const fetchOriginalFile = async (healthRecord) => {
+  if (healthRecord.processingMetadata && healthRecord.processingMetadata.storageLocation === 'external') {
+    return null;
+  }
+  const fileInfo = (healthRecord.processingMetadata && healthRecord.processingMetadata.fileInfo) || {};
+  const extension = fileInfo.extension || path.extname(healthRecord.fileUrl || healthRecord.filePath || '');
+  const name = `original${extension}`;
+
+  if (healthRecord.fileUrl && healthRecord.fileUrl.includes('amazonaws.com')) {
+    return { name, data: await downloadFileFromS3(healthRecord.fileUrl) };
+  }
+  if (healthRecord.filePath && fs.existsSync(healthRecord.filePath)) {
+    return { name, data: await fs.promises.readFile(healthRecord.filePath) };
+  }
+  if (healthRecord.fileUrl || healthRecord.filePath) {
+    throw new Error('Original file is no longer available');
+  }
+  return null;
+};
+
+// Readable transcript, one line per turn when the structured form is available
+const formatTranscript = (verificationCall) => {
+  if (Array.isArray(verificationCall.transcriptObject) && verificationCall.transcriptObject.length > 0) {
+    return verificationCall.transcriptObject
+      .map(turn => `${turn.role === 'agent' ? 'Agent' : 'Patient'}: ${turn.content}`)
+      .join('\n');
+  }
+  return verificationCall.transcript || '';
+};
+
+/**
+ * Builds index.html, the human-readable guide to the archive
+ * @param {Object} user - User document
+ * @param {Array} entries - [{ healthRecord, folder, files, missingFile }]
+ * @param {Object} counts - { patients, shares, accessLog }
+ * @returns {string} - HTML
+ */
+const buildIndexHtml = (user, entries, counts) => {
+  const rows = entries.map(({ healthRecord, folder, files, missingFile }) => `
+      <tr>
+        <td>${escapeHtml(healthRecord.title)}</td>
+        <td>${escapeHtml(healthRecord.documentType)}</td>
+        <td>${escapeHtml(new Date(healthRecord.createdAt).toISOString().slice(0, 10))}</td>
+        <td>${escapeHtml(healthRecord.processingStatus)}</td>
+        <td>${files.map(file => `<a href="${escapeHtml(`${folder}/${file}`)}">${escapeHtml(file)}</a>`).join('<br>')}${missingFile ? `<br><em>Original file could not be included: ${escapeHtml(missingFile)}</em>` : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Your health records data export</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+  </style>
+</head>
+<body>
+  <h1>Your health records data export</h1>
+  <p>Prepared for ${escapeHtml(user.name)} (${escapeHtml(user.email)}) on ${escapeHtml(new Date().toISOString())}.
+  This archive holds everything this service stores about you.</p>
+
+  <h2>What is in this archive</h2>
+  <ul>
+    <li><a href="profile.json">profile.json</a>: your account details</li>
+    <li><a href="patients.json">patients.json</a>: the ${counts.patients} patient profiles you manage</li>
+    <li><code>records/</code>: one folder per health record (${entries.length} in total), each with
+      <code>record.json</code> (the text read from the document, the structured data, the verification call
+      and its transcript, and processing details), <code>transcript.txt</code> when there was a verification
+      call, and the original file you uploaded</li>
+    <li><a href="shares.json">shares.json</a>: the ${counts.shares} sharing links and grants you created</li>
+    <li><a href="access-log.json">access-log.json</a>: the ${counts.accessLog} recorded accesses to your records</li>
+  </ul>
+
+  <h2>Health records</h2>
+  <table>
+    <thead>
+      <tr><th>Title</th><th>Type</th><th>Uploaded</th><th>Status</th><th>Files</th></tr>
+    </thead>
+    <tbody>${rows || '\n      <tr><td colspan="5">No health records</td></tr>'}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Starts a data export for a user, unless one is already being built
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { dataExport, existing }
+ */
+const requestDataExport = async (userId) => {
+  const active = await DataExport.findOne({ user: userId, status: { $in: ['queued', 'running'] } });
+  if (active) {
+    return { dataExport: active, existing: true };
+  }
+
+  const dataExport = await DataExport.create({ user: userId });
+  await enqueueJob(DATA_EXPORT_JOB, { exportId: dataExport._id.toString() });
+  return { dataExport, existing: false };
+};
+
+const setProgress = (dataExport, step, processedRecords) => {
+  const total = dataExport.progress.totalRecords;
+  dataExport.progress = {
+    step,
+    totalRecords: total,
+    processedRecords,
+    // Records are most of the work; the rest is shared out between the other steps
+    percent: step === 'completed' ? 100 : Math.min(99, Math.round(5 + (total > 0 ? (processedRecords / total) * 85 : 85)))
+  };
+  return dataExport.save();
+};
+
+/**
+ * Job handler that builds the archive for a DataExport
+ * @param {Object} job - Job with data { exportId }
+ */
+const processDataExportJob = async (job) => {
+  const dataExport = await DataExport.findById(job.data.exportId);
+  if (!dataExport || !['queued', 'running'].includes(dataExport.status)) {
+    return;
+  }
+
+  const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+
+  try {
+    const user = await User.findById(dataExport.user).select('-password');
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const archive = await createZipArchive(filePath);
+
+    const healthRecords = await HealthRecord.find({ user: user._id }).sort({ createdAt: 1 });
+    dataExport.status = 'running';
+    dataExport.progress.totalRecords = healthRecords.length;
+    dataExport.missingFiles = [];
+    await setProgress(dataExport, 'profile', 0);
+
+    await archive.addFile('profile.json', toJson({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: !!user.emailVerified,
+      dateOfBirth: user.dateOfBirth,
+      phoneNumber: user.phoneNumber || '',
+      role: user.role || 'patient',
+      linkedPatients: user.linkedPatients || [],
+      mfaEnabled: !!(user.mfa && user.mfa.enabled),
+      createdAt: user.createdAt
+    }));
+
+    const patients = await Patient.find({ user: user._id }).sort({ createdAt: 1 });
+    await archive.addFile('patients.json', toJson(patients.map(describePatient)));
+
+    const entries = [];
+    for (const [index, healthRecord] of healthRecords.entries()) {
+      const folder = getRecordFolder(healthRecord, index);
+      const files = ['record.json'];
+      let missingFile = null;
+
+      await archive.addFile(`${folder}/record.json`, toJson(buildExportRecord(healthRecord)));
+
+      const transcript = healthRecord.verificationCall ? formatTranscript(healthRecord.verificationCall) : '';
+      if (transcript) {
+        await archive.addFile(`${folder}/transcript.txt`, transcript);
+        files.push('transcript.txt');
+      }
+
+      try {
+        const original = await fetchOriginalFile(healthRecord);
+        if (original) {
+          await archive.addFile(`${folder}/${original.name}`, original.data);
+          files.push(original.name);
+        }
+      } catch (error) {
+        // One unreachable file shouldn't withhold the rest of the export
+        missingFile = error.message;
+        dataExport.missingFiles.push({ healthRecord: healthRecord._id, error: error.message });
+      }
+
+      entries.push({ healthRecord, folder, files, missingFile });
+      await setProgress(dataExport, 'records', index + 1);
+    }
+
+    await setProgress(dataExport, 'sharing_and_access_log', healthRecords.length);
+
+    const grants = await ShareGrant.find({ owner: user._id }).sort({ createdAt: 1 });
+    await archive.addFile('shares.json', toJson(grants.map(describeGrant)));
+
+    const accessLog = await AuditEntry.find({ subjects: user._id }).sort({ sequence: 1 }).lean();
+    await archive.addFile('access-log.json', toJson(accessLog.map(entry => ({
+      timestamp: entry.timestamp,
+      action: entry.action,
+      outcome: entry.outcome,
+      actor: {
+        kind: entry.actor.kind,
+        user: entry.actor.user,
+        role: entry.actor.role,
+        shareGrant: entry.actor.shareGrant
+      },
+      healthRecords: entry.healthRecords
+    }))));
+
+    await archive.addFile('index.html', buildIndexHtml(user, entries, {
+      patients: patients.length,
+      shares: grants.length,
+      accessLog: accessLog.length
+    }));
+
+    dataExport.fileSize = await archive.finalize();
+    dataExport.filePath = filePath;
+    dataExport.status = 'completed';
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + ARCHIVE_TTL_HOURS * 60 * 60 * 1000);
+    await setProgress(dataExport, 'completed', healthRecords.length);
+
+    await enqueueJob(DATA_EXPORT_CLEANUP_JOB, { exportId: dataExport._id.toString() }, { runAt: dataExport.expiresAt });
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+
+    if (job.attempts >= job.maxAttempts) {
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      dataExport.progress.step = 'failed';
+      await dataExport.save();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Job handler that deletes an archive once it has expired
+ * @param {Object} job - Job with data { exportId }
+ */
+const processDataExportCleanupJob = async (job) => {
+  const dataExport = await DataExport.findById(job.data.exportId);
+  if (!dataExport) {
+    return;
+  }
+
+  if (dataExport.filePath) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  dataExport.status = 'expired';
+  dataExport.filePath = null;
+  await dataExport.save();
+};
+
+/**
+ * Signs a short-lived download link token for a finished export
+ * @param {Object} dataExport - DataExport document
+ * @returns {Object} - { token, expiresAt }
+ */
+const signDownloadToken = (dataExport) => {
+  const expiresAt = new Date(Math.min(
+    Date.now() + DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000,
+    dataExport.expiresAt.getTime()
+  ));
+  const expiresIn = Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  const token = jwt.sign({ export: dataExport._id.toString(), purpose: TOKEN_PURPOSE }, process.env.JWT_SECRET, { expiresIn });
+  return { token, expiresAt };
+};
+
+/**
+ * Verifies a download token and loads its export
+ * @param {string} token - Token from signDownloadToken
+ * @param {string} exportId - Export the link is for
+ * @returns {Promise<Object|null>} - The export if it can still be downloaded
+ */
+const resolveDownloadToken = async (token, exportId) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE || payload.export !== String(exportId)) {
+    return null;
+  }
+
+  const dataExport = await DataExport.findById(payload.export);
+  if (!dataExport || dataExport.status !== 'completed' || dataExport.expiresAt <= new Date() || !dataExport.filePath) {
+    return null;
+  }
+  return dataExport;
+};
+
+/**
+ * Status view of an export
+ * @param {Object} dataExport - DataExport document
+ * @returns {Object}
+ */
+const describeExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  progress: dataExport.progress,
+  fileSize: dataExport.fileSize,
+  missingFiles: dataExport.missingFiles,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt
+});
+
+module.exports = {
+  DATA_EXPORT_JOB,
+  DATA_EXPORT_CLEANUP_JOB,
+  requestDataExport,
+  processDataExportJob,
+  processDataExportCleanupJob,
+  signDownloadToken,
+  resolveDownloadToken,
+  describeExport
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+const { getKeyProvider } = require('./keyProviders');
+
+// Marks a stored value as encrypted and names the envelope format
+const ENVELOPE_VERSION = 'v1';
+
+// Data keys unwrapped into memory by loadKeyring, so models can encrypt and
+// decrypt synchronously inside Mongoose hooks
+const keyring = new Map();
+let activeKeyId = null;
+let blindIndexKey = null;
+let provider = null;
+let refreshTimer = null;
+
+/**
+ * Creates a new data key, wrapped by the provider's master key
+ * @param {string} purpose - 'data' or 'blind_index'
+ * @returns {Promise<Object>} - The stored DataKey
+ */
+const createDataKey = async (purpose) => {
+  const { masterKeyId, wrappedKey } = await provider.wrapKey(crypto.randomBytes(32));
+  return DataKey.create({
+    keyId: crypto.randomUUID(),
+    purpose,
+    provider: provider.name,
+    masterKeyId,
+    wrappedKey
+  });
+};
+
+/**
+ * Makes sure an active key exists for a purpose. If two servers start at
+ * once, the unique index lets only one of them create it.
+ * @param {string} purpose - 'data' or 'blind_index'
+ * @returns {Promise<void>}
+ */
+const ensureActiveKey = async (purpose) => {
+  if (await DataKey.exists({ purpose, status: 'active' })) {
+    return;
+  }
+  try {
+    await createDataKey(purpose);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Unwraps every data key in the keyring into memory
+ * @returns {Promise<void>}
+ */
+const loadKeyring = async () => {
+  const dataKeys = await DataKey.find();
+
+  for (const dataKey of dataKeys) {
+    if (!keyring.has(dataKey.keyId)) {
+      keyring.set(dataKey.keyId, await provider.unwrapKey(dataKey));
+    }
+    if (dataKey.status === 'active' && dataKey.purpose === 'data') {
+      activeKeyId = dataKey.keyId;
+    }
+    if (dataKey.status === 'active' && dataKey.purpose === 'blind_index') {
+      blindIndexKey = keyring.get(dataKey.keyId);
+    }
+  }
+};
+
+/**
+ * Loads the keyring, creating the first keys if there are none. Must finish
+ * before any encrypted model is read or written.
+ * @param {Object} options - { provider, refreshIntervalMs }
+ *   refreshIntervalMs: how often to pick up keys rotated by other processes (0 = never)
+ * @returns {Promise<void>}
+ */
+const initEncryption = async (options = {}) => {
+  provider = options.provider || getKeyProvider();
+
+  await ensureActiveKey('data');
+  await ensureActiveKey('blind_index');
+  await loadKeyring();
+
+  const refreshIntervalMs = options.refreshIntervalMs !== undefined
+    ? options.refreshIntervalMs
+    : Number(process.env.ENCRYPTION_KEY_REFRESH_MS || 60 * 1000);
+
+  if (refreshIntervalMs > 0 && !refreshTimer) {
+    refreshTimer = setInterval(() => {
+      loadKeyring().catch(error => console.error('Failed to refresh encryption keys:', error));
+    }, refreshIntervalMs);
+    refreshTimer.unref();
+  }
+
+  console.log(`Field encryption ready (${provider.name} key provider, ${keyring.size} keys)`);
+};
+
+const assertReady = () => {
+  if (!activeKeyId || !blindIndexKey) {
+    throw new Error('Encryption keys are not loaded; call initEncryption() first');
+  }
+};
+
+/**
+ * Checks whether a stored value is an encryption envelope
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => {
+  return value !== null && typeof value === 'object' && value._enc === ENVELOPE_VERSION;
+};
+
+/**
+ * Encrypts any JSON value with the active data key (AES-256-GCM)
+ * @param {*} value - Value to encrypt; null and undefined are left as they are
+ * @returns {Object|null|undefined} - { _enc, k, iv, tag, d }
+ */
+const encryptValue = (value) => {
+  if (value === null || value === undefined || isEncrypted(value)) {
+    return value;
+  }
+  assertReady();
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyring.get(activeKeyId), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    _enc: ENVELOPE_VERSION,
+    k: activeKeyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    d: data.toString('base64')
+  };
+};
+
+/**
+ * Decrypts an envelope from encryptValue. Values that were never encrypted
+ * (records written before encryption was enabled) are returned unchanged.
+ * @param {*} value - Stored value
+ * @returns {*} - Plain value
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const key = keyring.get(value.k);
+  if (!key) {
+    throw new Error(`Encryption key ${value.k} is not loaded`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(value.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(value.d, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+};
+
+/**
+ * Keyed hash of a value for equality lookups on an encrypted field
+ * @param {*} value - Plain value
+ * @returns {string|null} - Hex HMAC-SHA256, or null for empty values
+ */
+const computeBlindIndex = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  assertReady();
+  return crypto.createHmac('sha256', blindIndexKey).update(String(value)).digest('hex');
+};
+
+/**
+ * Retires the active data key and makes a new one active. Existing values
+ * stay readable; re-encrypt them to move them onto the new key.
+ * @returns {Promise<string>} - ID of the new key
+ */
+const rotateDataKey = async () => {
+  assertReady();
+  await DataKey.updateMany({ purpose: 'data', status: 'active' }, { $set: { status: 'retired' } });
+  const dataKey = await createDataKey('data');
+  await loadKeyring();
+  return dataKey.keyId;
+};
+
+/**
+ * Re-wraps every data key with the provider's current master key, after the
+ * master key itself has been rotated
+ * @returns {Promise<number>} - Number of keys re-wrapped
+ */
+const rewrapDataKeys = async () => {
+  assertReady();
+  const dataKeys = await DataKey.find();
+
+  for (const dataKey of dataKeys) {
+    const { masterKeyId, wrappedKey } = await provider.wrapKey(keyring.get(dataKey.keyId));
+    dataKey.provider = provider.name;
+    dataKey.masterKeyId = masterKeyId;
+    dataKey.wrappedKey = wrappedKey;
+    dataKey.rewrappedAt = new Date();
+    await dataKey.save();
+  }
+
+  return dataKeys.length;
+};
+
+const getActiveKeyId = () => activeKeyId;
+
+module.exports = {
+  initEncryption,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  computeBlindIndex,
+  rotateDataKey,
+  rewrapDataKeys,
+  getActiveKeyId
+};
@@ -0,0 +1,369 @@
+const { SYSTEMS, VITAL_SIGN_CODES } = require('./fhirService');
+const { validateStructuredData } = require('./structuredDataService');
+
+// Resource types that map into structuredData; anything else is ignored
+const SUPPORTED_RESOURCES = [
+  'Patient',
+  'Practitioner',
+  'Condition',
+  'MedicationStatement',
+  'MedicationRequest',
+  'Observation',
+  'AllergyIntolerance',
+  'DocumentReference'
+];
+
+const DOCUMENT_TYPES = [
+  'Medical Report',
+  'Prescription',
+  'Lab Result',
+  'Vaccination Record',
+  'Insurance Document',
+  'Consultation Note',
+  'Discharge Summary',
+  'Medication List',
+  'Medical Bill',
+  'Other'
+];
+
+// vitalSigns keys by LOINC code, the reverse of the export mapping
+const VITAL_SIGN_KEYS = Object.keys(VITAL_SIGN_CODES).reduce((keys, key) => {
+  keys[VITAL_SIGN_CODES[key].code] = key;
+  return keys;
+}, {});
+// Systolic and diastolic readings sent on their own
+VITAL_SIGN_KEYS['8480-6'] = 'systolic';
+VITAL_SIGN_KEYS['8462-4'] = 'diastolic';
+
+/**
+ * Reads the human-readable text of a CodeableConcept
+ * @param {Object} concept - FHIR CodeableConcept
+ * @param {boolean} withCode - Append an ICD-10 code as "Text (I10)"
+ * @returns {string|null}
+ */
+const conceptText = (concept, withCode = false) => {
+  if (!concept) {
+    return null;
+  }
+
+  const coding = Array.isArray(concept.coding) ? concept.coding : [];
+  const text = concept.text || coding.map(code => code.display).find(Boolean) || coding.map(code => code.code).find(Boolean) || null;
+  const icd10 = coding.find(code => code.system === SYSTEMS.ICD10 && code.code);
+
+  if (withCode && text && icd10 && !text.includes(`(${icd10.code})`)) {
+    return `${text} (${icd10.code})`;
+  }
+  return text;
+};
+
+const quantityText = (quantity) => {
+  if (!quantity || quantity.value === undefined) {
+    return null;
+  }
+  const unit = quantity.unit || quantity.code || '';
+  return unit === '%' ? `${quantity.value}%` : `${quantity.value}${unit ? ` ${unit}` : ''}`;
+};
+
+const observationValueText = (observation) => {
+  return quantityText(observation.valueQuantity)
+    || (observation.valueString !== undefined ? String(observation.valueString) : null)
+    || conceptText(observation.valueCodeableConcept)
+    || (observation.valueInteger !== undefined ? String(observation.valueInteger) : null)
+    || (observation.valueBoolean !== undefined ? String(observation.valueBoolean) : null);
+};
+
+const referenceRangeText = (range) => {
+  if (!range) {
+    return null;
+  }
+  if (range.text) {
+    return range.text;
+  }
+  const low = quantityText(range.low);
+  const high = quantityText(range.high);
+  if (low && high) {
+    return `${range.low.value}-${high}`;
+  }
+  return high ? `<${high}` : low ? `>${low}` : null;
+};
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+
+const hasCategory = (resource, code) => {
+  return (resource.category || []).some(category => (category.coding || []).some(coding => coding.code === code));
+};
+
+const humanName = (names) => {
+  const name = Array.isArray(names) ? names[0] : null;
+  if (!name) {
+    return null;
+  }
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || null;
+};
+
+// Linked attachments are only kept as links, so only web URLs are accepted
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks the shape of an imported Bundle or DocumentReference
+ * @param {Object} payload - Request body
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+const validateFhirPayload = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return ['Body must be a FHIR R4 Bundle or DocumentReference'];
+  }
+
+  if (payload.resourceType === 'DocumentReference') {
+    const errors = validateResource(payload, 'DocumentReference');
+    if (!payload.content?.[0]?.attachment) {
+      errors.push('DocumentReference: content.attachment is required');
+    }
+    return errors;
+  }
+
+  if (payload.resourceType !== 'Bundle') {
+    return ['resourceType must be Bundle or DocumentReference'];
+  }
+
+  if (!Array.isArray(payload.entry) || payload.entry.length === 0) {
+    return ['Bundle.entry must contain at least one resource'];
+  }
+
+  return payload.entry.reduce((errors, entry, index) => {
+    const label = `Bundle.entry[${index}]`;
+    if (!entry || !entry.resource || typeof entry.resource.resourceType !== 'string') {
+      errors.push(`${label}: resource with a resourceType is required`);
+      return errors;
+    }
+    return errors.concat(validateResource(entry.resource, label));
+  }, []);
+};
+
+/**
+ * Checks the elements each supported resource needs for mapping
+ * @param {Object} resource - FHIR resource
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} - Validation errors
+ */
+const validateResource = (resource, label) => {
+  const errors = [];
+  const require = (condition, message) => {
+    if (!condition) {
+      errors.push(`${label} (${resource.resourceType}): ${message}`);
+    }
+  };
+
+  switch (resource.resourceType) {
+    case 'Condition':
+    case 'AllergyIntolerance':
+      require(conceptText(resource.code), 'code is required');
+      break;
+    case 'Observation':
+      require(resource.status, 'status is required');
+      require(conceptText(resource.code), 'code is required');
+      break;
+    case 'MedicationStatement':
+    case 'MedicationRequest':
+      require(resource.status, 'status is required');
+      require(conceptText(resource.medicationCodeableConcept) || resource.medicationReference, 'medication[x] is required');
+      break;
+    case 'DocumentReference': {
+      const url = resource.content?.[0]?.attachment?.url;
+      require(resource.status, 'status is required');
+      require(url === undefined || isHttpUrl(url), 'content.attachment.url must be an http or https URL');
+      break;
+    }
+    default:
+      break;
+  }
+
+  return errors;
+};
+
+/**
+ * Reads the resources of a Bundle carried inline in a DocumentReference
+ * attachment (contentType application/fhir+json)
+ * @param {Object} attachment - FHIR Attachment
+ * @returns {Array} - Resources of the embedded Bundle, or none
+ */
+const readEmbeddedBundle = (attachment) => {
+  if (!attachment.data || !/fhir\+json/.test(attachment.contentType || '')) {
+    return [];
+  }
+
+  try {
+    const bundle = JSON.parse(Buffer.from(attachment.data, 'base64').toString('utf8'));
+    if (bundle.resourceType !== 'Bundle' || validateFhirPayload(bundle).length > 0) {
+      return [];
+    }
+    return bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType !== 'DocumentReference');
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Maps the resources of a Bundle (or a lone DocumentReference) into the
+ * structuredData shape produced by processHealthRecord
+ * @param {Object} payload - Validated Bundle or DocumentReference
+ * @returns {Object} - { structuredData, document, resourceCounts, errors }
+ *   document holds { title, documentType, date, attachment } from a DocumentReference
+ */
+const mapFhirToStructuredData = (payload) => {
+  const resources = payload.resourceType === 'Bundle'
+    ? payload.entry.map(entry => entry.resource)
+    : [payload, ...readEmbeddedBundle(payload.content[0].attachment)];
+
+  const structuredData = {
+    patient: {},
+    provider: {},
+    diagnosis: { primary: null, secondary: [] },
+    medications: [],
+    labResults: [],
+    vitalSigns: {},
+    allergies: []
+  };
+  const resourceCounts = {};
+  const vitalParts = {};
+  let document = null;
+
+  resources.forEach(resource => {
+    const type = SUPPORTED_RESOURCES.includes(resource.resourceType) ? resource.resourceType : 'ignored';
+    resourceCounts[type] = (resourceCounts[type] || 0) + 1;
+
+    switch (resource.resourceType) {
+      case 'Patient': {
+        const phone = (resource.telecom || []).find(telecom => telecom.system === 'phone');
+        const mrn = (resource.identifier || []).find(identifier =>
+          (identifier.type?.coding || []).some(coding => coding.code === 'MR')) || (resource.identifier || [])[0];
+        Object.assign(structuredData.patient, {
+          name: humanName(resource.name),
+          dateOfBirth: resource.birthDate || null,
+          medicalRecordNumber: mrn ? mrn.value : null,
+          phone: phone ? phone.value : null
+        });
+        break;
+      }
+
+      case 'Practitioner':
+        Object.assign(structuredData.provider, {
+          name: humanName(resource.name),
+          specialty: conceptText(resource.qualification?.[0]?.code),
+          clinic: resource.address?.[0]?.text || null
+        });
+        break;
+
+      case 'Condition': {
+        const text = conceptText(resource.code, true);
+        const isPrimary = (resource.note || []).some(note => /primary/i.test(note.text || ''));
+        if (!structuredData.diagnosis.primary && (isPrimary || structuredData.diagnosis.secondary.length === 0)) {
+          structuredData.diagnosis.primary = text;
+        } else {
+          structuredData.diagnosis.secondary.push(text);
+        }
+        break;
+      }
+
+      case 'MedicationStatement':
+      case 'MedicationRequest': {
+        const dosage = (resource.dosage || resource.dosageInstruction || [])[0] || {};
+        const dose = quantityText(dosage.doseAndRate?.[0]?.doseQuantity);
+        structuredData.medications.push({
+          name: conceptText(resource.medicationCodeableConcept) || resource.medicationReference?.display || 'Unknown medication',
+          dosage: dose ? dose.replace(' ', '') : dosage.text || null,
+          frequency: conceptText(dosage.timing?.code) || (dose ? dosage.text || null : null)
+        });
+        break;
+      }
+
+      case 'Observation': {
+        const loinc = (resource.code.coding || []).find(coding => coding.system === SYSTEMS.LOINC);
+        const vitalKey = loinc && VITAL_SIGN_KEYS[loinc.code];
+
+        if (hasCategory(resource, 'vital-signs') || vitalKey) {
+          if (Array.isArray(resource.component) && resource.component.length > 0) {
+            // Blood pressure arrives as systolic/diastolic components
+            resource.component.forEach(component => {
+              const componentCode = (component.code?.coding || []).find(coding => coding.system === SYSTEMS.LOINC);
+              const key = componentCode && VITAL_SIGN_KEYS[componentCode.code];
+              if (key) {
+                vitalParts[key] = component.valueQuantity;
+              }
+            });
+          } else if (vitalKey === 'systolic' || vitalKey === 'diastolic') {
+            vitalParts[vitalKey] = resource.valueQuantity;
+          } else {
+            structuredData.vitalSigns[vitalKey || conceptText(resource.code)] = observationValueText(resource);
+          }
+        } else {
+          structuredData.labResults.push({
+            test: conceptText(resource.code),
+            value: observationValueText(resource),
+            normalRange: referenceRangeText(resource.referenceRange?.[0]),
+            date: dateOnly(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued)
+          });
+        }
+        break;
+      }
+
+      case 'AllergyIntolerance':
+        structuredData.allergies.push(conceptText(resource.code));
+        break;
+
+      case 'DocumentReference': {
+        const typeText = conceptText(resource.type);
+        document = {
+          title: resource.description || resource.content?.[0]?.attachment?.title || null,
+          documentType: DOCUMENT_TYPES.find(name => typeText && name.toLowerCase() === typeText.toLowerCase()) || (typeText ? 'Other' : null),
+          date: resource.date || null,
+          attachment: resource.content?.[0]?.attachment || null
+        };
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  if (document && document.date) {
+    structuredData.documentDate = dateOnly(document.date);
+  }
+
+  if (vitalParts.systolic && vitalParts.diastolic) {
+    structuredData.vitalSigns.bloodPressure = `${vitalParts.systolic.value}/${vitalParts.diastolic.value} ${vitalParts.systolic.unit || 'mmHg'}`;
+  }
+
+  // Leave out sections the Bundle had nothing for
+  if (!structuredData.diagnosis.primary) {
+    delete structuredData.diagnosis;
+  }
+  ['patient', 'provider', 'vitalSigns'].forEach(section => {
+    if (Object.keys(structuredData[section]).length === 0) {
+      delete structuredData[section];
+    }
+  });
+
+  return {
+    structuredData,
+    document,
+    resourceCounts,
+    errors: validateStructuredData(structuredData)
+  };
+};
+
+module.exports = {
+  SUPPORTED_RESOURCES,
+  validateFhirPayload,
+  mapFhirToStructuredData
+};
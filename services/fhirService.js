@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const { toText } = require('../utils/clinicalText');
+
+const SYSTEMS = {
+  ICD10: 'http://hl7.org/fhir/sid/icd-10-cm',
+  LOINC: 'http://loinc.org',
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  UCUM: 'http://unitsofmeasure.org',
+  OBSERVATION_CATEGORY: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  CONDITION_CATEGORY: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  ALLERGY_CLINICAL: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  MRN: 'http://terminology.hl7.org/CodeSystem/v2-0203'
+};
+
+// LOINC codes for the vitalSigns keys produced by processHealthRecord
+const VITAL_SIGN_CODES = {
+  bloodPressure: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  heartRate: { code: '8867-4', display: 'Heart rate' },
+  temperature: { code: '8310-5', display: 'Body temperature' },
+  height: { code: '8302-2', display: 'Body height' },
+  weight: { code: '29463-7', display: 'Body weight' },
+  oxygenSaturation: { code: '2708-6', display: 'Oxygen saturation in Arterial blood' },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate' }
+};
+
+/**
+ * Derives a stable UUID from a key so the same source data always maps to
+ * the same FHIR resource id
+ * @param {string} key - Unique key for the resource
+ * @returns {string} - UUID formatted id
+ */
+const stableId = (key) => {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), `5${hex.slice(13, 16)}`, `a${hex.slice(17, 20)}`, hex.slice(20, 32)].join('-');
+};
+
+/**
+ * Splits text such as "Essential Hypertension (I10)" into display text and an ICD-10 code
+ * @param {string} text - Diagnosis text
+ * @returns {Object} - FHIR CodeableConcept
+ */
+const diagnosisConcept = (text) => {
+  const match = /^(.*?)\s*\(([A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?)\)\s*$/.exec(String(text));
+
+  if (!match) {
+    return { text: String(text) };
+  }
+
+  return {
+    coding: [{ system: SYSTEMS.ICD10, code: match[2], display: match[1] }],
+    text: match[1]
+  };
+};
+
+/**
+ * Builds a CodeableConcept from text and the coding stored next to it by the
+ * terminology service, if any
+ * @param {*} text - Text as written in the document
+ * @param {Object|null} coding - { system, code, display }
+ * @returns {Object} - FHIR CodeableConcept
+ */
+const codedConcept = (text, coding) => {
+  if (!coding || !coding.system || !coding.code) {
+    return { text: String(text) };
+  }
+  return {
+    coding: [{ system: coding.system, code: coding.code, display: coding.display }],
+    text: String(text)
+  };
+};
+
+/**
+ * Parses a value such as "195 mg/dL" into a FHIR Quantity
+ * @param {*} value - Raw value
+ * @returns {Object|null} - Quantity, or null if the value is not numeric
+ */
+const parseQuantity = (value) => {
+  if (typeof value === 'number') {
+    return { value };
+  }
+
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*([^\d\s][^\d]*)?$/.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+
+  const quantity = { value: Number(match[1]) };
+  if (match[2]) {
+    quantity.unit = match[2].trim();
+  }
+  return quantity;
+};
+
+/**
+ * Accepts only dates FHIR can represent (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {*} value - Raw date
+ * @returns {string|undefined}
+ */
+const fhirDate = (value) => {
+  return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(value || '')) ? String(value) : undefined;
+};
+
+const category = (system, code, display) => [{ coding: [{ system, code, display }] }];
+
+/**
+ * Builds an Observation value from a raw result
+ * @param {*} value - Raw value
+ * @returns {Object} - valueQuantity or valueString
+ */
+const observationValue = (value) => {
+  const quantity = parseQuantity(value);
+  return quantity ? { valueQuantity: quantity } : { valueString: String(value) };
+};
+
+/**
+ * Converts a health record into FHIR R4 resources
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Object} options - { baseUrl, referenceStyle: 'uuid' | 'relative' }
+ *   'uuid' references suit a Bundle, 'relative' ("Patient/<id>") suits NDJSON export
+ * @returns {Array<Object>} - FHIR resources
+ */
+const buildFhirResources = (healthRecord, options = {}) => {
+  const data = healthRecord.structuredData || {};
+  const recordId = healthRecord._id.toString();
+  const userId = healthRecord.user.toString();
+  const reference = (type, id) => ({
+    reference: options.referenceStyle === 'relative' ? `${type}/${id}` : `urn:uuid:${id}`
+  });
+  const resources = [];
+
+  // Patient: keyed on the account and the patient's name and DOB so the same
+  // person maps to one Patient across records
+  const patientInfo = data.patient || {};
+  // Names may be numbers or booleans in structuredData, so work on their text
+  const patientName = toText(patientInfo.name) || toText(healthRecord.patientName) || 'Unknown Patient';
+  const patientId = stableId(`patient:${userId}:${patientName.toLowerCase()}:${patientInfo.dateOfBirth || ''}`);
+  const nameParts = patientName.split(/\s+/);
+  const patient = {
+    resourceType: 'Patient',
+    id: patientId,
+    name: [{
+      text: patientName,
+      family: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+      given: nameParts.length > 1 ? nameParts.slice(0, -1) : nameParts
+    }]
+  };
+  const phone = patientInfo.phone || healthRecord.patientPhone;
+  if (phone) {
+    patient.telecom = [{ system: 'phone', value: phone }];
+  }
+  if (fhirDate(patientInfo.dateOfBirth)) {
+    patient.birthDate = fhirDate(patientInfo.dateOfBirth);
+  }
+  if (patientInfo.medicalRecordNumber) {
+    patient.identifier = [{
+      type: { coding: [{ system: SYSTEMS.MRN, code: 'MR', display: 'Medical record number' }] },
+      value: patientInfo.medicalRecordNumber
+    }];
+  }
+  resources.push(patient);
+  const subject = reference('Patient', patientId);
+
+  // Practitioner
+  let performer;
+  const providerName = toText(data.provider && data.provider.name);
+  if (providerName) {
+    const practitionerId = stableId(`practitioner:${userId}:${providerName.toLowerCase()}`);
+    const practitioner = {
+      resourceType: 'Practitioner',
+      id: practitionerId,
+      name: [{ text: providerName }]
+    };
+    if (data.provider.specialty) {
+      practitioner.qualification = [{ code: { text: data.provider.specialty } }];
+    }
+    if (data.provider.clinic) {
+      practitioner.address = [{ text: data.provider.clinic }];
+    }
+    resources.push(practitioner);
+    performer = [reference('Practitioner', practitionerId)];
+  }
+
+  // Conditions
+  const diagnoses = [];
+  const diagnosisCoding = data.diagnosisCoding || {};
+  if (toText(data.diagnosis)) {
+    diagnoses.push({ text: toText(data.diagnosis), primary: true, coding: diagnosisCoding });
+  } else if (data.diagnosis) {
+    if (data.diagnosis.primary) {
+      diagnoses.push({ text: data.diagnosis.primary, primary: true, coding: diagnosisCoding.primary });
+    }
+    (data.diagnosis.secondary || []).forEach((text, index) => diagnoses.push({
+      text,
+      primary: false,
+      coding: (diagnosisCoding.secondary || [])[index]
+    }));
+  }
+  (data.diagnoses || []).forEach(text => diagnoses.push({ text, primary: false }));
+
+  diagnoses.filter(diagnosis => diagnosis.text).forEach((diagnosis, index) => {
+    const condition = {
+      resourceType: 'Condition',
+      id: stableId(`condition:${recordId}:${index}`),
+      category: category(SYSTEMS.CONDITION_CATEGORY, 'encounter-diagnosis', 'Encounter Diagnosis'),
+      code: diagnosis.coding && diagnosis.coding.code
+        ? codedConcept(diagnosis.text, diagnosis.coding)
+        : diagnosisConcept(diagnosis.text),
+      subject,
+      recordedDate: healthRecord.createdAt ? new Date(healthRecord.createdAt).toISOString() : undefined
+    };
+    if (diagnosis.primary) {
+      condition.note = [{ text: 'Primary diagnosis' }];
+    }
+    if (performer) {
+      condition.asserter = performer[0];
+    }
+    resources.push(condition);
+  });
+
+  // Medication statements
+  (Array.isArray(data.medications) ? data.medications : []).forEach((medication, index) => {
+    const item = typeof medication === 'object' && medication !== null ? medication : { name: medication };
+    if (!item.name) {
+      return;
+    }
+    const dosageText = [item.dosage, item.frequency].filter(Boolean).join(' ');
+    const statement = {
+      resourceType: 'MedicationStatement',
+      id: stableId(`medication:${recordId}:${index}`),
+      status: 'active',
+      medicationCodeableConcept: codedConcept(item.name, item.coding),
+      subject,
+      dateAsserted: healthRecord.createdAt ? new Date(healthRecord.createdAt).toISOString() : undefined
+    };
+    if (dosageText) {
+      statement.dosage = [{ text: dosageText }];
+    }
+    if (performer) {
+      statement.informationSource = performer[0];
+    }
+    resources.push(statement);
+  });
+
+  // Lab result observations
+  (Array.isArray(data.labResults) ? data.labResults : []).forEach((lab, index) => {
+    if (!lab || !lab.test) {
+      return;
+    }
+    const observation = {
+      resourceType: 'Observation',
+      id: stableId(`lab:${recordId}:${index}`),
+      status: 'final',
+      category: category(SYSTEMS.OBSERVATION_CATEGORY, 'laboratory', 'Laboratory'),
+      code: codedConcept(lab.test, lab.coding),
+      subject,
+      ...observationValue(lab.value)
+    };
+    if (fhirDate(lab.date)) {
+      observation.effectiveDateTime = fhirDate(lab.date);
+    }
+    if (lab.normalRange) {
+      observation.referenceRange = [{ text: String(lab.normalRange) }];
+    }
+    if (performer) {
+      observation.performer = performer;
+    }
+    resources.push(observation);
+  });
+
+  // Vital sign observations
+  Object.entries(data.vitalSigns && typeof data.vitalSigns === 'object' ? data.vitalSigns : {})
+    .forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        return;
+      }
+      const loinc = VITAL_SIGN_CODES[key];
+      const observation = {
+        resourceType: 'Observation',
+        id: stableId(`vital:${recordId}:${key}`),
+        status: 'final',
+        category: category(SYSTEMS.OBSERVATION_CATEGORY, 'vital-signs', 'Vital Signs'),
+        code: loinc
+          ? { coding: [{ system: SYSTEMS.LOINC, ...loinc }], text: key }
+          : { text: key },
+        subject
+      };
+
+      const bloodPressure = key === 'bloodPressure' && /^\s*(\d+)\s*\/\s*(\d+)/.exec(String(value));
+      if (bloodPressure) {
+        observation.component = [
+          { code: { coding: [{ system: SYSTEMS.LOINC, code: '8480-6', display: 'Systolic blood pressure' }] }, valueQuantity: { value: Number(bloodPressure[1]), unit: 'mmHg', system: SYSTEMS.UCUM, code: 'mm[Hg]' } },
+          { code: { coding: [{ system: SYSTEMS.LOINC, code: '8462-4', display: 'Diastolic blood pressure' }] }, valueQuantity: { value: Number(bloodPressure[2]), unit: 'mmHg', system: SYSTEMS.UCUM, code: 'mm[Hg]' } }
+        ];
+      } else {
+        Object.assign(observation, observationValue(value));
+      }
+      resources.push(observation);
+    });
+
+  // Allergies
+  (Array.isArray(data.allergies) ? data.allergies : []).forEach((allergy, index) => {
+    const text = typeof allergy === 'object' && allergy !== null ? allergy.name || allergy.substance : allergy;
+    if (!text) {
+      return;
+    }
+    resources.push({
+      resourceType: 'AllergyIntolerance',
+      id: stableId(`allergy:${recordId}:${index}`),
+      clinicalStatus: { coding: [{ system: SYSTEMS.ALLERGY_CLINICAL, code: 'active' }] },
+      code: { text: String(text) },
+      patient: subject
+    });
+  });
+
+  // The original file
+  const fileInfo = healthRecord.processingMetadata?.fileInfo || {};
+  const documentReference = {
+    resourceType: 'DocumentReference',
+    id: stableId(`document:${recordId}`),
+    status: 'current',
+    type: { text: healthRecord.documentType },
+    subject,
+    date: healthRecord.createdAt ? new Date(healthRecord.createdAt).toISOString() : undefined,
+    description: healthRecord.title,
+    content: []
+  };
+  if (healthRecord.externalUrl) {
+    documentReference.content.push({ attachment: { url: healthRecord.externalUrl } });
+  } else if (healthRecord.fileUrl) {
+    const url = /^https?:\/\//.test(healthRecord.fileUrl)
+      ? healthRecord.fileUrl
+      : `${options.baseUrl || ''}${healthRecord.fileUrl}`;
+    documentReference.content.push({
+      attachment: {
+        contentType: fileInfo.mimeType,
+        url,
+        title: fileInfo.originalName,
+        size: fileInfo.size
+      }
+    });
+  }
+  if (performer) {
+    documentReference.author = performer;
+  }
+  resources.push(documentReference);
+
+  // Drop undefined fields so the output is clean JSON
+  return JSON.parse(JSON.stringify(resources));
+};
+
+/**
+ * Converts a health record into a FHIR R4 collection Bundle
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Object} options - { baseUrl }
+ * @returns {Object} - FHIR Bundle
+ */
+const buildFhirBundle = (healthRecord, options = {}) => {
+  const resources = buildFhirResources(healthRecord, { ...options, referenceStyle: 'uuid' });
+
+  return {
+    resourceType: 'Bundle',
+    id: stableId(`bundle:${healthRecord._id}`),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: resources.map(resource => ({
+      fullUrl: `urn:uuid:${resource.id}`,
+      resource
+    }))
+  };
+};
+
+module.exports = {
+  SYSTEMS,
+  VITAL_SIGN_CODES,
+  buildFhirResources,
+  buildFhirBundle
+};
@@ -34,6 +34,7 @@ const processHealthRecord = async (documentData, patientContext = {}) => {
     Please extract the following information in a structured JSON format:
     - Patient information (name, DOB, medical record number if available)
     - Doctor/Provider information (name, specialty, hospital/clinic)
+    - Date of the visit or report, as documentDate
     - Diagnosis (primary and secondary if available)
     - Medications (name, dosage, frequency)
     - Treatment plan
@@ -134,6 +135,7 @@ const getMockStructuredData = (patientContext = {}) => {
       medicalRecordNumber: "MRN12345678",
       phone: patientContext.patientPhone || "555-123-4567"
     },
+    documentDate: "2023-09-15",
     provider: {
       name: "Dr. Sarah Johnson",
       specialty: "Internal Medicine",
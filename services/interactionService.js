@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const HealthRecord = require('../models/HealthRecord');
+const { toText, normalizeTerm } = require('../utils/clinicalText');
+const { DISCONTINUED_REASONS, normalizeDrugName, reconcileMedications } = require('./medicationReconciliationService');
+const { codeDrug } = require('./terminologyService');
+const { findEarlierRecords } = require('./patientService');
+
+// Most severe first
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const ALERT_TYPES = {
+  DRUG_ALLERGY: 'drug_allergy',
+  DRUG_DRUG: 'drug_drug'
+};
+
+// Rule for a drug the patient is allergic to by name, which needs no dataset entry
+const SAME_DRUG_RULE = {
+  id: 'allergy-same-drug',
+  severity: 'contraindicated',
+  message: 'Patient is allergic to this drug.'
+};
+
+let rules = null;
+
+const getRulesFile = () => (
+  process.env.INTERACTION_RULES_FILE || path.join(__dirname, '..', 'data', 'interaction-rules.json')
+);
+
+/**
+ * Reads the rules dataset. Class and drug names are normalised, and the
+ * classes named in a rule are expanded to their drugs.
+ * @returns {Object} - { version, allergyRules, interactions }
+ */
+const loadRules = () => {
+  const file = getRulesFile();
+
+  if (!fs.existsSync(file)) {
+    console.warn(`Interaction rules not found at ${file}; prescriptions will not be checked`);
+    return { version: null, allergyRules: [], interactions: [] };
+  }
+
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const classes = new Map(Object.entries(dataset.classes || {}).map(([name, drugs]) => [
+    normalizeTerm(name),
+    drugs.map(normalizeTerm)
+  ]));
+  // A name is a class if the dataset defines one, otherwise a single drug
+  const expand = (names) => [...new Set(names.map(normalizeTerm).flatMap(name => (
+    classes.has(name) ? [name, ...classes.get(name)] : [name]
+  )))];
+
+  const checkRule = (rule) => {
+    if (!rule.id || !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Interaction rule ${rule.id || '(no id)'} in ${file} needs an id and a severity of ${SEVERITIES.join(', ')}`);
+    }
+    return rule;
+  };
+
+  return {
+    version: dataset.version || null,
+    allergyRules: (dataset.allergyRules || []).map(checkRule).map(rule => ({
+      ...rule,
+      allergens: expand(rule.allergens || []),
+      drugs: expand(rule.drugs || [])
+    })),
+    interactions: (dataset.interactions || []).map(checkRule).map(rule => {
+      if (!Array.isArray(rule.between) || rule.between.length !== 2) {
+        throw new Error(`Interaction rule ${rule.id} in ${file} needs two entries in between`);
+      }
+      return { ...rule, between: rule.between.map(name => expand([name])) };
+    })
+  };
+};
+
+const getRules = () => {
+  if (!rules) {
+    rules = loadRules();
+  }
+  return rules;
+};
+
+/**
+ * Drops the loaded rules so they are read again on next use
+ */
+const reloadInteractionRules = () => {
+  rules = null;
+};
+
+const containsTerm = (text, term) => ` ${text} `.includes(` ${term} `);
+
+/**
+ * The names a medication can be matched by: its normalised name and, when it
+ * codes to an RxNorm ingredient, the ingredient, so brand names match too
+ * @param {Object} medication - { name, coding }
+ * @returns {Array<string>}
+ */
+const drugNames = (medication) => {
+  const coding = medication.coding && medication.coding.display ? medication.coding : codeDrug(medication.name);
+  return [...new Set([normalizeDrugName(medication.name), coding ? normalizeTerm(coding.display) : ''])]
+    .filter(Boolean);
+};
+
+const listAllergies = (structuredData) => {
+  const allergies = structuredData && structuredData.allergies;
+  return (Array.isArray(allergies) ? allergies : [allergies]).map(toText).filter(Boolean);
+};
+
+const listMedications = (structuredData) => (
+  (Array.isArray(structuredData && structuredData.medications) ? structuredData.medications : [])
+    .filter(medication => medication && typeof medication === 'object' && toText(medication.name))
+);
+
+/**
+ * Checks medications against allergies and against each other
+ * @param {Object} input
+ *   medications: [{ name, names, healthRecord }] being prescribed
+ *   existingMedications: [{ name, names, healthRecord }] the patient already takes
+ *   allergies: [{ text, healthRecord }]
+ * @returns {Array<Object>} - Alerts, most severe first
+ */
+const findInteractions = ({ medications, existingMedications, allergies }) => {
+  const { allergyRules, interactions } = getRules();
+  const alerts = [];
+  const describe = (drug) => ({ name: drug.name, healthRecord: drug.healthRecord });
+
+  for (const drug of medications) {
+    // Allergies written differently in different records, e.g. "Penicillin"
+    // and "PCN (rash)", raise a rule once for each drug
+    const raised = new Set();
+
+    for (const allergy of allergies) {
+      const allergyText = normalizeTerm(allergy.text);
+      const matched = drug.names.some(name => containsTerm(allergyText, name))
+        ? [SAME_DRUG_RULE]
+        : allergyRules.filter(rule => (
+          rule.allergens.some(term => containsTerm(allergyText, term)) &&
+          drug.names.some(name => rule.drugs.includes(name))
+        ));
+
+      for (const rule of matched.filter(candidate => !raised.has(candidate.id))) {
+        raised.add(rule.id);
+        alerts.push({
+          type: ALERT_TYPES.DRUG_ALLERGY,
+          severity: rule.severity,
+          rule: rule.id,
+          message: rule.message,
+          drug: describe(drug),
+          allergy: { text: allergy.text, healthRecord: allergy.healthRecord }
+        });
+      }
+    }
+  }
+
+  // Each new drug against the ones after it in the same record, then against existing ones
+  const pairs = medications.flatMap((drug, index) => [
+    ...medications.slice(index + 1).map(other => [drug, other]),
+    ...existingMedications.map(other => [drug, other])
+  ]);
+
+  for (const [drug, other] of pairs) {
+    const rule = interactions.find(({ between: [a, b] }) => (
+      (drug.names.some(name => a.includes(name)) && other.names.some(name => b.includes(name))) ||
+      (drug.names.some(name => b.includes(name)) && other.names.some(name => a.includes(name)))
+    ));
+    if (rule) {
+      alerts.push({
+        type: ALERT_TYPES.DRUG_DRUG,
+        severity: rule.severity,
+        rule: rule.id,
+        message: rule.message,
+        drug: describe(drug),
+        interactingDrug: describe(other)
+      });
+    }
+  }
+
+  return alerts.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+};
+
+/**
+ * Checks the medications of a record against the patient's allergies, from
+ * this record and earlier ones, and against the medications of earlier
+ * records that no document marks as stopped. The result is stored on the record as interactionCheck;
+ * records without medications have none.
+ * @param {Object} healthRecord - HealthRecord document, with decrypted fields
+ * @returns {Promise<Object|null>} - { checkedAt, rulesVersion, alerts }
+ */
+const checkRecordInteractions = async (healthRecord) => {
+  const medications = listMedications(healthRecord.structuredData);
+
+  if (medications.length === 0) {
+    if (healthRecord.interactionCheck) {
+      await HealthRecord.updateOne({ _id: healthRecord._id }, { $set: { interactionCheck: null } });
+    }
+    return null;
+  }
+
+  const earlierRecords = await findEarlierRecords(healthRecord);
+  const prescribed = medications.map(medication => ({
+    name: toText(medication.name),
+    names: drugNames(medication),
+    healthRecord: healthRecord._id
+  }));
+
+  // A missed warning costs more than a spare one, so every earlier drug counts
+  // unless a document said it was stopped. The same drug carried over from an
+  // earlier record isn't an interaction with itself.
+  const existingMedications = reconcileMedications(earlierRecords)
+    .filter(item => !(item.status === 'discontinued' && item.discontinuedReason === DISCONTINUED_REASONS.MARKED))
+    .map(item => {
+      const source = item.sources[item.sources.length - 1];
+      return { name: source.name, names: drugNames({ name: source.name }), healthRecord: source.healthRecord };
+    })
+    .filter(existing => !existing.names.some(name => prescribed.some(drug => drug.names.includes(name))));
+
+  // An allergy listed in several records is checked once, citing the latest
+  const allergies = new Map();
+  for (const record of [...earlierRecords, { _id: healthRecord._id, structuredData: healthRecord.structuredData }]) {
+    listAllergies(record.structuredData).forEach(text => allergies.set(normalizeTerm(text), { text, healthRecord: record._id }));
+  }
+
+  const interactionCheck = {
+    checkedAt: new Date(),
+    rulesVersion: getRules().version,
+    alerts: findInteractions({ medications: prescribed, existingMedications, allergies: [...allergies.values()] })
+  };
+
+  await HealthRecord.updateOne({ _id: healthRecord._id }, { $set: { interactionCheck } });
+  return interactionCheck;
+};
+
+module.exports = {
+  SEVERITIES,
+  ALERT_TYPES,
+  findInteractions,
+  checkRecordInteractions,
+  reloadInteractionRules
+};
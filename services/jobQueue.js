@@ -0,0 +1,170 @@
+const os = require('os');
+const Job = require('../models/Job');
+const { computeBlindIndex } = require('./encryptionService');
+
+// Registered job handlers, keyed by job name
+const handlers = {};
+
+// Identifies this process as the owner of the jobs it locks
+const workerId = `${os.hostname()}-${process.pid}`;
+
+// Jobs locked for longer than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How long completed and failed jobs are kept before MongoDB deletes them
+const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS || 7);
+
+const retentionExpiry = () => new Date(Date.now() + JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+let pollTimer = null;
+let stopped = true;
+
+/**
+ * Registers the function that runs jobs with the given name
+ * @param {string} name - Job name
+ * @param {Function} handler - async (job) => void, throws to signal failure
+ */
+const registerHandler = (name, handler) => {
+  handlers[name] = handler;
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} name - Name of a registered handler
+ * @param {Object} data - Payload passed to the handler
+ * @param {Object} options - { runAt, delayMs, maxAttempts }, plus the
+ *   { healthRecord, callId } the job is about, so it can be found without
+ *   decrypting its data
+ * @returns {Promise<Object>} - The queued job document
+ */
+const enqueueJob = async (name, data = {}, options = {}) => {
+  const runAt = options.runAt
+    || (options.delayMs ? new Date(Date.now() + options.delayMs) : new Date());
+
+  return Job.create({
+    name,
+    data,
+    runAt,
+    maxAttempts: options.maxAttempts || 3,
+    healthRecord: options.healthRecord || null,
+    callIdIndex: options.callId ? computeBlindIndex(options.callId) : null
+  });
+};
+
+/**
+ * Atomically claims the next due job so that only one worker runs it
+ * @returns {Promise<Object|null>} - The claimed job, or null if none are due
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // Recover jobs left running by a worker that died mid-job
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Runs a claimed job and records the outcome, retrying with backoff on failure
+ * @param {Object} job - A job returned by claimNextJob
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.name];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job: ${job.name}`);
+    }
+
+    await handler(job);
+
+    await Job.findByIdAndUpdate(job._id, {
+      status: 'completed',
+      completedAt: new Date(),
+      expiresAt: retentionExpiry(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.name}) failed on attempt ${job.attempts}:`, error);
+
+    const exhausted = job.attempts >= job.maxAttempts;
+    await Job.findByIdAndUpdate(job._id, {
+      status: exhausted ? 'failed' : 'queued',
+      // Back off 30s, 2m, 4.5m, ... between attempts
+      runAt: exhausted ? job.runAt : new Date(Date.now() + job.attempts * job.attempts * 30 * 1000),
+      expiresAt: exhausted ? retentionExpiry() : null,
+      lockedAt: null,
+      lockedBy: null,
+      lastError: error.message
+    });
+  }
+};
+
+/**
+ * Claims and runs due jobs one at a time until the queue is empty
+ */
+const drainQueue = async () => {
+  let job = await claimNextJob();
+  while (job && !stopped) {
+    await runJob(job);
+    job = await claimNextJob();
+  }
+};
+
+/**
+ * Starts polling MongoDB for due jobs
+ * @param {Object} options - { pollIntervalMs }
+ */
+const startWorker = (options = {}) => {
+  const pollIntervalMs = options.pollIntervalMs || 2000;
+
+  if (!stopped) {
+    return;
+  }
+  stopped = false;
+
+  const poll = async () => {
+    try {
+      await drainQueue();
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+
+    if (!stopped) {
+      pollTimer = setTimeout(poll, pollIntervalMs);
+    }
+  };
+
+  console.log(`Job worker ${workerId} started`);
+  poll();
+};
+
+/**
+ * Stops polling for new jobs; a job already running is allowed to finish
+ */
+const stopWorker = () => {
+  stopped = true;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueueJob,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+/**
+ * Key providers hold the master keys that wrap the data keys in the keyring.
+ * A provider is an object with:
+ *   name: string stored with each wrapped key
+ *   getMasterKeyId(): ID of the master key new data keys are wrapped with
+ *   wrapKey(dataKey): Promise<{ masterKeyId, wrappedKey }> (wrappedKey is base64)
+ *   unwrapKey({ masterKeyId, wrappedKey }): Promise<Buffer>
+ */
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '../config/master-keys.json');
+
+/**
+ * Master keys kept in a local JSON file: { activeKeyId, keys: { id: base64 } }.
+ * For development; a file is generated on first use outside production.
+ * Rotate by adding a key and pointing activeKeyId at it, then rewrapping.
+ * @param {Object} options - { keyFile }
+ * @returns {Object} - Key provider
+ */
+const createLocalKeyProvider = ({ keyFile = process.env.ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE } = {}) => {
+  if (!fs.existsSync(keyFile)) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`Encryption key file not found: ${keyFile}`);
+    }
+
+    const keyId = `local-${Date.now()}`;
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, JSON.stringify({
+      activeKeyId: keyId,
+      keys: { [keyId]: crypto.randomBytes(32).toString('base64') }
+    }, null, 2), { mode: 0o600 });
+    console.warn(`Generated a development master key at ${keyFile}; keep it out of source control`);
+  }
+
+  const { activeKeyId, keys } = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+
+  const getMasterKey = (masterKeyId) => {
+    if (!keys[masterKeyId]) {
+      throw new Error(`Master key ${masterKeyId} is not in ${keyFile}`);
+    }
+    return Buffer.from(keys[masterKeyId], 'base64');
+  };
+
+  return {
+    name: 'local',
+    getMasterKeyId: () => activeKeyId,
+
+    wrapKey: async (dataKey) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(activeKeyId), iv);
+      const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+      return {
+        masterKeyId: activeKeyId,
+        wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+      };
+    },
+
+    unwrapKey: async ({ masterKeyId, wrappedKey }) => {
+      const raw = Buffer.from(wrappedKey, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(masterKeyId), raw.subarray(0, 12));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+    }
+  };
+};
+
+/**
+ * Master key held in AWS KMS; data keys are wrapped with KMS Encrypt/Decrypt
+ * @param {Object} options - { keyId } KMS key ID or ARN
+ * @returns {Object} - Key provider
+ */
+const createAwsKmsKeyProvider = ({ keyId = process.env.KMS_KEY_ID } = {}) => {
+  if (!keyId) {
+    throw new Error('KMS_KEY_ID is required for the aws-kms key provider');
+  }
+
+  const kms = new AWS.KMS({ region: process.env.AWS_REGION });
+
+  return {
+    name: 'aws-kms',
+    getMasterKeyId: () => keyId,
+
+    wrapKey: async (dataKey) => {
+      const result = await kms.encrypt({ KeyId: keyId, Plaintext: dataKey }).promise();
+      return {
+        masterKeyId: result.KeyId,
+        wrappedKey: Buffer.from(result.CiphertextBlob).toString('base64')
+      };
+    },
+
+    unwrapKey: async ({ wrappedKey }) => {
+      const result = await kms.decrypt({ CiphertextBlob: Buffer.from(wrappedKey, 'base64') }).promise();
+      return Buffer.from(result.Plaintext);
+    }
+  };
+};
+
+const providerFactories = {
+  local: createLocalKeyProvider,
+  'aws-kms': createAwsKmsKeyProvider
+};
+
+/**
+ * Adds a key provider that can be selected with ENCRYPTION_KEY_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns a key provider
+ */
+const registerKeyProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Creates the key provider named by ENCRYPTION_KEY_PROVIDER (default "local")
+ * @param {string} name - Provider name
+ * @returns {Object} - Key provider
+ */
+const getKeyProvider = (name = process.env.ENCRYPTION_KEY_PROVIDER || 'local') => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown encryption key provider: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createLocalKeyProvider,
+  createAwsKmsKeyProvider,
+  registerKeyProvider,
+  getKeyProvider
+};
@@ -0,0 +1,322 @@
+const { toText, normalizeTerm, parseClinicalDate } = require('../utils/clinicalText');
+
+// mg/dL per mmol/L, from each analyte's molar mass
+const MG_DL_PER_MMOL_L = {
+  glucose: 18.016,
+  cholesterol: 38.67,
+  triglycerides: 88.57
+};
+
+// Known tests: code used in URLs, display name, names documents use for it,
+// canonical unit, and factors converting other units to the canonical one
+const LAB_TESTS = [
+  {
+    code: 'glucose',
+    name: 'Glucose',
+    aliases: ['glucose', 'blood glucose', 'blood sugar', 'fasting glucose', 'fasting blood sugar', 'fbs', 'fasting plasma glucose', 'fpg', 'random blood sugar', 'rbs', 'plasma glucose'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': MG_DL_PER_MMOL_L.glucose }
+  },
+  {
+    code: 'hba1c',
+    name: 'Hemoglobin A1c',
+    aliases: ['hba1c', 'hb a1c', 'a1c', 'hemoglobin a1c', 'haemoglobin a1c', 'glycated hemoglobin', 'glycated haemoglobin', 'glycosylated hemoglobin'],
+    unit: '%',
+    conversions: {}
+  },
+  {
+    code: 'cholesterol-total',
+    name: 'Total cholesterol',
+    aliases: ['cholesterol', 'total cholesterol', 'cholesterol total', 'serum cholesterol', 'tc'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': MG_DL_PER_MMOL_L.cholesterol }
+  },
+  {
+    code: 'cholesterol-ldl',
+    name: 'LDL cholesterol',
+    aliases: ['ldl', 'ldl cholesterol', 'ldl c', 'cholesterol ldl', 'low density lipoprotein'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': MG_DL_PER_MMOL_L.cholesterol }
+  },
+  {
+    code: 'cholesterol-hdl',
+    name: 'HDL cholesterol',
+    aliases: ['hdl', 'hdl cholesterol', 'hdl c', 'cholesterol hdl', 'high density lipoprotein'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': MG_DL_PER_MMOL_L.cholesterol }
+  },
+  {
+    code: 'triglycerides',
+    name: 'Triglycerides',
+    aliases: ['triglycerides', 'triglyceride', 'tg', 'trigs'],
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': MG_DL_PER_MMOL_L.triglycerides }
+  }
+];
+
+// Unit spellings documents use, keyed by their normalizeUnit form
+const UNIT_ALIASES = {
+  'mg/dl': 'mg/dL',
+  'mgs/dl': 'mg/dL',
+  'mg%': 'mg/dL',
+  'mmol/l': 'mmol/L',
+  'mmol': 'mmol/L',
+  '%': '%',
+  'g/dl': 'g/dL',
+  'g/l': 'g/L',
+  'mg/l': 'mg/L',
+  'u/l': 'U/L',
+  'iu/l': 'IU/L',
+  'miu/l': 'mIU/L',
+  'uiu/ml': 'µIU/mL',
+  'µiu/ml': 'µIU/mL',
+  'ng/ml': 'ng/mL',
+  'pg/ml': 'pg/mL',
+  'meq/l': 'mEq/L',
+  'mm/hr': 'mm/hr'
+};
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const VALUE_PATTERN = new RegExp(`^\\s*(<=|>=|≤|≥|<|>)?\\s*${NUMBER}\\s*(.*)$`);
+const RANGE_PATTERN = new RegExp(`^\\s*${NUMBER}\\s*([^\\d\\s–-]*)\\s*(?:-|–|to)\\s*${NUMBER}\\s*(.*)$`, 'i');
+const BOUND_PATTERN = new RegExp(`^\\s*(<=|>=|≤|≥|<|>|less than|more than|greater than|below|above|up to)\\s*${NUMBER}\\s*(.*)$`, 'i');
+
+const UPPER_BOUND_WORDS = ['<', '<=', '≤', 'less than', 'below', 'up to'];
+
+const testsByAlias = new Map(LAB_TESTS.flatMap(test => test.aliases.map(alias => [alias, test])));
+
+// Converted values keep one decimal place, as labs report them
+const roundConverted = (value) => Math.round(value * 10) / 10;
+
+// The same result reported in two units differs slightly once converted
+const closeEnough = (a, b) => Math.abs(a - b) <= 0.01 * Math.max(Math.abs(a), Math.abs(b));
+
+/**
+ * Canonical spelling of a unit, e.g. "MG/DL" is "mg/dL"
+ * @param {*} unit - Unit as written
+ * @returns {string|null} - Unit, or null if none was given
+ */
+const normalizeUnit = (unit) => {
+  const text = toText(unit).replace(/\s+/g, '').replace(/^[([]|[)\]]$/g, '');
+  if (!text) {
+    return null;
+  }
+  return UNIT_ALIASES[text.toLowerCase()] || text;
+};
+
+/**
+ * Identifies the test a lab result is for
+ * @param {*} name - Test name as written, e.g. "HbA1c" or "Fasting Blood Sugar"
+ * @returns {Object} - { code, name, known }; unknown tests get a code made from their name
+ */
+const identifyLabTest = (name) => {
+  const key = normalizeTerm(name);
+  const test = testsByAlias.get(key);
+  if (test) {
+    return { code: test.code, name: test.name, known: true };
+  }
+  return { code: key.replace(/ /g, '-'), name: toText(name), known: false };
+};
+
+/**
+ * Finds a test by its code
+ * @param {string} code - Test code, e.g. "glucose"
+ * @returns {Object|null}
+ */
+const findLabTest = (code) => LAB_TESTS.find(test => test.code === String(code).toLowerCase()) || null;
+
+/**
+ * Parses a result such as "6.8%", "126 mg/dL" or "<0.5"
+ * @param {*} value - Result as written
+ * @returns {Object|null} - { value, unit, comparator }, or null if it isn't numeric
+ */
+const parseLabValue = (value) => {
+  if (typeof value === 'number') {
+    return { value, unit: null, comparator: null };
+  }
+  const match = toText(value).match(VALUE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const comparator = match[1] ? match[1].replace('≤', '<=').replace('≥', '>=') : null;
+  return { value: Number(match[2]), unit: normalizeUnit(match[3]), comparator };
+};
+
+/**
+ * Parses a reference range such as "4.0-5.6%", "70 to 99 mg/dL" or "<200"
+ * @param {*} range - Range as written
+ * @returns {Object|null} - { low, high, unit }, either bound may be null; null if unreadable
+ */
+const parseReferenceRange = (range) => {
+  const text = toText(range);
+
+  const between = text.match(RANGE_PATTERN);
+  if (between) {
+    return {
+      low: Number(between[1]),
+      high: Number(between[3]),
+      unit: normalizeUnit(between[4]) || normalizeUnit(between[2])
+    };
+  }
+
+  const bound = text.match(BOUND_PATTERN);
+  if (bound) {
+    const limit = Number(bound[2]);
+    const upper = UPPER_BOUND_WORDS.includes(bound[1].toLowerCase());
+    return { low: upper ? null : limit, high: upper ? limit : null, unit: normalizeUnit(bound[3]) };
+  }
+
+  return null;
+};
+
+/**
+ * Converts a value to the test's canonical unit
+ * @param {Object|null} test - Entry of LAB_TESTS, or null for an unknown test
+ * @param {number} value - Value to convert
+ * @param {string|null} unit - Unit of value; assumed canonical when missing
+ * @returns {Object|null} - { value, unit }, or null if the unit can't be converted
+ */
+const toCanonicalUnit = (test, value, unit) => {
+  if (!test) {
+    return { value, unit };
+  }
+  if (!unit || unit === test.unit) {
+    return { value, unit: test.unit };
+  }
+  const factor = test.conversions[unit];
+  return factor ? { value: roundConverted(value * factor), unit: test.unit } : null;
+};
+
+/**
+ * Whether a value is below, within or above a reference range
+ * @param {number} value - Value, in the same unit as the range
+ * @param {Object|null} range - { low, high }
+ * @returns {string|null} - 'low', 'normal' or 'high'; null without a range
+ */
+const flagValue = (value, range) => {
+  if (!range) {
+    return null;
+  }
+  if (range.low !== null && value < range.low) {
+    return 'low';
+  }
+  if (range.high !== null && value > range.high) {
+    return 'high';
+  }
+  return 'normal';
+};
+
+/**
+ * Normalises one labResults item: parses the value and reference range,
+ * converts both to the test's canonical unit, and flags out-of-range values
+ * @param {Object} result - { test, value, normalRange, date } from structuredData
+ * @returns {Object} - { testCode, test, value, unit, comparator, referenceRange, flag, date, raw }
+ *   value is null when the result isn't numeric (e.g. "Positive")
+ */
+const normalizeLabResult = (result) => {
+  const identified = identifyLabTest(result.test);
+  const test = findLabTest(identified.code);
+  const parsed = parseLabValue(result.value);
+  const parsedRange = parseReferenceRange(result.normalRange);
+
+  // A value without a unit shares the unit of its range
+  const valueUnit = parsed ? parsed.unit || (parsedRange && parsedRange.unit) : null;
+  const canonical = parsed ? toCanonicalUnit(test, parsed.value, valueUnit) : null;
+
+  let referenceRange = null;
+  if (parsedRange) {
+    const rangeUnit = parsedRange.unit || valueUnit;
+    const convert = (limit) => {
+      if (limit === null) {
+        return null;
+      }
+      const converted = toCanonicalUnit(test, limit, rangeUnit);
+      return converted ? converted.value : null;
+    };
+    referenceRange = canonical
+      ? { low: convert(parsedRange.low), high: convert(parsedRange.high), unit: canonical.unit }
+      : { ...parsedRange, unit: rangeUnit };
+  }
+
+  return {
+    testCode: identified.code,
+    test: identified.name,
+    value: canonical ? canonical.value : (parsed ? parsed.value : null),
+    unit: canonical ? canonical.unit : valueUnit,
+    comparator: parsed ? parsed.comparator : null,
+    referenceRange,
+    flag: parsed && parsed.comparator === null ? flagValue(canonical ? canonical.value : parsed.value, referenceRange) : null,
+    date: parseClinicalDate(result.date),
+    raw: {
+      test: toText(result.test),
+      value: toText(result.value),
+      normalRange: toText(result.normalRange)
+    }
+  };
+};
+
+/**
+ * Builds lab time series from a patient's records: one series per test, one
+ * point per test, day and value however many documents repeat it
+ * @param {Array<Object>} records - [{ _id, title, documentType, date, structuredData }], oldest first
+ * @returns {Array<Object>} - [{ testCode, test, unit, points }], points oldest first
+ */
+const buildLabSeries = (records) => {
+  const series = new Map();
+
+  for (const record of records) {
+    const labResults = Array.isArray(record.structuredData.labResults) ? record.structuredData.labResults : [];
+
+    for (const result of labResults) {
+      if (!result || typeof result !== 'object' || !normalizeTerm(result.test)) {
+        continue;
+      }
+      const normalized = normalizeLabResult(result);
+      // Results without their own date are dated by the record
+      const date = normalized.date || record.date;
+
+      let entry = series.get(normalized.testCode);
+      if (!entry) {
+        const test = findLabTest(normalized.testCode);
+        entry = { testCode: normalized.testCode, test: normalized.test, unit: test ? test.unit : normalized.unit, points: [] };
+        series.set(normalized.testCode, entry);
+      }
+
+      const day = date.toISOString().slice(0, 10);
+      const sameValue = (point) => (
+        normalized.value !== null
+          ? point.unit === normalized.unit && closeEnough(point.value, normalized.value)
+          : normalizeTerm(point.raw.value) === normalizeTerm(normalized.raw.value)
+      );
+      let point = entry.points.find(existing => existing.date.toISOString().slice(0, 10) === day && sameValue(existing));
+
+      if (!point) {
+        const { testCode, test, date: resultDate, ...values } = normalized;
+        point = { date, ...values, sources: [] };
+        entry.points.push(point);
+      }
+      if (!point.referenceRange && normalized.referenceRange) {
+        point.referenceRange = normalized.referenceRange;
+        point.flag = normalized.flag;
+      }
+      if (!point.sources.some(source => String(source.healthRecord) === String(record._id))) {
+        point.sources.push({ healthRecord: record._id, title: record.title, documentType: record.documentType });
+      }
+    }
+  }
+
+  const results = [...series.values()];
+  results.forEach(entry => entry.points.sort((a, b) => a.date - b.date));
+  return results;
+};
+
+module.exports = {
+  LAB_TESTS,
+  normalizeUnit,
+  identifyLabTest,
+  findLabTest,
+  parseLabValue,
+  parseReferenceRange,
+  normalizeLabResult,
+  buildLabSeries
+};
@@ -0,0 +1,92 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Lockout starts after this many failures in a row, then doubles with each
+// further failure up to the maximum. The per-IP threshold stops guessing from
+// one place quickly; the account-wide one catches guessing spread over many
+// IPs without letting a single attacker lock the owner out as easily.
+const LOCKOUT_POLICIES = [
+  { scope: 'account_ip', threshold: 5 },
+  { scope: 'account', threshold: 20 }
+];
+const BASE_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60) * 1000;
+const MAX_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 60 * 60) * 1000;
+// Failures are forgotten after a day without any
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const getKeys = (email, ip) => ({
+  account_ip: `account_ip:${normalizeEmail(email)}:${ip}`,
+  account: `account:${normalizeEmail(email)}`
+});
+
+/**
+ * Checks whether logins to an account are locked for a client
+ * @param {string} email - Account email (the account need not exist)
+ * @param {string} ip - Client IP
+ * @returns {Promise<Date|null>} - When the lockout ends, or null if not locked
+ */
+const getLoginLockout = async (email, ip) => {
+  const keys = getKeys(email, ip);
+  const throttles = await LoginThrottle.find({
+    key: { $in: Object.values(keys) },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (throttles.length === 0) {
+    return null;
+  }
+  return new Date(Math.max(...throttles.map(throttle => throttle.lockedUntil.getTime())));
+};
+
+/**
+ * Counts a failed login and locks the account for the client once a
+ * threshold is reached
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Date|null>} - When the resulting lockout ends, if any
+ */
+const recordLoginFailure = async (email, ip) => {
+  const keys = getKeys(email, ip);
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const { scope, threshold } of LOCKOUT_POLICIES) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key: keys[scope] },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_MEMORY_MS) }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (throttle.failures >= threshold) {
+      const lockMs = Math.min(BASE_LOCKOUT_MS * 2 ** (throttle.failures - threshold), MAX_LOCKOUT_MS);
+      const until = new Date(now.getTime() + lockMs);
+      await LoginThrottle.updateOne({ _id: throttle._id }, { $set: { lockedUntil: until } });
+
+      if (!lockedUntil || until > lockedUntil) {
+        lockedUntil = until;
+      }
+    }
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Forgets failed logins after a successful one
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (email, ip) => {
+  await LoginThrottle.deleteMany({ key: { $in: Object.values(getKeys(email, ip)) } });
+};
+
+module.exports = {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transports deliver outgoing email. A transport is an object with:
+ *   name: string
+ *   send({ from, to, subject, text }): Promise<void>
+ * Register a transport for a real mail provider with registerMailTransport
+ * and select it with MAIL_TRANSPORT.
+ */
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../mail-outbox');
+
+// Transports that don't deliver anything; refused in production, where
+// password reset and verification emails would silently go nowhere
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Prints each message to the console. For local development.
+ * @returns {Object} - Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ from, to, subject, text }) => {
+    console.log(`\n--- Email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n-------------\n`);
+  }
+});
+
+/**
+ * Writes each message to a JSON file in an outbox directory. For local
+ * development and for checking what would have been sent.
+ * @param {Object} options - { outboxDir }
+ * @returns {Object} - Mail transport
+ */
+const createFileTransport = ({ outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+/**
+ * Adds a mail transport that can be selected with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns a mail transport
+ */
+const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  if (transport && transport.name === name) {
+    transport = null;
+  }
+};
+
+/**
+ * Returns the transport named by MAIL_TRANSPORT (default "console"),
+ * creating it on first use. Called at startup so a bad setting stops the
+ * server rather than the first email.
+ * @returns {Object} - Mail transport
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+      throw new Error(`Mail transport "${name}" does not deliver email; set MAIL_TRANSPORT to a registered transport in production`);
+    }
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'Digital Health Records <no-reply@localhost>';
+  await getMailTransport().send({ from, to, subject, text });
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
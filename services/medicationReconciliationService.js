@@ -0,0 +1,290 @@
+const { toText, normalizeTerm } = require('../utils/clinicalText');
+
+// Dose units, with the factor to the canonical unit of their kind
+const DOSE_UNITS = {
+  mg: { unit: 'mg', factor: 1 },
+  g: { unit: 'mg', factor: 1000 },
+  gm: { unit: 'mg', factor: 1000 },
+  mcg: { unit: 'mg', factor: 0.001 },
+  ug: { unit: 'mg', factor: 0.001 },
+  µg: { unit: 'mg', factor: 0.001 },
+  ml: { unit: 'mL', factor: 1 },
+  l: { unit: 'mL', factor: 1000 },
+  unit: { unit: 'units', factor: 1 },
+  units: { unit: 'units', factor: 1 },
+  iu: { unit: 'units', factor: 1 },
+  meq: { unit: 'mEq', factor: 1 },
+  '%': { unit: '%', factor: 1 }
+};
+
+const DOSE_PATTERN = /(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?|\.\d+)\s*(mg|gm|g|mcg|ug|µg|ml|l|units?|iu|meq|%)(?![a-z])/i;
+
+// Words in a drug name that describe the product rather than the drug
+const DOSAGE_FORM_WORDS = new Set([
+  'tablet', 'tablets', 'tab', 'tabs', 'capsule', 'capsules', 'cap', 'caps', 'oral', 'solution',
+  'suspension', 'syrup', 'injection', 'inj', 'cream', 'ointment', 'gel', 'drops', 'inhaler',
+  'patch', 'spray', 'po'
+]);
+
+// Salt forms that don't change which drug it is, e.g. "metformin hydrochloride"
+const SALT_WORDS = new Set([
+  'hydrochloride', 'hcl', 'sodium', 'potassium', 'calcium', 'magnesium', 'besylate', 'maleate',
+  'tartrate', 'succinate', 'mesylate', 'sulfate', 'sulphate', 'citrate', 'acetate', 'fumarate',
+  'bromide', 'phosphate', 'hyclate', 'monohydrate'
+]);
+
+// Frequencies, most specific first; timesPerDay is null when it doesn't apply
+const FREQUENCIES = [
+  { code: 'as needed', timesPerDay: null, pattern: /\b(prn|as needed|when needed|as required)\b/ },
+  { code: 'at bedtime', timesPerDay: 1, pattern: /\b(qhs|hs|at bedtime|at night|nightly|before bed)\b/ },
+  { code: 'four times daily', timesPerDay: 4, pattern: /\b(qid|four times (a |per )?day|four times daily|4 ?x (a |per )?day|4 ?x daily)\b/ },
+  { code: 'three times daily', timesPerDay: 3, pattern: /\b(tid|tds|three times (a |per )?day|three times daily|3 ?x (a |per )?day|3 ?x daily)\b/ },
+  { code: 'twice daily', timesPerDay: 2, pattern: /\b(bid|bd|twice (a |per )?day|twice daily|two times (a |per )?day|2 ?x (a |per )?day|2 ?x daily)\b/ },
+  { code: 'once weekly', timesPerDay: 1 / 7, pattern: /\b(weekly|once (a |per )?week|every week)\b/ },
+  { code: 'once daily', timesPerDay: 1, pattern: /\b(qd|od|daily|once (a |per )?day|once daily|every day|1 ?x (a |per )?day|1 ?x daily|every morning|in the morning)\b/ }
+];
+
+const EVERY_HOURS_PATTERN = /\b(?:every|q)\s*(\d+)\s*(?:h|hr|hrs|hours?)\b/;
+
+// A document marking a medication as no longer taken
+const DISCONTINUED_PATTERN = /\b(discontinued|discontinue|stopped|stop|ceased|d\/c)\b/i;
+
+const DISCONTINUED_REASONS = {
+  MARKED: 'marked_discontinued',
+  OMITTED: 'omitted_from_later_list'
+};
+
+// Document types that list everything the patient takes. Leaving a drug out
+// of one of these means it was stopped; leaving it out of anything else, such
+// as a prescription for one new drug, says nothing about it.
+const COMPLETE_LIST_DOCUMENT_TYPES = ['Discharge Summary', 'Medication List'];
+
+/**
+ * Normalises a drug name for matching: strength, dosage form and salt words
+ * are dropped, so "Metformin HCl 500mg tablets" matches "metformin"
+ * @param {*} name - Drug name as written
+ * @returns {string} - Matching key, empty if there is no name
+ */
+const normalizeDrugName = (name) => {
+  const withoutStrength = toText(name)
+    .replace(/\(.*?\)/g, ' ')
+    .replace(new RegExp(DOSE_PATTERN.source, 'gi'), ' ');
+  const words = normalizeTerm(withoutStrength)
+    .split(' ')
+    .filter(word => word && !DOSAGE_FORM_WORDS.has(word) && !DISCONTINUED_PATTERN.test(word));
+
+  // Salt words are only dropped after the drug itself, so "potassium chloride" stays whole
+  const drugWords = words.filter((word, index) => index === 0 || !SALT_WORDS.has(word));
+  return drugWords.join(' ');
+};
+
+/**
+ * Parses a dose such as "500 mg", "1,000mg" or "0.5 g"
+ * @param {*} text - Dose as written
+ * @returns {Object} - { text, amount, unit } in canonical units; amount and unit are null if unreadable
+ */
+const parseDose = (text) => {
+  const raw = toText(text);
+  const match = raw.match(DOSE_PATTERN);
+  if (!match) {
+    return { text: raw, amount: null, unit: null };
+  }
+
+  const { unit, factor } = DOSE_UNITS[match[2].toLowerCase()];
+  const amount = Number(match[1].replace(/,/g, '')) * factor;
+  // Round away floating point noise from the conversion
+  return { text: raw, amount: Math.round(amount * 1e6) / 1e6, unit };
+};
+
+/**
+ * Parses a frequency such as "BID", "twice a day" or "every 8 hours"
+ * @param {*} text - Frequency as written
+ * @returns {Object} - { text, code, timesPerDay }; code is null if unreadable
+ */
+const parseFrequency = (text) => {
+  const raw = toText(text);
+  const normalized = normalizeTerm(raw.replace(/(\d)\s*x\b/gi, '$1x'));
+
+  const everyHours = normalized.match(EVERY_HOURS_PATTERN);
+  if (everyHours && Number(everyHours[1]) > 0) {
+    const hours = Number(everyHours[1]);
+    return { text: raw, code: `every ${hours} hours`, timesPerDay: 24 / hours };
+  }
+
+  const known = FREQUENCIES.find(frequency => frequency.pattern.test(normalized));
+  return known
+    ? { text: raw, code: known.code, timesPerDay: known.timesPerDay }
+    : { text: raw, code: null, timesPerDay: null };
+};
+
+const sameDose = (a, b) => (
+  a.amount !== null && b.amount !== null
+    ? a.amount === b.amount && a.unit === b.unit
+    : normalizeTerm(a.text) === normalizeTerm(b.text)
+);
+
+const sameFrequency = (a, b) => (
+  a.code && b.code ? a.code === b.code : normalizeTerm(a.text) === normalizeTerm(b.text)
+);
+
+const describeDose = (dose) => ({
+  ...dose,
+  normalized: dose.amount !== null ? `${dose.amount} ${dose.unit}` : null
+});
+
+/**
+ * Reads the medications of one record, merging repeats of the same drug
+ * @param {Object} record - { _id, date, structuredData }
+ * @returns {Map<string, Object>} - Keyed by normalised drug name
+ */
+const readRecordMedications = (record) => {
+  const listed = new Map();
+  const medications = Array.isArray(record.structuredData.medications) ? record.structuredData.medications : [];
+
+  for (const medication of medications) {
+    if (!medication || typeof medication !== 'object') {
+      continue;
+    }
+    const key = normalizeDrugName(medication.name);
+    if (!key || listed.has(key)) {
+      continue;
+    }
+
+    const name = toText(medication.name);
+    const discontinued = [medication.name, medication.dosage, medication.frequency]
+      .some(value => DISCONTINUED_PATTERN.test(toText(value)));
+    // "Discontinued" written in the dosage or frequency isn't a new value for it
+    const dosage = DISCONTINUED_PATTERN.test(toText(medication.dosage)) ? '' : toText(medication.dosage);
+    const frequency = DISCONTINUED_PATTERN.test(toText(medication.frequency)) ? '' : toText(medication.frequency);
+    // The strength is often written into the name rather than the dosage
+    const strengthInName = name.match(DOSE_PATTERN);
+
+    listed.set(key, {
+      name,
+      dose: parseDose(dosage || (strengthInName ? strengthInName[0] : '')),
+      frequency: parseFrequency(frequency),
+      discontinued,
+      raw: {
+        name,
+        dosage: toText(medication.dosage),
+        frequency: toText(medication.frequency)
+      }
+    });
+  }
+
+  return listed;
+};
+
+const stopMedication = (item, record, reason) => {
+  item.status = 'discontinued';
+  item.discontinuedAt = record.date;
+  item.discontinuedReason = reason;
+  item.notSeenSince = null;
+  Object.assign(item.periods[item.periods.length - 1], { end: record.date, stoppedIn: record._id });
+};
+
+/**
+ * Reconciles the medications of a patient's records into one list. Entries
+ * for the same drug are merged, changes of dose or frequency are recorded,
+ * and a medication is flagged discontinued when a document says so or when
+ * a later complete list (COMPLETE_LIST_DOCUMENT_TYPES) leaves it out. Left
+ * out of any other later record, it stays active with notSeenSince set to
+ * when it was last listed. A discontinued medication that appears again is
+ * restarted.
+ * @param {Array<Object>} records - [{ _id, title, documentType, date, structuredData }], oldest first
+ * @returns {Array<Object>} - One item per drug, each with the source records it came from
+ */
+const reconcileMedications = (records) => {
+  const items = new Map();
+
+  for (const record of records) {
+    const listed = readRecordMedications(record);
+    if (listed.size === 0) {
+      continue;
+    }
+
+    for (const [key, entry] of listed) {
+      let item = items.get(key);
+
+      if (!item) {
+        item = {
+          name: normalizeDrugName(entry.name).replace(/\b\p{L}/gu, letter => letter.toUpperCase()),
+          normalizedName: key,
+          dose: describeDose(entry.dose),
+          frequency: entry.frequency,
+          status: 'active',
+          startedAt: record.date,
+          lastSeenAt: record.date,
+          discontinuedAt: null,
+          discontinuedReason: null,
+          notSeenSince: null,
+          periods: [{ start: record.date, end: null, startedIn: record._id, stoppedIn: null }],
+          changes: [],
+          sources: []
+        };
+        items.set(key, item);
+      } else {
+        if (item.status === 'discontinued' && !entry.discontinued) {
+          item.status = 'active';
+          item.discontinuedAt = null;
+          item.discontinuedReason = null;
+          item.periods.push({ start: record.date, end: null, startedIn: record._id, stoppedIn: null });
+        }
+
+        // A record that leaves out the dose or frequency isn't a change to it
+        if (entry.dose.text && !sameDose(entry.dose, item.dose)) {
+          item.changes.push({ date: record.date, field: 'dose', from: item.dose.text, to: entry.dose.text, healthRecord: record._id });
+          item.dose = describeDose(entry.dose);
+        }
+        if (entry.frequency.text && !sameFrequency(entry.frequency, item.frequency)) {
+          item.changes.push({ date: record.date, field: 'frequency', from: item.frequency.text, to: entry.frequency.text, healthRecord: record._id });
+          item.frequency = entry.frequency;
+        }
+      }
+
+      if (!item.dose.text && entry.dose.text) {
+        item.dose = describeDose(entry.dose);
+      }
+      if (!item.frequency.text && entry.frequency.text) {
+        item.frequency = entry.frequency;
+      }
+
+      item.lastSeenAt = record.date;
+      item.notSeenSince = null;
+      item.sources.push({
+        healthRecord: record._id,
+        title: record.title,
+        documentType: record.documentType,
+        date: record.date,
+        ...entry.raw
+      });
+
+      if (entry.discontinued && item.status === 'active') {
+        stopMedication(item, record, DISCONTINUED_REASONS.MARKED);
+      }
+    }
+
+    const completeList = COMPLETE_LIST_DOCUMENT_TYPES.includes(record.documentType);
+    for (const [key, item] of items) {
+      if (item.status !== 'active' || listed.has(key)) {
+        continue;
+      }
+      if (completeList) {
+        stopMedication(item, record, DISCONTINUED_REASONS.OMITTED);
+      } else if (!item.notSeenSince) {
+        item.notSeenSince = item.lastSeenAt;
+      }
+    }
+  }
+
+  return [...items.values()];
+};
+
+module.exports = {
+  DISCONTINUED_REASONS,
+  COMPLETE_LIST_DOCUMENT_TYPES,
+  normalizeDrugName,
+  parseDose,
+  parseFrequency,
+  reconcileMedications
+};
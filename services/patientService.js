@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const HealthRecord = require('../models/HealthRecord');
+const { parseClinicalDate } = require('../utils/clinicalText');
+
+const RELATIONSHIPS = Patient.schema.path('relationship').enumValues;
+
+/**
+ * Loads a patient profile if it belongs to the given account
+ * @param {string} userId - Account ID
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object|null>} - The Patient, or null if missing or someone else's
+ */
+const findOwnedPatient = async (userId, patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    return null;
+  }
+  return Patient.findOne({ _id: patientId, user: userId });
+};
+
+/**
+ * Works out who the verification call for a record goes to. The record's
+ * patient profile wins, so a corrected phone number on the profile is used
+ * for records uploaded before the correction.
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {Promise<Object>} - { patientName, patientPhone }
+ */
+const getCallContact = async (healthRecord) => {
+  const patient = healthRecord.patient ? await Patient.findById(healthRecord.patient) : null;
+
+  return {
+    patientName: (patient && patient.name) || healthRecord.patientName || '',
+    patientPhone: (patient && patient.phoneNumber) || healthRecord.patientPhone || ''
+  };
+};
+
+/**
+ * Filter for the health records about a patient. Records without a profile
+ * are about the account holder, so they belong to the account's self profile.
+ * @param {Object} patient - Patient document
+ * @returns {Object} - HealthRecord filter
+ */
+const getPatientRecordFilter = (patient) => {
+  if (patient.relationship !== 'self') {
+    return { patient: patient._id };
+  }
+  return { $or: [{ patient: patient._id }, { user: patient.user, patient: null }] };
+};
+
+/**
+ * Filter for the health records about the same person as a record
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {Promise<Object>} - HealthRecord filter
+ */
+const getRecordSubjectFilter = async (healthRecord) => {
+  const patient = healthRecord.patient
+    ? await Patient.findById(healthRecord.patient)
+    : await Patient.findOne({ user: healthRecord.user, relationship: 'self' });
+
+  return patient ? getPatientRecordFilter(patient) : { user: healthRecord.user, patient: null };
+};
+
+/**
+ * Date of the care a record describes: the visit or report date written in
+ * it, else its latest lab result date, else when it was added. Old documents
+ * uploaded today are dated when they were written.
+ * @param {Object} healthRecord - HealthRecord document, with decrypted fields
+ * @returns {Date}
+ */
+const getRecordDate = (healthRecord) => {
+  const structuredData = healthRecord.structuredData || {};
+  const documentDate = parseClinicalDate(structuredData.documentDate);
+  if (documentDate) {
+    return documentDate;
+  }
+
+  const labDates = (Array.isArray(structuredData.labResults) ? structuredData.labResults : [])
+    .map(result => result && parseClinicalDate(result.date))
+    .filter(Boolean);
+  return labDates.length > 0 ? new Date(Math.max(...labDates)) : healthRecord.createdAt;
+};
+
+/**
+ * Loads the structured data of the matching records, oldest first by
+ * getRecordDate. Records still being processed have no structured data and
+ * are left out.
+ * @param {Object} filter - HealthRecord filter
+ * @returns {Promise<Array<Object>>} - [{ _id, title, documentType, date, structuredData }]
+ */
+const loadRecordData = async (filter) => {
+  const healthRecords = await HealthRecord.find(filter)
+    .sort({ createdAt: 1, _id: 1 });
+
+  // Sort is stable, so records of the same date stay in the order they were added
+  return healthRecords
+    .filter(healthRecord => healthRecord.structuredData && typeof healthRecord.structuredData === 'object')
+    .map(healthRecord => ({
+      _id: healthRecord._id,
+      title: healthRecord.title,
+      documentType: healthRecord.documentType,
+      date: getRecordDate(healthRecord),
+      structuredData: healthRecord.structuredData
+    }))
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Loads the structured data of every record about a patient, oldest first
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Array<Object>>} - [{ _id, title, documentType, date, structuredData }]
+ */
+const findPatientRecords = (patient) => loadRecordData(getPatientRecordFilter(patient));
+
+/**
+ * Loads the structured data of the records about the same person that were
+ * added before a record, oldest first
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {Promise<Array<Object>>} - [{ _id, title, documentType, date, structuredData }]
+ */
+const findEarlierRecords = async (healthRecord) => {
+  const filter = await getRecordSubjectFilter(healthRecord);
+  return loadRecordData({
+    $and: [filter, { _id: { $ne: healthRecord._id }, createdAt: { $lt: healthRecord.createdAt } }]
+  });
+};
+
+/**
+ * API view of a patient profile
+ * @param {Object} patient - Patient document
+ * @returns {Object}
+ */
+const describePatient = (patient) => ({
+  _id: patient._id,
+  user: patient.user,
+  name: patient.name,
+  dateOfBirth: patient.dateOfBirth,
+  phoneNumber: patient.phoneNumber || '',
+  relationship: patient.relationship,
+  createdAt: patient.createdAt
+});
+
+module.exports = {
+  RELATIONSHIPS,
+  findOwnedPatient,
+  getCallContact,
+  getPatientRecordFilter,
+  getRecordDate,
+  findPatientRecords,
+  findEarlierRecords,
+  describePatient
+};
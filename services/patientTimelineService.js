@@ -0,0 +1,134 @@
+const { findPatientRecords } = require('./patientService');
+const { reconcileMedications } = require('./medicationReconciliationService');
+const { buildLabSeries } = require('./labNormalizationService');
+const { toText, normalizeTerm } = require('../utils/clinicalText');
+
+const addSource = (sources, healthRecordId) => {
+  if (!sources.some(id => String(id) === String(healthRecordId))) {
+    sources.push(healthRecordId);
+  }
+};
+
+/**
+ * Diagnoses named in a record's structured data
+ * @param {Object} structuredData - Record structured data
+ * @returns {Array<string>}
+ */
+const listDiagnoses = (structuredData) => {
+  const { diagnosis } = structuredData;
+  if (!diagnosis) {
+    return [];
+  }
+  if (typeof diagnosis !== 'object') {
+    return [toText(diagnosis)].filter(Boolean);
+  }
+  const secondary = Array.isArray(diagnosis.secondary) ? diagnosis.secondary : [diagnosis.secondary];
+  return [diagnosis.primary, ...secondary].map(toText).filter(Boolean);
+};
+
+/**
+ * Merges diagnoses across records: one entry per distinct diagnosis
+ * @param {Array<Object>} records - [{ _id, date, structuredData }], oldest first
+ * @param {Array<Object>} events - Timeline events, appended to
+ * @returns {Array<Object>}
+ */
+const mergeDiagnoses = (records, events) => {
+  const diagnoses = new Map();
+
+  for (const record of records) {
+    for (const name of listDiagnoses(record.structuredData)) {
+      const key = normalizeTerm(name);
+      let entry = diagnoses.get(key);
+
+      if (!entry) {
+        entry = { name, firstSeen: record.date, lastSeen: record.date, sources: [] };
+        diagnoses.set(key, entry);
+        events.push({ date: record.date, type: 'diagnosis_recorded', name, healthRecord: record._id });
+      }
+      entry.lastSeen = record.date;
+      addSource(entry.sources, record._id);
+    }
+  }
+
+  return [...diagnoses.values()];
+};
+
+/**
+ * Adds the start, stop and change events of reconciled medications
+ * @param {Array<Object>} medications - Items from reconcileMedications
+ * @param {Array<Object>} events - Timeline events, appended to
+ */
+const addMedicationEvents = (medications, events) => {
+  for (const medication of medications) {
+    const { name } = medication;
+
+    medication.periods.forEach((period, index) => {
+      events.push({
+        date: period.start,
+        type: index === 0 ? 'medication_started' : 'medication_restarted',
+        name,
+        healthRecord: period.startedIn
+      });
+      if (period.end) {
+        events.push({ date: period.end, type: 'medication_stopped', name, healthRecord: period.stoppedIn });
+      }
+    });
+
+    for (const change of medication.changes) {
+      events.push({ ...change, type: 'medication_changed', name });
+    }
+  }
+};
+
+/**
+ * Adds an event for each lab result
+ * @param {Array<Object>} labSeries - Series from buildLabSeries
+ * @param {Array<Object>} events - Timeline events, appended to
+ */
+const addLabEvents = (labSeries, events) => {
+  for (const series of labSeries) {
+    for (const point of series.points) {
+      events.push({
+        date: point.date,
+        type: 'lab_result',
+        testCode: series.testCode,
+        test: series.test,
+        value: point.value !== null ? point.value : point.raw.value,
+        unit: point.unit,
+        flag: point.flag,
+        healthRecord: point.sources[0].healthRecord
+      });
+    }
+  }
+};
+
+/**
+ * Builds a patient's timeline from the structured data of all their records
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Object>} - { records, diagnoses, medications, labResults, events }
+ */
+const buildPatientTimeline = async (patient) => {
+  const records = await findPatientRecords(patient);
+
+  const events = [];
+  const diagnoses = mergeDiagnoses(records, events);
+  const medications = reconcileMedications(records);
+  addMedicationEvents(medications, events);
+  const labResults = buildLabSeries(records);
+  addLabEvents(labResults, events);
+
+  // Sort is stable, so events on the same date keep their record order
+  events.sort((a, b) => a.date - b.date);
+
+  return {
+    records: records.map(({ structuredData, ...record }) => record),
+    diagnoses,
+    medications,
+    labResults,
+    events
+  };
+};
+
+module.exports = {
+  buildPatientTimeline
+};
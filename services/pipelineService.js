@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const HealthRecord = require('../models/HealthRecord');
+const { parsePdfDocument, parseHandwrittenDocument, getMockPdfData, getMockHandwrittenData } = require('./documentAIService');
+const { processHealthRecord } = require('./groqService');
+const { uploadFileToS3 } = require('./s3Service');
+const { initiateVerificationCall, getCallStatus, normalizeCallData } = require('./retellService');
+const {
+  isCallFinalized,
+  buildCallStartedUpdate,
+  buildCallEndedUpdate,
+  buildCallAnalyzedUpdate
+} = require('./verificationService');
+const { PROVENANCE_SOURCES, applyCorrections, buildProvenance } = require('./correctionsService');
+const { updateHealthRecord } = require('./revisionService');
+const { enqueueJob } = require('./jobQueue');
+const { getCallContact } = require('./patientService');
+
+// Name of the queued job that advances a health record by one stage
+const PIPELINE_JOB = 'healthRecord.processStage';
+
+// Name of the queued job that applies a Retell webhook event to a record
+const CALL_EVENT_JOB = 'retell.callEvent';
+
+// Verification calls are capped at 3 minutes by Retell. Results normally
+// arrive by webhook; after this long we stop waiting and ask Retell directly.
+const VERIFICATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Builds the empty processing timeline stored on a newly uploaded record
+ * @returns {Object} - Timeline with one entry per pipeline stage
+ */
+const createProcessingTimeline = () => ({
+  documentAI: {
+    startTime: null,
+    endTime: null,
+    source: 'google'
+  },
+  verification: {
+    startTime: null,
+    endTime: null,
+    status: 'not_initiated'
+  },
+  groqAI: {
+    startTime: null,
+    endTime: null,
+    source: 'groq'
+  },
+  s3Upload: {
+    startTime: null,
+    endTime: null
+  }
+});
+
+/**
+ * Queues the given stage of the pipeline for a health record
+ * @param {string} healthRecordId - ID of the health record
+ * @param {string} stage - The processingStatus the record must be in for the job to run
+ * @param {Object} options - Queue options such as { delayMs }
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueueStage = (healthRecordId, stage, options = {}) => {
+  return enqueueJob(PIPELINE_JOB, { healthRecordId: healthRecordId.toString(), stage }, { ...options, healthRecord: healthRecordId });
+};
+
+// STAGE: uploaded -> document_ai_complete
+const runDocumentAIStage = async (healthRecord) => {
+  const { localPath, extension } = healthRecord.processingMetadata.fileInfo || {};
+  const startTime = new Date().toISOString();
+
+  if (!localPath || !fs.existsSync(localPath)) {
+    throw new Error(`Uploaded file not found on server: ${localPath}`);
+  }
+
+  let parsedData;
+  let documentAISource = 'google';
+
+  try {
+    if (extension === '.pdf') {
+      parsedData = await parsePdfDocument(localPath);
+    } else {
+      parsedData = await parseHandwrittenDocument(localPath);
+    }
+    console.log(`Document AI extracted ${parsedData.text.length} chars for record ${healthRecord._id}`);
+  } catch (parseError) {
+    console.error('Document parsing error:', parseError);
+    // Continue with mock data if parsing fails
+    documentAISource = 'mock';
+    parsedData = extension === '.pdf' ? getMockPdfData() : getMockHandwrittenData();
+  }
+
+  return {
+    extractedData: parsedData,
+    'processingMetadata.extractedTextLength': parsedData.text.length,
+    'processingMetadata.pageCount': parsedData.pages ? parsedData.pages.length : 0,
+    'processingMetadata.timeline.documentAI.startTime': startTime,
+    'processingMetadata.timeline.documentAI.endTime': new Date().toISOString(),
+    'processingMetadata.timeline.documentAI.source': documentAISource,
+    processingStatus: 'document_ai_complete'
+  };
+};
+
+// STAGE: document_ai_complete -> verification_initiated (or verification_complete when skipped)
+const runVerificationStage = async (healthRecord) => {
+  const contact = await getCallContact(healthRecord);
+
+  if (!contact.patientPhone || contact.patientPhone.trim() === '') {
+    return {
+      'processingMetadata.timeline.verification.status': 'skipped',
+      processingStatus: 'verification_complete'
+    };
+  }
+
+  const startTime = new Date().toISOString();
+
+  try {
+    const verificationResult = await initiateVerificationCall({
+      patientName: contact.patientName || 'Patient',
+      patientPhone: contact.patientPhone,
+      documentType: healthRecord.documentType,
+      documentId: healthRecord._id.toString(),
+      extractedData: healthRecord.extractedData
+      // No structured data yet as GROQ hasn't run
+    });
+
+    return {
+      'verificationCall.callId': verificationResult.callId,
+      'verificationCall.status': verificationResult.status,
+      'verificationCall.startTime': new Date(verificationResult.startTime),
+      'verificationCall.metadata': verificationResult.metadata,
+      'processingMetadata.timeline.verification.startTime': startTime,
+      'processingMetadata.timeline.verification.status': verificationResult.status,
+      processingStatus: 'verification_initiated'
+    };
+  } catch (verifyError) {
+    // A failed call should not block the rest of the pipeline
+    console.error('Error initiating verification call:', verifyError);
+    return {
+      'verificationCall.status': 'error',
+      'processingMetadata.timeline.verification.startTime': startTime,
+      'processingMetadata.timeline.verification.endTime': new Date().toISOString(),
+      'processingMetadata.timeline.verification.status': 'error',
+      'processingMetadata.timeline.verification.error': verifyError.message,
+      processingStatus: 'verification_complete'
+    };
+  }
+};
+
+// STAGE: verification_initiated -> verification_complete, only runs if no webhook finished the call in time
+const runVerificationTimeoutStage = async (healthRecord) => {
+  const { callId } = healthRecord.verificationCall;
+
+  let callStatus = null;
+  try {
+    callStatus = await getCallStatus(callId);
+  } catch (statusError) {
+    console.error('Error checking call status:', statusError);
+  }
+
+  if (callStatus && ['ended', 'error'].includes(callStatus.status)) {
+    return buildCallEndedUpdate(healthRecord, callStatus);
+  }
+
+  console.log(`No result for verification call ${callId}, continuing without it`);
+  return {
+    'processingMetadata.timeline.verification.endTime': new Date().toISOString(),
+    'processingMetadata.timeline.verification.status': 'timeout',
+    processingStatus: 'verification_complete'
+  };
+};
+
+// STAGE: verification_complete -> groq_processing_complete
+const runGroqStage = async (healthRecord) => {
+  const startTime = new Date().toISOString();
+  let groqSource = 'groq';
+
+  const groqContext = {
+    patientName: healthRecord.patientName || 'Not provided',
+    patientPhone: healthRecord.patientPhone || 'Not provided',
+    documentType: healthRecord.documentType || 'Medical Record',
+    description: healthRecord.description || ''
+  };
+
+  let structuredData;
+  try {
+    structuredData = await processHealthRecord(healthRecord.extractedData, groqContext);
+  } catch (groqError) {
+    console.error('Groq document processing error:', groqError);
+    // Use a simple structured data if GROQ fails
+    groqSource = 'mock';
+    structuredData = {
+      patient: {
+        name: healthRecord.patientName || 'Unknown Patient',
+        phone: healthRecord.patientPhone || 'Not provided'
+      },
+      documentType: healthRecord.documentType || 'Medical Record',
+      description: healthRecord.description || '',
+      extractedText: healthRecord.extractedData?.text || 'No text extracted',
+      error: 'Failed to process with GROQ AI'
+    };
+  }
+
+  // The fallback is built from the raw Document AI text rather than by GROQ
+  const fieldProvenance = buildProvenance(
+    structuredData,
+    groqSource === 'mock' ? PROVENANCE_SOURCES.DOCUMENT_AI : PROVENANCE_SOURCES.GROQ
+  );
+
+  // The verification call ran before GROQ, so apply what the patient corrected now
+  const corrected = applyCorrections(
+    structuredData,
+    fieldProvenance,
+    healthRecord.verificationCall?.corrections || [],
+    { source: PROVENANCE_SOURCES.PATIENT_CALL, reference: healthRecord.verificationCall?.callId }
+  );
+
+  return {
+    structuredData: corrected.structuredData,
+    fieldProvenance: corrected.fieldProvenance,
+    'verificationCall.corrections': corrected.corrections,
+    'processingMetadata.timeline.groqAI.startTime': startTime,
+    'processingMetadata.timeline.groqAI.endTime': new Date().toISOString(),
+    'processingMetadata.timeline.groqAI.source': groqSource,
+    processingStatus: 'groq_processing_complete'
+  };
+};
+
+// STAGE: groq_processing_complete, stores the file; the record then waits
+// for a manual review to move it to complete
+const runStorageStage = async (healthRecord) => {
+  const { localPath, originalName, mimeType } = healthRecord.processingMetadata.fileInfo || {};
+  const startTime = new Date().toISOString();
+
+  // Already stored by an earlier run of this stage
+  if (healthRecord.processingMetadata.storageLocation) {
+    return null;
+  }
+
+  let fileUrl;
+  try {
+    fileUrl = await uploadFileToS3(localPath, originalName, mimeType);
+    console.log('File uploaded to S3:', fileUrl);
+
+    // uploadFileToS3 removes the local copy, but make sure it is gone
+    if (fs.existsSync(localPath)) {
+      fs.unlinkSync(localPath);
+    }
+  } catch (s3Error) {
+    console.error('Error uploading to S3, using local file instead:', s3Error);
+    // Fallback to local file URL if S3 upload fails; keep the local file
+    fileUrl = `/uploads/${path.basename(localPath)}`;
+  }
+
+  return {
+    fileUrl,
+    filePath: fileUrl,
+    'processingMetadata.storageLocation': fileUrl.includes('amazonaws.com') ? 's3' : 'local',
+    'processingMetadata.timeline.s3Upload.startTime': startTime,
+    'processingMetadata.timeline.s3Upload.endTime': new Date().toISOString()
+  };
+};
+
+// Stages that should not run as soon as the record reaches them
+const STAGE_DELAYS = {
+  verification_initiated: VERIFICATION_TIMEOUT_MS
+};
+
+// Each processingStatus maps to the stage that moves the record past it
+const STAGE_HANDLERS = {
+  uploaded: runDocumentAIStage,
+  document_ai_complete: runVerificationStage,
+  verification_initiated: runVerificationTimeoutStage,
+  verification_complete: runGroqStage,
+  groq_processing_complete: runStorageStage
+};
+
+/**
+ * Job handler that runs one pipeline stage and queues the next one
+ * @param {Object} job - Queued job with data { healthRecordId, stage }
+ * @returns {Promise<void>}
+ */
+const processPipelineJob = async (job) => {
+  const { healthRecordId, stage } = job.data;
+  const healthRecord = await HealthRecord.findById(healthRecordId);
+
+  if (!healthRecord) {
+    console.log(`Health record ${healthRecordId} no longer exists, skipping stage ${stage}`);
+    return;
+  }
+
+  // The record has already moved on (e.g. a duplicate job), nothing to do
+  if (healthRecord.processingStatus !== stage) {
+    console.log(`Health record ${healthRecordId} is at ${healthRecord.processingStatus}, skipping stale stage ${stage}`);
+    return;
+  }
+
+  const stageHandler = STAGE_HANDLERS[stage];
+  if (!stageHandler) {
+    return;
+  }
+
+  try {
+    console.log(`Running pipeline stage ${stage} for health record ${healthRecordId}`);
+    const update = await stageHandler(healthRecord, job);
+
+    if (!update) {
+      return;
+    }
+
+    update['processingMetadata.error'] = null;
+    await updateHealthRecord(healthRecordId, update, {
+      actor: { kind: 'pipeline', stage },
+      action: 'pipeline_stage'
+    });
+
+    if (update.processingStatus && update.processingStatus !== stage) {
+      await enqueueStage(healthRecordId, update.processingStatus, {
+        delayMs: STAGE_DELAYS[update.processingStatus]
+      });
+    }
+  } catch (error) {
+    // Surface the failure on the record once the queue gives up retrying
+    if (job.attempts >= job.maxAttempts) {
+      await updateHealthRecord(healthRecordId, {
+        'processingMetadata.error': {
+          stage,
+          message: error.message,
+          failedAt: new Date().toISOString()
+        }
+      }, {
+        actor: { kind: 'pipeline', stage },
+        action: 'pipeline_error'
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queues a Retell webhook event so the webhook can be acknowledged quickly
+ * @param {string} event - call_started, call_ended or call_analyzed
+ * @param {Object} call - Call object from the webhook payload
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueueCallEvent = (event, call) => {
+  return enqueueJob(CALL_EVENT_JOB, { event, call }, { callId: call && call.call_id });
+};
+
+/**
+ * Job handler that applies a Retell call event to the matching health record
+ * and resumes the pipeline if the record was waiting on verification
+ * @param {Object} job - Queued job with data { event, call }
+ * @returns {Promise<void>}
+ */
+const processCallEventJob = async (job) => {
+  const { event, call } = job.data;
+  const callData = normalizeCallData(call);
+  const healthRecord = await HealthRecord.findOne({ 'verificationCall.callId': callData.callId });
+
+  if (!healthRecord) {
+    console.log(`No health record found for call ${callData.callId}, ignoring ${event}`);
+    return;
+  }
+
+  let update = {};
+
+  if (event === 'call_started') {
+    // Events can arrive out of order; never move an ended call back to ongoing
+    if (!isCallFinalized(healthRecord)) {
+      update = buildCallStartedUpdate(healthRecord, callData);
+    }
+  } else if (event === 'call_ended' || event === 'call_analyzed') {
+    // call_analyzed carries the full call too, so it also covers a missed call_ended
+    if (!isCallFinalized(healthRecord)) {
+      update = await buildCallEndedUpdate(healthRecord, callData);
+    }
+    if (event === 'call_analyzed') {
+      Object.assign(update, buildCallAnalyzedUpdate(callData));
+    }
+  }
+
+  if (Object.keys(update).length === 0) {
+    return;
+  }
+
+  await updateHealthRecord(healthRecord._id, update, {
+    actor: { kind: 'webhook', stage: event },
+    action: 'verification_call'
+  });
+  console.log(`Applied ${event} for call ${callData.callId} to health record ${healthRecord._id}`);
+
+  // Resume the pipeline only if it was waiting on this call; a reviewed
+  // record reopened for review has nothing left to run
+  if (update.processingStatus && healthRecord.processingStatus === 'verification_initiated') {
+    await enqueueStage(healthRecord._id, update.processingStatus);
+  }
+};
+
+module.exports = {
+  PIPELINE_JOB,
+  CALL_EVENT_JOB,
+  createProcessingTimeline,
+  enqueueStage,
+  enqueueCallEvent,
+  processPipelineJob,
+  processCallEventJob
+};
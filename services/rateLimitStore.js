@@ -0,0 +1,64 @@
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+/**
+ * Rate limit stores count requests per key in fixed windows. A store is an
+ * object with:
+ *   increment(key, windowMs): Promise<{ count, resetAt }>
+ *   reset(key): Promise<void>
+ */
+
+/**
+ * Store backed by MongoDB, so limits hold across every server process
+ * @returns {Object} - Rate limit store
+ */
+const createMongoRateLimitStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    try {
+      // One atomic update: count up within the window, or start a new one
+      const bucket = await RateLimitBucket.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    } catch (error) {
+      // Two first requests raced to create the bucket; the loser counts again
+      if (error.code === 11000 && !retried) {
+        return increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  };
+
+  const reset = async (key) => {
+    await RateLimitBucket.deleteOne({ key });
+  };
+
+  return { increment: (key, windowMs) => increment(key, windowMs), reset };
+};
+
+let defaultStore = null;
+
+/**
+ * Returns the shared store used when a limiter isn't given one
+ * @returns {Object} - Rate limit store
+ */
+const getDefaultRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = createMongoRateLimitStore();
+  }
+  return defaultStore;
+};
+
+module.exports = {
+  createMongoRateLimitStore,
+  getDefaultRateLimitStore
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const crypto = require('crypto');
 
 /**
  * Generates a prompt for verification call based on extracted document data
@@ -170,6 +171,14 @@ const initiateVerificationCall = async (data) => {
       callId: response.data.call_id,
       status: response.data.call_status || 'registered',
       startTime: response.data.start_timestamp ? new Date(response.data.start_timestamp).toISOString() : new Date().toISOString(),
+      // Kept on the record unencrypted, so only call details: Retell's
+      // response also echoes the patient's name and number
+      metadata: {
+        agentId: response.data.agent_id || null,
+        callType: response.data.call_type || null,
+        callStatus: response.data.call_status || null,
+        startTimestamp: response.data.start_timestamp || null
+      },
       retellData: response.data
     };
   } catch (error) {
@@ -178,6 +187,66 @@ const initiateVerificationCall = async (data) => {
   }
 };
 
+/**
+ * Converts a Retell call object (API response or webhook payload) into the
+ * shape used throughout the application
+ * @param {Object} call Call object as returned by Retell
+ * @returns {Object} Normalized call data
+ */
+const normalizeCallData = (call) => {
+  // Transcripts are only final once the call has ended
+  const ended = ['ended', 'error'].includes(call.call_status);
+  
+  return {
+    callId: call.call_id,
+    status: call.call_status,
+    startTime: call.start_timestamp ? new Date(call.start_timestamp).toISOString() : null,
+    endTime: call.end_timestamp ? new Date(call.end_timestamp).toISOString() : null,
+    callDuration: call.call_duration_ms ? call.call_duration_ms / 1000 : null,
+    transcript: ended && call.transcript ? call.transcript : null,
+    transcriptObject: ended && Array.isArray(call.transcript_object) ? call.transcript_object : null,
+    recordingUrl: call.recording_url || null,
+    callAnalysis: call.call_analysis || null,
+    metadata: call.metadata || {},
+    retellData: call
+  };
+};
+
+/**
+ * Verifies the x-retell-signature header sent with Retell webhooks.
+ * The header has the form "v=<timestamp>,d=<digest>" where digest is the
+ * hex HMAC-SHA256 of the raw body followed by the timestamp.
+ * @param {String} rawBody Raw request body as received
+ * @param {String} signature Value of the x-retell-signature header
+ * @returns {Boolean} Whether the signature is valid and recent
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RETELL_WEBHOOK_SECRET || process.env.RETELL_API_KEY;
+  
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+  
+  const match = /^v=(\d+),d=([0-9a-f]+)$/.exec(signature);
+  if (!match) {
+    return false;
+  }
+  
+  const [, timestamp, digest] = match;
+  
+  // Reject stale signatures to limit replay of captured requests
+  if (Math.abs(Date.now() - Number(timestamp)) > 5 * 60 * 1000) {
+    return false;
+  }
+  
+  const expected = crypto.createHmac('sha256', secret)
+    .update(rawBody + timestamp)
+    .digest('hex');
+  
+  return expected.length === digest.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digest));
+};
+
 /**
  * Gets the status and details of a call
  * @param {String} callId The Retell call ID
@@ -203,41 +272,15 @@ const getCallStatus = async (callId) => {
     console.log(`Call status response: ${response.data.call_status}`);
     
     // Process response to extract all relevant data
-    const result = {
-      callId: response.data.call_id,
-      status: response.data.call_status,
-      startTime: response.data.start_timestamp ? new Date(response.data.start_timestamp).toISOString() : null,
-      endTime: response.data.end_timestamp ? new Date(response.data.end_timestamp).toISOString() : null,
-      callDuration: response.data.call_duration_ms ? response.data.call_duration_ms / 1000 : null,
-      transcript: null,
-      transcriptObject: null,
-      recordingUrl: response.data.recording_url || null,
-      callAnalysis: response.data.call_analysis || null,
-      metadata: response.data.metadata || {},
-      retellData: response.data
-    };
+    const result = normalizeCallData(response.data);
     
-    // Extract transcript if available
     // Transcripts are only available when calls have ended
-    if (['ended', 'error'].includes(response.data.call_status)) {
-      // Log the full response data structure when debugging
-      console.log('Full response data keys:', Object.keys(response.data));
-      
-      // Check and extract transcript_object (structured conversation) - this is preferred
-      if (response.data.transcript_object && Array.isArray(response.data.transcript_object)) {
-        result.transcriptObject = response.data.transcript_object;
+    if (['ended', 'error'].includes(result.status)) {
+      if (result.transcriptObject) {
         console.log(`Transcript object available with ${result.transcriptObject.length} entries`);
-        
-        // Preview first few transcript entries
-        if (result.transcriptObject.length > 0) {
-          console.log('First transcript entry sample:');
-          console.log(JSON.stringify(result.transcriptObject[0], null, 2));
-        }
       }
       
-      // Also extract regular transcript text if available as fallback
-      if (response.data.transcript) {
-        result.transcript = response.data.transcript;
+      if (result.transcript) {
         console.log(`Text transcript available, length: ${result.transcript.length} chars`);
       }
       
@@ -257,7 +300,7 @@ const getCallStatus = async (callId) => {
         console.log('No recording URL available');
       }
     } else {
-      console.log(`Call ${callId} is still in progress (${response.data.call_status}), no transcript yet`);
+      console.log(`Call ${callId} is still in progress (${result.status}), no transcript yet`);
     }
     
     return result;
@@ -269,6 +312,37 @@ const getCallStatus = async (callId) => {
   }
 };
 
+/**
+ * Deletes a call and everything Retell keeps for it, including the recording
+ * and transcript
+ * @param {String} callId The Retell call ID
+ * @returns {Promise<boolean>} True if deleted, false if Retell had no such call
+ */
+const deleteCall = async (callId) => {
+  try {
+    if (!callId) {
+      throw new Error('Call ID is required');
+    }
+
+    await axios({
+      method: 'DELETE',
+      url: `https://api.retellai.com/v2/delete-call/${callId}`,
+      headers: {
+        'Authorization': `Bearer ${process.env.RETELL_API_KEY}`
+      }
+    });
+
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return false;
+    }
+    console.error(`Error deleting call ${callId}:`, error);
+    const errorMessage = error.response?.data?.message || error.message;
+    throw new Error(`Retell API error: ${errorMessage}`);
+  }
+};
+
 /**
  * Processes call transcript to extract corrections and feedback
  * @param {Object} callData Call data from Retell API
@@ -371,6 +445,9 @@ const processCallTranscript = async (callData) => {
 module.exports = {
   initiateVerificationCall,
   getCallStatus,
+  deleteCall,
   processCallTranscript,
-  generateVerificationPrompt
+  generateVerificationPrompt,
+  normalizeCallData,
+  verifyWebhookSignature
 }; 
\ No newline at end of file
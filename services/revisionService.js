@@ -0,0 +1,280 @@
+const HealthRecord = require('../models/HealthRecord');
+const HealthRecordRevision = require('../models/HealthRecordRevision');
+const { diffObjects, revertChanges } = require('../utils/objectDiff');
+const VitalObservation = require('../models/VitalObservation');
+const { SEARCH_SOURCE_FIELDS, buildSearchTokens } = require('./searchIndexService');
+const { syncVitalObservations } = require('./vitalSignsService');
+const { codeStructuredData } = require('./terminologyService');
+const { checkRecordInteractions } = require('./interactionService');
+
+// HealthRecord fields whose changes are kept in the revision history
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'documentType',
+  'patient',
+  'patientName',
+  'patientPhone',
+  'fileUrl',
+  'filePath',
+  'externalUrl',
+  'extractedData',
+  'structuredData',
+  'fieldProvenance',
+  'processingMetadata',
+  'verificationCall',
+  'processingStatus',
+  'review'
+];
+
+// Fields that stored vital sign readings and interaction checks are derived from
+const CLINICAL_SOURCE_FIELDS = ['structuredData', 'patient'];
+
+/**
+ * Whether an update changes any of the given fields, or anything under them
+ * @param {Object} update - Update as passed to updateHealthRecord
+ * @param {Array<string>} fields - Top-level field names
+ * @returns {boolean}
+ */
+const updateTouches = (update, fields) => {
+  const paths = Object.entries(update).flatMap(([key, value]) => (
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  ));
+  return paths.some(path => fields.some(field => path === field || path.startsWith(`${field}.`)));
+};
+
+/**
+ * Picks the tracked fields of a record as plain JSON data
+ * @param {Object|null} healthRecord - HealthRecord document
+ * @returns {Object} - Tracked state
+ */
+const getTrackedState = (healthRecord) => {
+  if (!healthRecord) {
+    return {};
+  }
+
+  const plain = JSON.parse(JSON.stringify(healthRecord.toObject ? healthRecord.toObject() : healthRecord));
+  return TRACKED_FIELDS.reduce((state, field) => {
+    if (plain[field] !== undefined) {
+      state[field] = plain[field];
+    }
+    return state;
+  }, {});
+};
+
+/**
+ * Codes the structured data an update writes, so the codes are saved, and
+ * recorded in the revision, together with the edit
+ * @param {Object} update - Update as passed to updateHealthRecord
+ * @returns {Object} - The update, with coded structuredData
+ */
+const codeUpdate = (update) => {
+  // structuredData is encrypted, so updates always write it whole
+  if (update.structuredData) {
+    return { ...update, structuredData: codeStructuredData(update.structuredData) };
+  }
+  if (update.$set && update.$set.structuredData) {
+    return { ...update, $set: { ...update.$set, structuredData: codeStructuredData(update.$set.structuredData) } };
+  }
+  return update;
+};
+
+/**
+ * Runs one rebuild of data derived from a record. These run after the
+ * revision is written and a failure only logs: the edit and its history
+ * stand, and the rebuild scripts in scripts/ can catch the derived data up.
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {string} label - What is being rebuilt, for the log
+ * @param {Function} sync - Async rebuild
+ * @returns {Promise<void>}
+ */
+const syncDerivedData = async (healthRecord, label, sync) => {
+  try {
+    await sync();
+  } catch (error) {
+    console.error(`Failed to update ${label} for health record ${healthRecord._id}:`, error);
+  }
+};
+
+/**
+ * Rebuilds the vital sign readings and interaction check of a record
+ * @param {Object} healthRecord - HealthRecord document, with decrypted fields
+ * @returns {Promise<void>}
+ */
+const syncClinicalData = async (healthRecord) => {
+  await syncDerivedData(healthRecord, 'vital sign readings', () => syncVitalObservations(healthRecord));
+  await syncDerivedData(healthRecord, 'interaction check', async () => {
+    healthRecord.interactionCheck = await checkRecordInteractions(healthRecord);
+  });
+};
+
+/**
+ * Creates a health record and records it as revision 1
+ * @param {Object} data - Fields for HealthRecord.create
+ * @param {Object} actor - { kind: 'user'|'pipeline'|'webhook'|'system', user, stage }
+ * @returns {Promise<Object>} - The created record
+ */
+const createHealthRecord = async (data, actor) => {
+  const coded = data.structuredData ? { structuredData: codeStructuredData(data.structuredData) } : {};
+  const healthRecord = await HealthRecord.create({ ...data, ...coded, revisionCount: 1 });
+
+  await HealthRecordRevision.create({
+    healthRecord: healthRecord._id,
+    user: healthRecord.user,
+    revision: 1,
+    actor,
+    action: 'create',
+    changes: diffObjects({}, getTrackedState(healthRecord))
+  });
+
+  await syncClinicalData(healthRecord);
+
+  return healthRecord;
+};
+
+/**
+ * Applies an update to a health record and appends a revision describing it
+ * @param {string} healthRecordId - ID of the health record
+ * @param {Object} update - Update to apply, as for findByIdAndUpdate
+ * @param {Object} revisionInfo - { actor, action, expectedRevision }
+ *   actor: { kind: 'user'|'pipeline'|'webhook'|'system', user, stage }
+ *   expectedRevision: if set, the update only applies when the record is
+ *   still at this revision (optimistic locking)
+ * @returns {Promise<Object|null>} - The updated record, or null if it was not
+ *   found or had moved past expectedRevision
+ */
+const updateHealthRecord = async (healthRecordId, update, revisionInfo) => {
+  const filter = { _id: healthRecordId };
+
+  if (revisionInfo.expectedRevision !== undefined) {
+    // Records created before revisions were tracked have no revisionCount
+    filter.revisionCount = revisionInfo.expectedRevision
+      ? revisionInfo.expectedRevision
+      : { $in: [0, null] };
+  }
+
+  // Take the record as it was before the update so the change can be diffed
+  // Codes follow the text they were assigned for, so recode with every edit
+  const codedUpdate = codeUpdate(update);
+  const previous = await HealthRecord.findOneAndUpdate(
+    filter,
+    { ...codedUpdate, $inc: { ...codedUpdate.$inc, revisionCount: 1 } },
+    { new: false }
+  );
+
+  if (!previous) {
+    return null;
+  }
+
+  const updated = await HealthRecord.findById(healthRecordId);
+
+  await HealthRecordRevision.create({
+    healthRecord: previous._id,
+    user: previous.user,
+    revision: (previous.revisionCount || 0) + 1,
+    actor: revisionInfo.actor,
+    action: revisionInfo.action,
+    changes: diffObjects(getTrackedState(previous), getTrackedState(updated))
+  });
+
+  // Queries bypass the save hook that keeps search tokens current
+  if (updateTouches(update, SEARCH_SOURCE_FIELDS)) {
+    await syncDerivedData(updated, 'search tokens', () => HealthRecord.updateOne(
+      { _id: healthRecordId },
+      { $set: { searchTokens: buildSearchTokens(updated) } }
+    ));
+  }
+  if (updateTouches(update, CLINICAL_SOURCE_FIELDS)) {
+    await syncClinicalData(updated);
+  }
+
+  return updated;
+};
+
+/**
+ * Deletes a health record, keeping its final state in the revision history
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Object} actor - { kind, user, stage }
+ * @returns {Promise<void>}
+ */
+const removeHealthRecord = async (healthRecord, actor) => {
+  await HealthRecordRevision.create({
+    healthRecord: healthRecord._id,
+    user: healthRecord.user,
+    revision: (healthRecord.revisionCount || 0) + 1,
+    actor,
+    action: 'delete',
+    changes: diffObjects(getTrackedState(healthRecord), {})
+  });
+
+  await VitalObservation.deleteMany({ healthRecord: healthRecord._id });
+  await healthRecord.deleteOne();
+};
+
+/**
+ * Lists the revisions of a record, newest first, without their full changes
+ * @param {string} healthRecordId - ID of the health record
+ * @returns {Promise<Array>} - Revision summaries
+ */
+const getRevisionHistory = async (healthRecordId) => {
+  const revisions = await HealthRecordRevision.find({ healthRecord: healthRecordId })
+    .sort({ revision: -1 })
+    .populate('actor.user', 'name email');
+
+  return revisions.map(revision => ({
+    revision: revision.revision,
+    action: revision.action,
+    actor: revision.actor,
+    changedPaths: revision.changes.map(change => change.path),
+    createdAt: revision.createdAt
+  }));
+};
+
+/**
+ * Rebuilds the tracked state of a record as it was at a given revision by
+ * undoing every later revision, newest first
+ * @param {Object} healthRecord - Current HealthRecord document
+ * @param {number} revision - Revision number to rebuild (0 = before any tracked change)
+ * @returns {Promise<Object>} - Tracked state at that revision
+ */
+const getStateAtRevision = async (healthRecord, revision) => {
+  const laterRevisions = await HealthRecordRevision.find({
+    healthRecord: healthRecord._id,
+    revision: { $gt: revision }
+  }).sort({ revision: -1 });
+
+  return laterRevisions.reduce(
+    (state, later) => revertChanges(state, later.changes),
+    getTrackedState(healthRecord)
+  );
+};
+
+/**
+ * Diffs the tracked state of a record between two revisions
+ * @param {Object} healthRecord - Current HealthRecord document
+ * @param {number} fromRevision - Earlier revision
+ * @param {number} toRevision - Later revision
+ * @returns {Promise<Array>} - Changes from fromRevision to toRevision
+ */
+const diffRevisions = async (healthRecord, fromRevision, toRevision) => {
+  // A single step is stored as-is; no need to rebuild both states
+  if (toRevision === fromRevision + 1) {
+    const stored = await HealthRecordRevision.findOne({ healthRecord: healthRecord._id, revision: toRevision });
+    if (stored) {
+      return stored.changes;
+    }
+  }
+
+  const fromState = await getStateAtRevision(healthRecord, fromRevision);
+  const toState = await getStateAtRevision(healthRecord, toRevision);
+  return diffObjects(fromState, toState);
+};
+
+module.exports = {
+  createHealthRecord,
+  updateHealthRecord,
+  removeHealthRecord,
+  getRevisionHistory,
+  getStateAtRevision,
+  diffRevisions
+};
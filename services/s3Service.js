@@ -80,7 +80,31 @@ const deleteFileFromS3 = async (fileUrl) => {
   }
 };
 
+/**
+ * Downloads a file from AWS S3
+ * @param {string} fileUrl - URL of the file to download
+ * @returns {Promise<Buffer>} - Contents of the file
+ */
+const downloadFileFromS3 = async (fileUrl) => {
+  try {
+    // Extract the key from the URL
+    const key = fileUrl.split('/').pop();
+
+    const params = {
+      Bucket: process.env.AWS_BUCKET_NAME,
+      Key: key,
+    };
+
+    const result = await s3.getObject(params).promise();
+    return result.Body;
+  } catch (error) {
+    console.error('Error downloading file from S3:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   uploadFileToS3,
   deleteFileFromS3,
+  downloadFileFromS3,
 }; 
\ No newline at end of file
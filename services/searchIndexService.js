@@ -0,0 +1,86 @@
+const { computeBlindIndex } = require('./encryptionService');
+const { listLeaves } = require('../utils/objectPath');
+
+// HealthRecord fields that full-text search covers
+const SEARCH_SOURCE_FIELDS = ['title', 'description', 'extractedData', 'structuredData'];
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'she', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Bounds the index size of a very long document
+const MAX_TOKENS_PER_RECORD = 5000;
+// Hex characters kept from each keyed hash; 128 bits is plenty to avoid collisions
+const TOKEN_HASH_LENGTH = 32;
+
+/**
+ * Splits text into normalised search words: lowercase, accents removed,
+ * split on anything that isn't a letter or digit
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Unique words, in first-seen order
+ */
+const tokenize = (text) => {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2 && !STOP_WORDS.has(word));
+
+  return [...new Set(words)];
+};
+
+const hashToken = (token) => computeBlindIndex(token).slice(0, TOKEN_HASH_LENGTH);
+
+/**
+ * Collects the searchable text of a record
+ * @param {Object} healthRecord - HealthRecord document or plain object, with decrypted fields
+ * @returns {Array<string>}
+ */
+const collectSearchText = (healthRecord) => {
+  const structuredValues = listLeaves(healthRecord.structuredData || {})
+    .map(leaf => leaf.value)
+    .filter(value => typeof value === 'string' || typeof value === 'number');
+
+  return [
+    healthRecord.title,
+    healthRecord.description,
+    healthRecord.extractedData && healthRecord.extractedData.text,
+    ...structuredValues
+  ].filter(Boolean);
+};
+
+/**
+ * Builds the search tokens stored on a record. Extracted text and structured
+ * data are encrypted, so a MongoDB text index can't see them; instead each
+ * word is stored as a keyed hash (the blind index key), and searches hash
+ * their words the same way. Matching is by whole word.
+ * @param {Object} healthRecord - HealthRecord document or plain object, with decrypted fields
+ * @returns {Array<string>} - Hashed tokens
+ */
+const buildSearchTokens = (healthRecord) => {
+  const words = tokenize(collectSearchText(healthRecord).join(' '));
+  return words.slice(0, MAX_TOKENS_PER_RECORD).map(hashToken);
+};
+
+/**
+ * Builds the filter for a search query. Every word must appear in the record.
+ * @param {string} query - Words to search for
+ * @returns {Object|null} - Filter on searchTokens, or null if the query has no searchable words
+ */
+const buildSearchFilter = (query) => {
+  const words = tokenize(query);
+  if (words.length === 0) {
+    return null;
+  }
+  return { searchTokens: { $all: words.map(hashToken) } };
+};
+
+module.exports = {
+  SEARCH_SOURCE_FIELDS,
+  tokenize,
+  buildSearchTokens,
+  buildSearchFilter
+};
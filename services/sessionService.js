@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived access token tied to a session family
+ * @param {string} userId - User ID
+ * @param {string} family - Session family
+ * @returns {string} - JWT
+ */
+const signAccessToken = (userId, family) => {
+  return jwt.sign({ id: userId, sid: family }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Stores a new refresh token in a family and returns both tokens
+ * @param {string} userId - User ID
+ * @param {string} family - Session family
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const issueTokens = async (userId, family, client = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await Session.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(refreshToken),
+    ip: client.ip,
+    userAgent: client.userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: signAccessToken(userId, family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Starts a new session family for a user who has just logged in
+ * @param {string} userId - User ID
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const createSession = (userId, client) => issueTokens(userId, crypto.randomUUID(), client);
+
+/**
+ * Revokes every session in a family
+ * @param {string} family - Session family
+ * @param {string} reason - Why it was revoked
+ * @returns {Promise<void>}
+ */
+const revokeSessionFamily = async (family, reason) => {
+  await Session.updateMany(
+    { family, status: { $ne: 'revoked' } },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Revokes every session a user has
+ * @param {string} userId - User ID
+ * @param {string} reason - Why they were revoked
+ * @param {Object} options - { exceptFamily } session family to leave signed in
+ * @returns {Promise<number>} - Number of families revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptFamily } = {}) => {
+  const filter = { user: userId, ...(exceptFamily && { family: { $ne: exceptFamily } }) };
+  const families = await Session.distinct('family', { ...filter, status: 'active' });
+  await Session.updateMany(
+    { ...filter, status: { $ne: 'revoked' } },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+  );
+  return families.length;
+};
+
+/**
+ * Exchanges a refresh token for new tokens. A token that has already been
+ * rotated means it was copied, so the whole family is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} client - { ip, userAgent }
+ * @returns {Promise<Object>} - { tokens, userId } or { error: 'invalid'|'reused' }
+ */
+const rotateRefreshToken = async (refreshToken, client) => {
+  const tokenHash = hashToken(String(refreshToken));
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, status: 'active', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'rotated', rotatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!session) {
+    const previous = await Session.findOne({ tokenHash });
+    if (previous && previous.status === 'rotated') {
+      await revokeSessionFamily(previous.family, 'refresh_token_reuse');
+      console.warn(`Refresh token reuse detected; revoked session family ${previous.family}`);
+      return { error: 'reused' };
+    }
+    return { error: 'invalid' };
+  }
+
+  const tokens = await issueTokens(session.user, session.family, client);
+  return { tokens, userId: session.user };
+};
+
+/**
+ * Checks that the session family an access token belongs to has not been
+ * revoked. Rotated tokens still count, so requests made while a refresh is in
+ * flight aren't rejected.
+ * @param {string} family - Session family from the token
+ * @param {string} userId - User ID from the token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (family, userId) => {
+  if (!family) {
+    return false;
+  }
+  return !!(await Session.exists({ family, user: userId, status: { $ne: 'revoked' } }));
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  createSession,
+  rotateRefreshToken,
+  revokeSessionFamily,
+  revokeAllSessions,
+  isSessionActive
+};
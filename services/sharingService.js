@@ -0,0 +1,132 @@
+const jwt = require('jsonwebtoken');
+const ShareGrant = require('../models/ShareGrant');
+const HealthRecord = require('../models/HealthRecord');
+
+// Grants must expire; these bound how long a patient can share for
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+
+const TOKEN_PURPOSE = 'share';
+
+const getTokenSecret = () => process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Signs the link token for a grant. The token only names the grant, so
+ * revoking the grant stops the token working straight away.
+ * @param {Object} grant - ShareGrant document
+ * @returns {string} - Signed token, valid until the grant expires
+ */
+const signShareToken = (grant) => {
+  const expiresIn = Math.max(1, Math.floor((grant.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ grant: grant._id.toString(), purpose: TOKEN_PURPOSE }, getTokenSecret(), { expiresIn });
+};
+
+/**
+ * Verifies a link token and loads its grant
+ * @param {string} token - Token from signShareToken
+ * @returns {Promise<Object|null>} - The grant if the token is valid and the grant is active
+ */
+const resolveShareToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getTokenSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE || !payload.grant) {
+    return null;
+  }
+
+  const grant = await ShareGrant.findById(payload.grant);
+  return grant && grant.isActive() ? grant : null;
+};
+
+/**
+ * Works out the expiry of a new grant
+ * @param {Object} options - { expiresAt, expiresInDays }
+ * @returns {Object} - { expiresAt } or { error }
+ */
+const resolveExpiry = ({ expiresAt, expiresInDays }) => {
+  const now = Date.now();
+  const latest = now + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(now + (Number(expiresInDays) || DEFAULT_EXPIRY_DAYS) * 24 * 60 * 60 * 1000);
+
+  if (isNaN(expiry.getTime()) || expiry.getTime() <= now) {
+    return { error: 'Expiry must be a date in the future' };
+  }
+  if (expiry.getTime() > latest) {
+    return { error: `Grants can last at most ${MAX_EXPIRY_DAYS} days` };
+  }
+  return { expiresAt: expiry };
+};
+
+/**
+ * Builds the HealthRecord filter for the records a grant covers
+ * @param {Object} grant - ShareGrant document
+ * @returns {Object} - MongoDB filter
+ */
+const getGrantScope = (grant) => {
+  const filter = { user: grant.owner };
+  if (grant.documentType) {
+    filter.documentType = grant.documentType;
+  } else {
+    filter._id = { $in: grant.healthRecords };
+  }
+  return filter;
+};
+
+/**
+ * Lists the records a grant currently covers and counts the access
+ * @param {Object} grant - Active ShareGrant document
+ * @param {string} healthRecordId - Optional single record to fetch
+ * @returns {Promise<Array>} - HealthRecord documents
+ */
+const getSharedRecords = async (grant, healthRecordId) => {
+  const filter = getGrantScope(grant);
+  if (healthRecordId) {
+    filter.$and = [{ _id: healthRecordId }];
+  }
+
+  const healthRecords = await HealthRecord.find(filter).sort({ createdAt: -1 });
+
+  await ShareGrant.updateOne(
+    { _id: grant._id },
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+  );
+
+  return healthRecords;
+};
+
+/**
+ * Describes a grant for its owner or grantee
+ * @param {Object} grant - ShareGrant document
+ * @returns {Object} - Grant summary
+ */
+const describeGrant = (grant) => ({
+  _id: grant._id,
+  owner: grant.owner,
+  healthRecords: grant.healthRecords,
+  documentType: grant.documentType,
+  grantee: grant.grantee,
+  label: grant.label,
+  expiresAt: grant.expiresAt,
+  revokedAt: grant.revokedAt,
+  status: grant.revokedAt ? 'revoked' : grant.isActive() ? 'active' : 'expired',
+  accessCount: grant.accessCount,
+  lastAccessedAt: grant.lastAccessedAt,
+  createdAt: grant.createdAt
+});
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  signShareToken,
+  resolveShareToken,
+  resolveExpiry,
+  getSharedRecords,
+  describeGrant
+};
@@ -0,0 +1,285 @@
+const { applyPatch } = require('../utils/jsonPatch');
+const { listLeaves } = require('../utils/objectPath');
+const { PROVENANCE_SOURCES, setFieldProvenance } = require('./correctionsService');
+
+const TEXT = { type: 'scalar' };
+const TEXT_LIST = { type: 'array', items: TEXT };
+
+// Code assigned by the terminology service, or by hand with method 'manual'
+const CODING = {
+  type: 'object',
+  required: ['system', 'code'],
+  properties: {
+    system: TEXT,
+    code: TEXT,
+    display: TEXT,
+    confidence: TEXT,
+    method: TEXT,
+    matchedText: TEXT
+  }
+};
+
+// Shape of the structuredData produced by processHealthRecord. Unknown keys
+// are allowed because GROQ sometimes adds extra sections, but known sections
+// must keep their shape so the rest of the app can rely on them.
+const STRUCTURED_DATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    patient: {
+      type: 'object',
+      properties: {
+        name: TEXT,
+        dateOfBirth: TEXT,
+        medicalRecordNumber: TEXT,
+        phone: TEXT
+      }
+    },
+    // Date of the visit or report, as written in the document
+    documentDate: TEXT,
+    provider: {
+      type: 'object',
+      properties: {
+        name: TEXT,
+        specialty: TEXT,
+        clinic: TEXT
+      }
+    },
+    diagnosis: {
+      anyOf: [
+        TEXT,
+        {
+          type: 'object',
+          properties: {
+            primary: TEXT,
+            secondary: TEXT_LIST
+          }
+        }
+      ]
+    },
+    diagnosisCoding: {
+      anyOf: [
+        CODING,
+        {
+          type: 'object',
+          properties: {
+            primary: CODING,
+            secondary: { type: 'array', items: CODING }
+          }
+        }
+      ]
+    },
+    medications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: TEXT,
+          dosage: TEXT,
+          frequency: TEXT,
+          coding: CODING
+        }
+      }
+    },
+    treatmentPlan: TEXT,
+    labResults: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['test'],
+        properties: {
+          test: TEXT,
+          value: TEXT,
+          normalRange: TEXT,
+          date: TEXT,
+          coding: CODING
+        }
+      }
+    },
+    vitalSigns: {
+      type: 'object',
+      additionalProperties: TEXT
+    },
+    allergies: TEXT_LIST,
+    medicalHistory: TEXT
+  }
+};
+
+/**
+ * Checks a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of value, used in error messages
+ * @returns {string[]} - Validation errors
+ */
+const validateNode = (value, schema, path) => {
+  const label = path || 'structuredData';
+
+  // Sections are optional and may be left empty
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateNode(value, option, path).length === 0);
+    return matches ? [] : [`${label}: does not match any allowed shape`];
+  }
+
+  switch (schema.type) {
+    case 'scalar':
+      return ['string', 'number', 'boolean'].includes(typeof value) ? [] : [`${label}: expected a text value`];
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${label}: expected an array`];
+      }
+      return value.reduce((errors, item, index) => {
+        return errors.concat(validateNode(item, schema.items, `${label}.${index}`));
+      }, []);
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [`${label}: expected an object`];
+      }
+
+      const errors = (schema.required || [])
+        .filter(key => value[key] === undefined || value[key] === null || value[key] === '')
+        .map(key => `${path ? `${path}.` : ''}${key}: is required`);
+
+      Object.keys(value).forEach(key => {
+        const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+        if (childSchema) {
+          errors.push(...validateNode(value[key], childSchema, path ? `${path}.${key}` : key));
+        }
+      });
+
+      return errors;
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Validates structuredData against STRUCTURED_DATA_SCHEMA
+ * @param {Object} structuredData - Data to validate
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+const validateStructuredData = (structuredData) => {
+  if (!structuredData || typeof structuredData !== 'object' || Array.isArray(structuredData)) {
+    return ['structuredData: expected an object'];
+  }
+  return validateNode(structuredData, STRUCTURED_DATA_SCHEMA, '');
+};
+
+/**
+ * Moves provenance entries for array elements after an insert or removal
+ * @param {Array} fieldProvenance - Provenance entries
+ * @param {string} arrayPath - Path of the array, e.g. "medications"
+ * @param {number} fromIndex - First index affected
+ * @param {number} delta - +1 for an insert, -1 for a removal
+ * @returns {Array} - Updated provenance entries
+ */
+const shiftArrayProvenance = (fieldProvenance, arrayPath, fromIndex, delta) => {
+  const prefix = arrayPath ? `${arrayPath}.` : '';
+
+  return fieldProvenance.map(entry => {
+    if (!entry.path.startsWith(prefix)) {
+      return entry;
+    }
+
+    const [indexSegment, ...rest] = entry.path.slice(prefix.length).split('.');
+    const index = Number(indexSegment);
+    if (!/^\d+$/.test(indexSegment) || index < fromIndex) {
+      return entry;
+    }
+
+    return { ...entry, path: [`${prefix}${index + delta}`, ...rest].join('.') };
+  });
+};
+
+/**
+ * Updates provenance for one applied patch change
+ * @param {Array} fieldProvenance - Provenance entries
+ * @param {Object} change - Change returned by applyPatch
+ * @param {Object} options - { source, reference }
+ * @returns {Array} - Updated provenance entries
+ */
+const applyChangeProvenance = (fieldProvenance, change, options) => {
+  const { path } = change;
+  const segments = path.split('.');
+  const arrayPath = segments.slice(0, -1).join('.');
+  const index = Number(segments[segments.length - 1]);
+
+  let entries;
+  if (change.arrayShift && change.op === 'add') {
+    // Inserting moves the existing element at this index, and those after it, up by one
+    entries = shiftArrayProvenance(fieldProvenance, arrayPath, index, 1);
+  } else {
+    // Entries for the changed value and anything nested under it are replaced
+    entries = fieldProvenance.filter(entry => entry.path !== path && !entry.path.startsWith(`${path}.`));
+  }
+
+  if (change.arrayShift && change.op === 'remove') {
+    entries = shiftArrayProvenance(entries, arrayPath, index + 1, -1);
+  }
+
+  if (change.op === 'remove') {
+    return entries;
+  }
+
+  const leaves = change.value !== null && typeof change.value === 'object'
+    ? listLeaves(change.value, path)
+    : [{ path }];
+
+  return leaves.reduce((updated, leaf) => setFieldProvenance(updated, {
+    path: leaf.path,
+    source: options.source,
+    previousValue: leaves.length === 1 && change.previousValue !== undefined ? change.previousValue : null,
+    reference: options.reference || null
+  }), entries);
+};
+
+/**
+ * Applies JSON-Patch-style edits to a record's structuredData
+ * @param {Object} structuredData - Current structured data (not modified)
+ * @param {Array} fieldProvenance - Current provenance entries (not modified)
+ * @param {Array} operations - [{ op, path, value }]
+ * @param {Object} options - { source, reference } recorded in provenance
+ * @returns {Object} - { structuredData, fieldProvenance, changes, errors }
+ */
+const applyStructuredDataPatch = (structuredData, fieldProvenance, operations, options = {}) => {
+  const result = applyPatch(structuredData, operations);
+
+  if (result.errors.length > 0) {
+    return { structuredData, fieldProvenance, changes: [], errors: result.errors };
+  }
+
+  const errors = validateStructuredData(result.document);
+  if (errors.length > 0) {
+    return { structuredData, fieldProvenance, changes: [], errors };
+  }
+
+  const provenanceOptions = {
+    source: options.source || PROVENANCE_SOURCES.MANUAL,
+    reference: options.reference
+  };
+  const updatedProvenance = result.changes.reduce(
+    (entries, change) => applyChangeProvenance(entries, change, provenanceOptions),
+    [...(fieldProvenance || [])]
+  );
+
+  return {
+    structuredData: result.document,
+    fieldProvenance: updatedProvenance,
+    changes: result.changes.map(({ arrayShift, ...change }) => change),
+    errors: []
+  };
+};
+
+module.exports = {
+  STRUCTURED_DATA_SCHEMA,
+  validateStructuredData,
+  applyStructuredDataPatch
+};
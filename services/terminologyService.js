@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+const { toText, normalizeTerm } = require('../utils/clinicalText');
+const { normalizeDrugName } = require('./medicationReconciliationService');
+const { SYSTEMS } = require('./fhirService');
+
+// Code tables, each loaded from <TERMINOLOGY_DIR>/<file>. Tables are CSV with
+// a code,display,synonyms header; synonyms are separated by '|'. Use
+// scripts/import-terminology.js to build them from the official releases.
+const TERMINOLOGIES = {
+  icd10cm: { system: SYSTEMS.ICD10, name: 'ICD-10-CM', file: 'icd10cm.csv' },
+  loinc: { system: SYSTEMS.LOINC, name: 'LOINC', file: 'loinc.csv' },
+  rxnorm: { system: SYSTEMS.RXNORM, name: 'RxNorm', file: 'rxnorm.csv' }
+};
+
+// Confidence of each kind of match
+const CONFIDENCE = {
+  code: 1,
+  display: 0.95,
+  synonym: 0.9,
+  // Scaled by how many words the text and the term share
+  fuzzy: 0.85
+};
+
+// Fuzzy matches sharing fewer words than this (Dice coefficient) are left
+// uncoded. With one extra word either side, a one-word term falls below it,
+// so "Diabetes" is not coded as "Prediabetes" nor "Pulmonary hypertension" as
+// "Hypertension".
+const MIN_FUZZY_SIMILARITY = 0.75;
+
+// Words that don't tell one term from another
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'of', 'in', 'on', 'or', 'the', 'to', 'with', 'without', 'by', 'for',
+  'unspecified', 'nos', 'other', 'specified', 'site', 'type', 'serum', 'plasma', 'blood', 'level'
+]);
+
+// A code written alongside the text, e.g. "Essential hypertension (I10)"
+const EMBEDDED_CODE_PATTERN = /\(\s*([A-Za-z0-9][A-Za-z0-9.-]{1,9})\s*\)/;
+
+const tables = new Map();
+
+const getTerminologyDir = () => (
+  process.env.TERMINOLOGY_DIR || path.join(__dirname, '..', 'data', 'terminology')
+);
+
+const contentWords = (key) => key.split(' ').filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Reads a code table from disk and indexes it for matching
+ * @param {string} terminology - Key of TERMINOLOGIES
+ * @returns {Object} - { entries, byCode, byTerm, byWord }
+ */
+const loadTable = (terminology) => {
+  const { file, name } = TERMINOLOGIES[terminology];
+  const table = { entries: [], byCode: new Map(), byTerm: new Map(), byWord: new Map() };
+  const filePath = path.join(getTerminologyDir(), file);
+
+  if (!fs.existsSync(filePath)) {
+    console.warn(`${name} code table not found at ${filePath}; ${name} codes will not be assigned`);
+    return table;
+  }
+
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  const columns = header.map(column => column.trim().toLowerCase());
+  const codeColumn = columns.indexOf('code');
+  const displayColumn = columns.indexOf('display');
+  const synonymsColumn = columns.indexOf('synonyms');
+
+  if (codeColumn === -1 || displayColumn === -1) {
+    console.warn(`${name} code table at ${filePath} needs code and display columns`);
+    return table;
+  }
+
+  for (const row of rows) {
+    const code = (row[codeColumn] || '').trim();
+    const display = (row[displayColumn] || '').trim();
+    if (!code || !display || table.byCode.has(code.toUpperCase())) {
+      continue;
+    }
+
+    const entry = { code, display };
+    table.entries.push(entry);
+    table.byCode.set(code.toUpperCase(), entry);
+
+    const synonyms = synonymsColumn === -1 ? [] : (row[synonymsColumn] || '').split('|');
+    const terms = [{ text: display, method: 'display' }, ...synonyms.map(text => ({ text, method: 'synonym' }))];
+
+    for (const term of terms) {
+      const key = normalizeTerm(term.text);
+      // The first entry to claim a term keeps it
+      if (!key || table.byTerm.has(key)) {
+        continue;
+      }
+      table.byTerm.set(key, { entry, method: term.method });
+      for (const word of new Set(contentWords(key))) {
+        if (!table.byWord.has(word)) {
+          table.byWord.set(word, []);
+        }
+        table.byWord.get(word).push(key);
+      }
+    }
+  }
+
+  return table;
+};
+
+const getTable = (terminology) => {
+  if (!tables.has(terminology)) {
+    tables.set(terminology, loadTable(terminology));
+  }
+  return tables.get(terminology);
+};
+
+/**
+ * Drops the loaded code tables so they are read again on next use, e.g.
+ * after importing new ones
+ */
+const reloadTerminologies = () => {
+  tables.clear();
+};
+
+/**
+ * Number of codes loaded for each terminology
+ * @returns {Object} - { icd10cm, loinc, rxnorm }
+ */
+const getTerminologyStats = () => Object.fromEntries(
+  Object.keys(TERMINOLOGIES).map(terminology => [terminology, getTable(terminology).entries.length])
+);
+
+const diceSimilarity = (a, b) => {
+  const shared = a.filter(word => b.includes(word)).length;
+  return (2 * shared) / (a.length + b.length);
+};
+
+const toCoding = (terminology, entry, confidence, method, matchedText) => ({
+  system: TERMINOLOGIES[terminology].system,
+  code: entry.code,
+  display: entry.display,
+  confidence: Math.round(confidence * 100) / 100,
+  method,
+  matchedText
+});
+
+/**
+ * Finds the code for a term. An embedded code that exists in the table wins,
+ * then an exact display or synonym, then the term sharing the most words,
+ * provided the text contains all of that term's words.
+ * @param {string} terminology - Key of TERMINOLOGIES
+ * @param {*} text - Term as written in the document
+ * @param {Object} options - { normalize } to build the matching key (default normalizeTerm)
+ * @returns {Object|null} - { system, code, display, confidence, method, matchedText }, or null if nothing matches
+ */
+const matchTerm = (terminology, text, options = {}) => {
+  const matchedText = toText(text);
+  if (!matchedText) {
+    return null;
+  }
+  const table = getTable(terminology);
+  const normalize = options.normalize || normalizeTerm;
+
+  const embedded = matchedText.match(EMBEDDED_CODE_PATTERN);
+  if (embedded && table.byCode.has(embedded[1].toUpperCase())) {
+    return toCoding(terminology, table.byCode.get(embedded[1].toUpperCase()), CONFIDENCE.code, 'code', matchedText);
+  }
+
+  const key = normalize(matchedText.replace(EMBEDDED_CODE_PATTERN, ' '));
+  if (!key) {
+    return null;
+  }
+
+  const exact = table.byTerm.get(key);
+  if (exact) {
+    return toCoding(terminology, exact.entry, CONFIDENCE[exact.method], exact.method, matchedText);
+  }
+
+  const words = contentWords(key);
+  if (words.length === 0) {
+    return null;
+  }
+
+  let best = null;
+  const candidates = new Set(words.flatMap(word => table.byWord.get(word) || []));
+  for (const candidate of candidates) {
+    const candidateWords = contentWords(candidate);
+    // Every word of the term must be in the text; a term with words the text
+    // lacks, such as "pre diabetes" for "diabetes", means something else
+    if (!candidateWords.every(word => words.includes(word))) {
+      continue;
+    }
+    const similarity = diceSimilarity(words, candidateWords);
+    // Ties go to the shorter term, which is usually the more general one
+    if (!best || similarity > best.similarity || (similarity === best.similarity && candidate.length < best.key.length)) {
+      best = { key: candidate, similarity };
+    }
+  }
+
+  if (!best || best.similarity < MIN_FUZZY_SIMILARITY) {
+    return null;
+  }
+  return toCoding(terminology, table.byTerm.get(best.key).entry, CONFIDENCE.fuzzy * best.similarity, 'fuzzy', matchedText);
+};
+
+/**
+ * ICD-10-CM code for a diagnosis
+ * @param {*} text - Diagnosis as written
+ * @returns {Object|null} - Coding
+ */
+const codeDiagnosis = (text) => matchTerm('icd10cm', text);
+
+/**
+ * LOINC code for a lab test
+ * @param {*} text - Test name as written
+ * @returns {Object|null} - Coding
+ */
+const codeLabTest = (text) => matchTerm('loinc', text);
+
+/**
+ * RxNorm ingredient code for a drug; strength, dosage form and salt are
+ * ignored, so "Metformin HCl 500mg tablets" codes as metformin
+ * @param {*} text - Drug name as written
+ * @returns {Object|null} - Coding
+ */
+const codeDrug = (text) => matchTerm('rxnorm', text, { normalize: normalizeDrugName });
+
+/**
+ * Codes one entry, keeping a coding set by hand or one already made for the
+ * same text
+ * @param {Object|null} existing - Coding stored with the entry
+ * @param {*} text - Entry text
+ * @param {Function} code - codeDiagnosis, codeLabTest or codeDrug
+ * @returns {Object|null} - Coding
+ */
+const recode = (existing, text, code) => {
+  if (existing && typeof existing === 'object' && (existing.method === 'manual' || existing.matchedText === toText(text))) {
+    return existing;
+  }
+  return code(text);
+};
+
+const codeEntries = (entries, textField, code) => {
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+  return entries.map(entry => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return entry;
+    }
+    const { coding: existing, ...rest } = entry;
+    const coding = recode(existing, entry[textField], code);
+    return coding ? { ...rest, coding } : rest;
+  });
+};
+
+/**
+ * Adds codes to structured data: each medication gets an RxNorm `coding` and
+ * each lab result a LOINC `coding`; diagnoses get ICD-10-CM codings in
+ * `diagnosisCoding`, shaped like `diagnosis` (one coding, or
+ * { primary, secondary }). Entries nothing matches are left uncoded.
+ * @param {Object} structuredData - structuredData of a record
+ * @returns {Object} - A coded copy; the input is not changed
+ */
+const codeStructuredData = (structuredData) => {
+  if (!structuredData || typeof structuredData !== 'object' || Array.isArray(structuredData)) {
+    return structuredData;
+  }
+
+  const { diagnosisCoding: existing, ...coded } = structuredData;
+  coded.medications = codeEntries(structuredData.medications, 'name', codeDrug);
+  coded.labResults = codeEntries(structuredData.labResults, 'test', codeLabTest);
+  if (coded.medications === undefined) {
+    delete coded.medications;
+  }
+  if (coded.labResults === undefined) {
+    delete coded.labResults;
+  }
+
+  const { diagnosis } = structuredData;
+  if (typeof diagnosis === 'string' || typeof diagnosis === 'number') {
+    coded.diagnosisCoding = recode(existing, diagnosis, codeDiagnosis);
+  } else if (diagnosis && typeof diagnosis === 'object' && !Array.isArray(diagnosis)) {
+    const previous = existing && typeof existing === 'object' && !existing.code ? existing : {};
+    const secondary = Array.isArray(diagnosis.secondary) ? diagnosis.secondary : [];
+    coded.diagnosisCoding = {
+      primary: recode(previous.primary, diagnosis.primary, codeDiagnosis),
+      secondary: secondary.map((text, index) => recode((previous.secondary || [])[index], text, codeDiagnosis))
+    };
+  }
+
+  return coded;
+};
+
+module.exports = {
+  TERMINOLOGIES,
+  matchTerm,
+  codeDiagnosis,
+  codeLabTest,
+  codeDrug,
+  codeStructuredData,
+  reloadTerminologies,
+  getTerminologyStats
+};
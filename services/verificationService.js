@@ -0,0 +1,138 @@
+const { processCallTranscript } = require('./retellService');
+const { PROVENANCE_SOURCES, applyCorrections } = require('./correctionsService');
+
+/**
+ * Whether the verification call on a record has already been finalized
+ * @param {Object} healthRecord - HealthRecord document
+ * @returns {boolean}
+ */
+const isCallFinalized = (healthRecord) => {
+  return ['ended', 'error'].includes(healthRecord.verificationCall?.status);
+};
+
+/**
+ * Builds the HealthRecord update for a call that has just connected
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Object} callData - Normalized call data from retellService
+ * @returns {Object} - Update to apply with updateHealthRecord
+ */
+const buildCallStartedUpdate = (healthRecord, callData) => {
+  const update = {
+    'verificationCall.status': 'ongoing'
+  };
+
+  if (callData.startTime) {
+    update['verificationCall.startTime'] = new Date(callData.startTime);
+  }
+
+  if (healthRecord.processingStatus === 'verification_initiated') {
+    update['processingMetadata.timeline.verification.status'] = 'ongoing';
+  }
+
+  return update;
+};
+
+/**
+ * Builds the HealthRecord update for a call that has ended: stores the
+ * transcript, runs it through GROQ for corrections, applies them to any
+ * existing structuredData and, if the record is waiting on verification in
+ * the pipeline, moves it to verification_complete. A reviewed record whose
+ * data the corrections change goes back to waiting for review.
+ * This is the single place where call results are written to a record.
+ * @param {Object} healthRecord - HealthRecord document
+ * @param {Object} callData - Normalized call data from retellService
+ * @returns {Promise<Object>} - Update to apply with updateHealthRecord
+ */
+const buildCallEndedUpdate = async (healthRecord, callData) => {
+  const update = {
+    'verificationCall.status': callData.status === 'error' ? 'error' : 'ended',
+    'verificationCall.endTime': callData.endTime ? new Date(callData.endTime) : new Date(),
+    'verificationCall.transcript': callData.transcript || null,
+    'verificationCall.transcriptObject': callData.transcriptObject || null,
+    'verificationCall.recordingUrl': callData.recordingUrl || null
+  };
+
+  if (callData.transcriptObject || callData.transcript) {
+    // Process the transcript to extract corrections and feedback
+    const transcriptResult = await processCallTranscript(callData);
+
+    Object.assign(update, {
+      'verificationCall.verificationComplete': transcriptResult.verificationSuccessful || false,
+      'verificationCall.corrections': transcriptResult.corrections || [],
+      'verificationCall.additionalInfo': transcriptResult.additionalInfo || '',
+      'verificationCall.summary': transcriptResult.transcriptAnalysis?.summary || ''
+    });
+
+    // Records that already have structuredData (e.g. a call started from
+    // /verify after processing) take the corrections straight away; in the
+    // pipeline they are applied once GROQ has produced structuredData
+    if (healthRecord.structuredData && transcriptResult.corrections?.length > 0) {
+      const corrected = applyCorrections(
+        healthRecord.structuredData,
+        healthRecord.fieldProvenance,
+        transcriptResult.corrections,
+        { source: PROVENANCE_SOURCES.PATIENT_CALL, reference: callData.callId }
+      );
+      Object.assign(update, {
+        structuredData: corrected.structuredData,
+        fieldProvenance: corrected.fieldProvenance,
+        'verificationCall.corrections': corrected.corrections
+      });
+
+      // The reviewer signed off on the data before these corrections
+      if (healthRecord.review?.reviewed && JSON.stringify(corrected.structuredData) !== JSON.stringify(healthRecord.structuredData)) {
+        Object.assign(update, {
+          'review.reviewed': false,
+          'review.reviewedBy': null,
+          'review.reviewedAt': null,
+          processingStatus: 'groq_processing_complete'
+        });
+      }
+    }
+
+    // Apply critical corrections directly to the record
+    for (const correction of transcriptResult.corrections || []) {
+      if (['patientName', 'patientPhone'].includes(correction.field) && correction.correct) {
+        update[correction.field] = correction.correct;
+      }
+    }
+
+    // Keep any additional info from the patient alongside the description
+    if (transcriptResult.additionalInfo && transcriptResult.additionalInfo.trim() !== '') {
+      update.description = healthRecord.description
+        ? `${healthRecord.description}\n\nAdditional info from verification: ${transcriptResult.additionalInfo}`
+        : `Additional info from verification: ${transcriptResult.additionalInfo}`;
+    }
+  } else {
+    console.log(`Call ${callData.callId} ended but no transcript data available`);
+  }
+
+  if (healthRecord.processingStatus === 'verification_initiated') {
+    Object.assign(update, {
+      'processingMetadata.timeline.verification.endTime': new Date().toISOString(),
+      'processingMetadata.timeline.verification.status': update['verificationCall.status'],
+      processingStatus: 'verification_complete'
+    });
+  }
+
+  return update;
+};
+
+/**
+ * Builds the HealthRecord update for Retell's post-call analysis, which
+ * summarises the patient's answers and so is stored encrypted
+ * @param {Object} callData - Normalized call data from retellService
+ * @returns {Object} - Update to apply with updateHealthRecord
+ */
+const buildCallAnalyzedUpdate = (callData) => {
+  return {
+    'verificationCall.analysis': callData.callAnalysis || null
+  };
+};
+
+module.exports = {
+  isCallFinalized,
+  buildCallStartedUpdate,
+  buildCallEndedUpdate,
+  buildCallAnalyzedUpdate
+};
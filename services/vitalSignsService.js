@@ -0,0 +1,287 @@
+const VitalObservation = require('../models/VitalObservation');
+const { toText, normalizeTerm } = require('../utils/clinicalText');
+const { getRecordDate } = require('./patientService');
+
+const KINDS = VitalObservation.schema.path('kind').enumValues;
+
+// vitalSigns keys, after splitting camelCase and normalising, for each kind
+const KIND_KEYS = {
+  blood_pressure: ['blood pressure', 'bp', 'bloodpressure'],
+  heart_rate: ['heart rate', 'pulse', 'pulse rate', 'hr', 'heartrate'],
+  temperature: ['temperature', 'temp', 'body temperature'],
+  height: ['height', 'ht', 'body height'],
+  weight: ['weight', 'wt', 'body weight'],
+  oxygen_saturation: ['oxygen saturation', 'spo2', 'sp o2', 'o2 sat', 'o2 saturation', 'sao2', 'oxygen'],
+  respiratory_rate: ['respiratory rate', 'resp rate', 'rr', 'respiration', 'respirations', 'breathing rate'],
+  bmi: ['bmi', 'body mass index']
+};
+
+// Values outside these are misreadings rather than readings
+const PLAUSIBLE = {
+  heart_rate: [20, 300],
+  temperature: [25, 45],
+  height: [30, 250],
+  weight: [1, 400],
+  oxygen_saturation: [50, 100],
+  respiratory_rate: [4, 80],
+  bmi: [8, 100],
+  systolic: [50, 300],
+  diastolic: [20, 200]
+};
+
+// Blood pressure categories from the 2017 ACC/AHA guideline, most severe first
+const BLOOD_PRESSURE_CATEGORIES = [
+  { category: 'hypertensive_crisis', test: (systolic, diastolic) => systolic > 180 || diastolic > 120 },
+  { category: 'hypertension_stage_2', test: (systolic, diastolic) => systolic >= 140 || diastolic >= 90 },
+  { category: 'hypertension_stage_1', test: (systolic, diastolic) => systolic >= 130 || diastolic >= 80 },
+  { category: 'elevated', test: (systolic) => systolic >= 120 },
+  { category: 'normal', test: () => true }
+];
+
+// Categories that count as a hypertension-range reading
+const HYPERTENSION_CATEGORIES = ['hypertension_stage_1', 'hypertension_stage_2', 'hypertensive_crisis'];
+
+const BMI_CATEGORIES = [
+  { category: 'underweight', below: 18.5 },
+  { category: 'normal', below: 25 },
+  { category: 'overweight', below: 30 },
+  { category: 'obese', below: Infinity }
+];
+
+const kindsByKey = new Map(Object.entries(KIND_KEYS).flatMap(([kind, keys]) => keys.map(key => [key, kind])));
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isPlausible = (name, value) => (
+  Number.isFinite(value) && value >= PLAUSIBLE[name][0] && value <= PLAUSIBLE[name][1]
+);
+
+const firstNumber = (text) => {
+  const match = text.match(/(\d+(?:\.\d+)?|\.\d+)/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Works out which vital sign a vitalSigns key holds
+ * @param {string} key - Key such as "bloodPressure", "BP" or "SpO2"
+ * @returns {string|null} - Kind, or null for keys that aren't a known vital sign
+ */
+const identifyVitalKind = (key) => {
+  const normalized = normalizeTerm(String(key).replace(/([a-z])([A-Z])/g, '$1 $2'));
+  return kindsByKey.get(normalized) || null;
+};
+
+/**
+ * Categorises a blood pressure reading
+ * @param {number} systolic - Systolic pressure, mmHg
+ * @param {number} diastolic - Diastolic pressure, mmHg
+ * @returns {string}
+ */
+const categorizeBloodPressure = (systolic, diastolic) => (
+  BLOOD_PRESSURE_CATEGORIES.find(entry => entry.test(systolic, diastolic)).category
+);
+
+const categorizeBmi = (bmi) => BMI_CATEGORIES.find(entry => bmi < entry.below).category;
+
+// Each parser takes the reading's text and returns { value, unit, ... } or null
+const PARSERS = {
+  blood_pressure: (text) => {
+    const match = text.match(/(\d{2,3})\s*\/\s*(\d{2,3})/);
+    if (!match) {
+      return null;
+    }
+    const systolic = Number(match[1]);
+    const diastolic = Number(match[2]);
+    if (!isPlausible('systolic', systolic) || !isPlausible('diastolic', diastolic) || diastolic >= systolic) {
+      return null;
+    }
+    return { value: null, unit: 'mmHg', systolic, diastolic, category: categorizeBloodPressure(systolic, diastolic) };
+  },
+
+  heart_rate: (text) => {
+    const value = firstNumber(text);
+    return isPlausible('heart_rate', value) ? { value, unit: 'beats/min' } : null;
+  },
+
+  respiratory_rate: (text) => {
+    const value = firstNumber(text);
+    return isPlausible('respiratory_rate', value) ? { value, unit: 'breaths/min' } : null;
+  },
+
+  oxygen_saturation: (text) => {
+    let value = firstNumber(text);
+    // Written as a fraction, e.g. 0.97
+    if (value !== null && value <= 1) {
+      value = value * 100;
+    }
+    return isPlausible('oxygen_saturation', value) ? { value: round(value), unit: '%' } : null;
+  },
+
+  // Canonical unit °C; without a unit, values above 50 are taken as °F
+  temperature: (text) => {
+    const value = firstNumber(text);
+    if (value === null) {
+      return null;
+    }
+    const fahrenheit = /°?\s*f\b|fahrenheit/i.test(text) || (!/°?\s*c\b|celsius/i.test(text) && value > 50);
+    const celsius = fahrenheit ? (value - 32) * 5 / 9 : value;
+    return isPlausible('temperature', celsius) ? { value: round(celsius), unit: '°C' } : null;
+  },
+
+  // Canonical unit cm; accepts 5'10", 5 ft 10 in, 70 in, 1.78 m and 178 cm
+  height: (text) => {
+    let centimetres = null;
+    const feetInches = text.match(/(\d+(?:\.\d+)?)\s*(?:'|′|ft|feet|foot)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|″|''|in|inch|inches)?)?/i);
+
+    if (feetInches) {
+      centimetres = (Number(feetInches[1]) * 12 + Number(feetInches[2] || 0)) * 2.54;
+    } else {
+      const value = firstNumber(text);
+      if (value === null) {
+        return null;
+      }
+      if (/\bcm\b/i.test(text)) {
+        centimetres = value;
+      } else if (/\bm\b|metre|meter/i.test(text)) {
+        centimetres = value * 100;
+      } else if (/\bin\b|inch|"/i.test(text)) {
+        centimetres = value * 2.54;
+      } else {
+        // No unit: metres if small, then inches, then centimetres
+        centimetres = value < 3 ? value * 100 : value < 96 ? value * 2.54 : value;
+      }
+    }
+    return isPlausible('height', centimetres) ? { value: round(centimetres), unit: 'cm' } : null;
+  },
+
+  // Canonical unit kg; values without a unit are taken as kg
+  weight: (text) => {
+    const value = firstNumber(text);
+    if (value === null) {
+      return null;
+    }
+    const kilograms = /\b(lb|lbs|pounds?)\b/i.test(text) ? value * 0.45359237 : value;
+    return isPlausible('weight', kilograms) ? { value: round(kilograms), unit: 'kg' } : null;
+  },
+
+  bmi: (text) => {
+    const value = firstNumber(text);
+    return isPlausible('bmi', value) ? { value, unit: 'kg/m2', category: categorizeBmi(value) } : null;
+  }
+};
+
+/**
+ * Body mass index from height and weight
+ * @param {number} heightCm - Height in cm
+ * @param {number} weightKg - Weight in kg
+ * @returns {number|null}
+ */
+const calculateBmi = (heightCm, weightKg) => {
+  const bmi = round(weightKg / ((heightCm / 100) ** 2));
+  return isPlausible('bmi', bmi) ? bmi : null;
+};
+
+/**
+ * Parses a record's vitalSigns into typed readings in canonical units. BMI
+ * is derived from height and weight when the record doesn't state it.
+ * @param {Object} vitalSigns - structuredData.vitalSigns
+ * @returns {Object} - { readings: [{ kind, value, unit, systolic, diastolic, category, derived, raw }], unparsed: [{ key, value }] }
+ */
+const parseVitalSigns = (vitalSigns) => {
+  const readings = [];
+  const unparsed = [];
+
+  if (!vitalSigns || typeof vitalSigns !== 'object' || Array.isArray(vitalSigns)) {
+    return { readings, unparsed };
+  }
+
+  for (const [key, rawValue] of Object.entries(vitalSigns)) {
+    const text = toText(rawValue);
+    if (!text) {
+      continue;
+    }
+    const kind = identifyVitalKind(key);
+    const parsed = kind && !readings.some(reading => reading.kind === kind) ? PARSERS[kind](text) : null;
+
+    if (parsed) {
+      readings.push({ systolic: null, diastolic: null, category: null, ...parsed, kind, derived: false, raw: text });
+    } else {
+      unparsed.push({ key, value: text });
+    }
+  }
+
+  const height = readings.find(reading => reading.kind === 'height');
+  const weight = readings.find(reading => reading.kind === 'weight');
+  if (height && weight && !readings.some(reading => reading.kind === 'bmi')) {
+    const bmi = calculateBmi(height.value, weight.value);
+    if (bmi !== null) {
+      readings.push({
+        kind: 'bmi',
+        value: bmi,
+        unit: 'kg/m2',
+        systolic: null,
+        diastolic: null,
+        category: categorizeBmi(bmi),
+        derived: true,
+        raw: null
+      });
+    }
+  }
+
+  return { readings, unparsed };
+};
+
+/**
+ * Replaces the stored readings of a record with those parsed from its
+ * current structured data
+ * @param {Object} healthRecord - HealthRecord document, with decrypted fields
+ * @returns {Promise<number>} - Number of readings stored
+ */
+const syncVitalObservations = async (healthRecord) => {
+  await VitalObservation.deleteMany({ healthRecord: healthRecord._id });
+
+  const { readings } = parseVitalSigns(healthRecord.structuredData && healthRecord.structuredData.vitalSigns);
+  if (readings.length === 0) {
+    return 0;
+  }
+
+  // create() rather than insertMany() so the raw text is encrypted on save
+  await VitalObservation.create(readings.map(reading => ({
+    ...reading,
+    user: healthRecord.user,
+    patient: healthRecord.patient || null,
+    healthRecord: healthRecord._id,
+    // Dated like the record on the timeline, not by when it was uploaded
+    observedAt: getRecordDate(healthRecord)
+  })));
+  return readings.length;
+};
+
+/**
+ * API view of a stored reading
+ * @param {Object} observation - VitalObservation document
+ * @returns {Object}
+ */
+const describeObservation = (observation) => ({
+  _id: observation._id,
+  kind: observation.kind,
+  value: observation.value,
+  unit: observation.unit,
+  systolic: observation.systolic,
+  diastolic: observation.diastolic,
+  category: observation.category,
+  derived: observation.derived,
+  raw: observation.raw,
+  observedAt: observation.observedAt,
+  healthRecord: observation.healthRecord
+});
+
+module.exports = {
+  KINDS,
+  HYPERTENSION_CATEGORIES,
+  identifyVitalKind,
+  categorizeBloodPressure,
+  parseVitalSigns,
+  syncVitalObservations,
+  describeObservation
+};
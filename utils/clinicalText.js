@@ -0,0 +1,50 @@
+/**
+ * Helpers for the free-text values GROQ extracts into structuredData, which
+ * differ in case, spacing and punctuation from one document to the next.
+ */
+
+/**
+ * Text of a scalar value, trimmed; empty for objects, arrays and nulls
+ * @param {*} value - Value from structuredData
+ * @returns {string}
+ */
+const toText = (value) => {
+  if (['string', 'number', 'boolean'].includes(typeof value)) {
+    return String(value).trim();
+  }
+  return '';
+};
+
+/**
+ * Comparison key for a clinical term, so "Type 2 Diabetes" and
+ * "type-2 diabetes " match: lowercase, accents removed, and anything that
+ * isn't a letter or digit collapsed to one space
+ * @param {*} value - Term to normalise
+ * @returns {string} - Key, empty if there is no text
+ */
+const normalizeTerm = (value) => toText(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Parses a date written in a document
+ * @param {*} value - Date text, e.g. "2024-03-01" or "March 1, 2024"
+ * @returns {Date|null} - The date, or null if it can't be read
+ */
+const parseClinicalDate = (value) => {
+  const text = toText(value);
+  if (!text) {
+    return null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  toText,
+  normalizeTerm,
+  parseClinicalDate
+};
@@ -0,0 +1,73 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180): quoted fields may contain the
+ * delimiter, newlines and doubled quotes.
+ */
+
+/**
+ * Parses CSV text into rows
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter } (default ',')
+ * @returns {Array<Array<string>>} - Rows of fields; blank lines are skipped
+ */
+const parseCsv = (text, options = {}) => {
+  const delimiter = options.delimiter || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Formats one CSV row, quoting fields that need it
+ * @param {Array<*>} values - Field values
+ * @returns {string} - The row, without a line ending
+ */
+const formatCsvRow = (values) => values
+  .map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',');
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,136 @@
+/**
+ * Minimal JSON Patch (RFC 6902) support for the add, remove, replace and
+ * test operations. Paths are JSON Pointers ("/medications/0/dosage"); "-"
+ * appends to an array.
+ */
+const { getOwnPath, isSafePath } = require('./objectPath');
+
+const SUPPORTED_OPS = ['add', 'remove', 'replace', 'test'];
+
+/**
+ * Converts a JSON Pointer into a dot-separated path
+ * @param {string} pointer - e.g. "/medications/0/dosage"
+ * @returns {string|null} - e.g. "medications.0.dosage", or null if invalid
+ *   (including paths through __proto__, constructor or prototype)
+ */
+const pointerToPath = (pointer) => {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    return null;
+  }
+
+  const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  // Dot-separated paths can't represent keys that contain dots, and keys
+  // that reach the prototype are never valid data
+  if (segments.some(segment => segment === '' || segment.includes('.')) || !isSafePath(segments)) {
+    return null;
+  }
+
+  return segments.join('.');
+};
+
+/**
+ * Deep equality for JSON values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const jsonEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Applies a list of patch operations to a copy of a document. Either every
+ * operation applies or none do.
+ * @param {Object} document - Document to patch (not modified)
+ * @param {Array} operations - [{ op, path, value }]
+ * @returns {Object} - { document, changes, errors } where changes lists
+ *                     { op, path, value, previousValue } with dot-separated
+ *                     paths and array indexes resolved
+ */
+const applyPatch = (document, operations) => {
+  const patched = JSON.parse(JSON.stringify(document || {}));
+  const changes = [];
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { document: patched, changes, errors: ['operations must be a non-empty array'] };
+  }
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index] || {};
+    const { op, value } = operation;
+    const label = `operations[${index}]`;
+
+    if (!SUPPORTED_OPS.includes(op)) {
+      return { document: patched, changes: [], errors: [`${label}: op must be one of ${SUPPORTED_OPS.join(', ')}`] };
+    }
+
+    let path = pointerToPath(operation.path);
+    if (!path) {
+      return { document: patched, changes: [], errors: [`${label}: path must be a JSON Pointer such as /medications/0/dosage`] };
+    }
+
+    if (op !== 'remove' && value === undefined) {
+      return { document: patched, changes: [], errors: [`${label}: value is required for ${op}`] };
+    }
+
+    const segments = path.split('.');
+    const parentPath = segments.slice(0, -1).join('.');
+    const parent = parentPath ? getOwnPath(patched, parentPath) : patched;
+    let key = segments[segments.length - 1];
+
+    if (parent === null || typeof parent !== 'object') {
+      return { document: patched, changes: [], errors: [`${label}: ${operation.path} does not exist`] };
+    }
+
+    if (Array.isArray(parent)) {
+      if (key === '-' && op === 'add') {
+        key = String(parent.length);
+        path = parentPath ? `${parentPath}.${key}` : key;
+      }
+
+      const arrayIndex = Number(key);
+      const maxIndex = op === 'add' ? parent.length : parent.length - 1;
+      if (!/^\d+$/.test(key) || arrayIndex > maxIndex) {
+        return { document: patched, changes: [], errors: [`${label}: ${operation.path} is out of range`] };
+      }
+    } else if (op !== 'add' && !Object.prototype.hasOwnProperty.call(parent, key)) {
+      return { document: patched, changes: [], errors: [`${label}: ${operation.path} does not exist`] };
+    }
+
+    const previousValue = parent[key];
+
+    if (op === 'test') {
+      if (!jsonEqual(previousValue, value)) {
+        return { document: patched, changes: [], errors: [`${label}: test failed for ${operation.path}`] };
+      }
+      continue;
+    }
+
+    if (op === 'remove') {
+      if (Array.isArray(parent)) {
+        parent.splice(Number(key), 1);
+      } else {
+        delete parent[key];
+      }
+    } else if (op === 'add' && Array.isArray(parent)) {
+      parent.splice(Number(key), 0, value);
+    } else {
+      parent[key] = value;
+    }
+
+    changes.push({
+      op,
+      path,
+      value: op === 'remove' ? undefined : value,
+      previousValue: op === 'add' && Array.isArray(parent) ? undefined : previousValue,
+      // Inserting into or removing from an array shifts the entries after it
+      arrayShift: Array.isArray(parent) && op !== 'replace'
+    });
+  }
+
+  return { document: patched, changes, errors: [] };
+};
+
+module.exports = {
+  pointerToPath,
+  applyPatch
+};
@@ -0,0 +1,90 @@
+/**
+ * Structural diff of plain JSON-like objects. Changes use the same shape as
+ * applied patch operations: { op: 'add'|'remove'|'replace', path, value,
+ * previousValue } with dot-separated paths. A whole new or removed subtree is
+ * reported once at its root rather than leaf by leaf.
+ */
+const { setPath, removePath } = require('./objectPath');
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+};
+
+const valuesEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (prefix, key) => (prefix ? `${prefix}.${key}` : String(key));
+
+/**
+ * Lists the changes that turn `before` into `after`
+ * @param {*} before - Earlier value
+ * @param {*} after - Later value
+ * @param {string} prefix - Path of the values within their parent
+ * @returns {Array} - Changes in document order
+ */
+const diffObjects = (before, after, prefix = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return keys.reduce((changes, key) => {
+      const path = joinPath(prefix, key);
+      if (before[key] === undefined && after[key] !== undefined) {
+        changes.push({ op: 'add', path, value: after[key] });
+      } else if (before[key] !== undefined && after[key] === undefined) {
+        changes.push({ op: 'remove', path, previousValue: before[key] });
+      } else {
+        changes.push(...diffObjects(before[key], after[key], path));
+      }
+      return changes;
+    }, []);
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+
+    for (let index = 0; index < length; index++) {
+      const path = joinPath(prefix, index);
+      if (index >= before.length) {
+        changes.push({ op: 'add', path, value: after[index] });
+      } else if (index >= after.length) {
+        changes.push({ op: 'remove', path, previousValue: before[index] });
+      } else {
+        changes.push(...diffObjects(before[index], after[index], path));
+      }
+    }
+
+    return changes;
+  }
+
+  if (!valuesEqual(before, after)) {
+    return [{ op: 'replace', path: prefix, value: after, previousValue: before }];
+  }
+
+  return [];
+};
+
+/**
+ * Undoes a list of changes produced by diffObjects
+ * @param {Object} document - Document in the "after" state, modified in place
+ * @param {Array} changes - Changes from diffObjects(before, after)
+ * @returns {Object} - The document in the "before" state
+ */
+const revertChanges = (document, changes) => {
+  // Additions are undone last-first so array tails shrink from the end, and
+  // removals are restored first-first so array tails grow from the front
+  changes.filter(change => change.op === 'add').reverse()
+    .forEach(change => removePath(document, change.path));
+
+  changes.filter(change => change.op === 'replace')
+    .forEach(change => setPath(document, change.path, change.previousValue));
+
+  changes.filter(change => change.op === 'remove')
+    .forEach(change => setPath(document, change.path, change.previousValue));
+
+  return document;
+};
+
+module.exports = {
+  diffObjects,
+  revertChanges
+};
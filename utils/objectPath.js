@@ -0,0 +1,137 @@
+/**
+ * Helpers for reading and writing nested values in plain objects using
+ * dot-separated paths such as "medications.0.dosage". Numeric segments
+ * index into arrays.
+ */
+
+// Keys that reach an object's prototype rather than its own data
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Whether every segment of a path is safe to write through
+ * @param {string[]} segments - Path segments
+ * @returns {boolean}
+ */
+const isSafePath = (segments) => segments.every(segment => !UNSAFE_KEYS.has(segment));
+
+const assertSafePath = (segments) => {
+  if (!isSafePath(segments)) {
+    throw new Error(`Unsafe path: ${segments.join('.')}`);
+  }
+};
+
+/**
+ * Splits a dot-separated path into its segments
+ * @param {string} path - e.g. "diagnosis.secondary.1"
+ * @returns {string[]} - Path segments
+ */
+const splitPath = (path) => {
+  return path === '' ? [] : String(path).split('.');
+};
+
+/**
+ * Reads the value at a path
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {*} - The value, or undefined if any segment is missing
+ */
+const getPath = (obj, path) => {
+  return splitPath(path).reduce((current, key) => {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    return current[key];
+  }, obj);
+};
+
+/**
+ * Reads the value at a path through own properties only, so inherited
+ * members such as "constructor" are never reached
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {*} - The value, or undefined if any segment is missing
+ */
+const getOwnPath = (obj, path) => {
+  return splitPath(path).reduce((current, key) => {
+    if (current === null || typeof current !== 'object' || !hasOwn(current, key)) {
+      return undefined;
+    }
+    return current[key];
+  }, obj);
+};
+
+/**
+ * Writes a value at a path, creating intermediate objects or arrays as needed
+ * @param {Object} obj - Object to modify in place
+ * @param {string} path - Dot-separated path
+ * @param {*} value - Value to write
+ * @returns {Object} - The same object
+ * @throws {Error} - If the path goes through __proto__, constructor or prototype
+ */
+const setPath = (obj, path, value) => {
+  const segments = splitPath(path);
+  assertSafePath(segments);
+  let current = obj;
+
+  segments.slice(0, -1).forEach((key, index) => {
+    if (!hasOwn(current, key) || current[key] === null || typeof current[key] !== 'object') {
+      // Create an array when the next segment is an index
+      current[key] = /^\d+$/.test(segments[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+
+  current[segments[segments.length - 1]] = value;
+  return obj;
+};
+
+/**
+ * Removes the value at a path; array elements are spliced out
+ * @param {Object} obj - Object to modify in place
+ * @param {string} path - Dot-separated path
+ * @returns {Object} - The same object
+ * @throws {Error} - If the path goes through __proto__, constructor or prototype
+ */
+const removePath = (obj, path) => {
+  const segments = splitPath(path);
+  assertSafePath(segments);
+  const parent = getOwnPath(obj, segments.slice(0, -1).join('.'));
+  const key = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[key];
+  }
+
+  return obj;
+};
+
+/**
+ * Lists every leaf (non-object, non-array value) of an object with its path
+ * @param {Object} obj - Object to walk
+ * @param {string} prefix - Path of obj within its parent
+ * @returns {Array<{path: string, value: *}>} - Leaves in document order
+ */
+const listLeaves = (obj, prefix = '') => {
+  if (obj === null || typeof obj !== 'object') {
+    return prefix ? [{ path: prefix, value: obj }] : [];
+  }
+
+  return Object.keys(obj).reduce((leaves, key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return leaves.concat(listLeaves(obj[key], path));
+  }, []);
+};
+
+module.exports = {
+  isSafePath,
+  splitPath,
+  getPath,
+  getOwnPath,
+  setPath,
+  removePath,
+  listLeaves
+};
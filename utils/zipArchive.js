@@ -0,0 +1,139 @@
+/**
+ * Minimal ZIP writer. Entries are added one at a time and written straight
+ * to disk, each deflated unless that doesn't make it smaller. Names are
+ * stored as UTF-8. No ZIP64, so archives must stay under 4 GB.
+ */
+const fs = require('fs');
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, which is what ZIP stores
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Opens a new ZIP archive for writing
+ * @param {string} filePath - Where to write the archive
+ * @returns {Promise<Object>} - { addFile(name, data), finalize() }
+ */
+const createZipArchive = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'w', 0o600);
+  const entries = [];
+  let offset = 0;
+
+  const write = async (buffer) => {
+    await handle.write(buffer);
+    offset += buffer.length;
+  };
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer|string} data - File contents
+   * @returns {Promise<void>}
+   */
+  const addFile = async (name, data) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    const compress = deflated.length < content.length;
+    const body = compress ? deflated : content;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(new Date());
+
+    const entry = {
+      nameBuffer,
+      method: compress ? METHOD_DEFLATE : METHOD_STORE,
+      crc: crc32(content),
+      compressedSize: body.length,
+      size: content.length,
+      time,
+      date,
+      offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await write(Buffer.concat([header, nameBuffer]));
+    await write(body);
+    entries.push(entry);
+  };
+
+  /**
+   * Writes the central directory and closes the file
+   * @returns {Promise<number>} - Size of the archive in bytes
+   */
+  const finalize = async () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number and attributes are all left empty
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+
+    await handle.close();
+    return offset;
+  };
+
+  return { addFile, finalize };
+};
+
+module.exports = {
+  createZipArchive
+};